@@ -43,7 +43,7 @@ function initDatabase() {
                     return;
                 }
                 
-                const checkAndAddColumn = (tableName, columnName, defaultValue, afterColumn) => {
+                const checkAndAddColumn = (tableName, columnName, defaultValue, afterColumn, columnType = 'INTEGER') => {
                     return new Promise((resolveCol, rejectCol) => {
                         db.all(`PRAGMA table_info(${tableName})`, (err, tableCols) => {
                             if (err) {
@@ -54,8 +54,8 @@ function initDatabase() {
                                 const hasColumn = tableCols.some(col => col.name === columnName);
                                 if (!hasColumn) {
                                     const alterQuery = defaultValue !== null 
-                                        ? `ALTER TABLE ${tableName} ADD COLUMN ${columnName} INTEGER NOT NULL DEFAULT ${defaultValue}`
-                                        : `ALTER TABLE ${tableName} ADD COLUMN ${columnName} INTEGER DEFAULT ${defaultValue}`;
+                                        ? `ALTER TABLE ${tableName} ADD COLUMN ${columnName} ${columnType} NOT NULL DEFAULT ${defaultValue}`
+                                        : `ALTER TABLE ${tableName} ADD COLUMN ${columnName} ${columnType} DEFAULT ${defaultValue}`;
                                     db.run(alterQuery, (err) => {
                                         if (err) {
                                             console.error(`Error adding ${columnName} column:`, err);
@@ -74,8 +74,176 @@ function initDatabase() {
                     });
                 };
                 
+                // SQLite can't change constraints in place, so a table is copied into a fresh one
+                // created from its definition in schema.sql. computedColumns maps new columns to the
+                // SQL expressions that fill them (evaluated against the old table).
+                const rebuildTable = (tableName, computedColumns = {}) => {
+                    return new Promise((resolveRebuild) => {
+                        const tableSql = schema.match(new RegExp(`CREATE TABLE IF NOT EXISTS ${tableName} \\([\\s\\S]*?\\n\\);`))[0];
+                        const indexSql = schema.match(new RegExp(`CREATE INDEX IF NOT EXISTS \\w+ ON ${tableName}\\(.*\\);`, 'g')) || [];
+                        db.all(`PRAGMA table_info(${tableName})`, (err, oldCols) => {
+                            if (err) {
+                                console.error(`Error checking ${tableName} columns:`, err);
+                                return resolveRebuild();
+                            }
+                            // Columns missing from schema.sql (like the old tags.user_id) are dropped
+                            const tableColumns = tableSql.split('\n').map(line => line.trim().split(/\s+/)[0]);
+                            const copied = oldCols.map(col => col.name)
+                                .filter(name => tableColumns.includes(name) && !(name in computedColumns));
+                            const columns = [...copied, ...Object.keys(computedColumns)];
+                            const values = [...copied, ...Object.values(computedColumns)];
+                            db.exec(`
+                                BEGIN;
+                                ${tableSql.replace(`EXISTS ${tableName} (`, `EXISTS ${tableName}_new (`)}
+                                INSERT INTO ${tableName}_new (${columns.join(', ')})
+                                    SELECT ${values.join(', ')} FROM ${tableName};
+                                DROP TABLE ${tableName};
+                                ALTER TABLE ${tableName}_new RENAME TO ${tableName};
+                                ${indexSql.join('\n')}
+                                COMMIT;
+                            `, (err) => {
+                                if (err) {
+                                    console.error(`Error rebuilding ${tableName} table:`, err);
+                                    return db.exec('ROLLBACK', () => resolveRebuild());
+                                }
+                                console.log(`Rebuilt ${tableName} table`);
+                                resolveRebuild();
+                            });
+                        });
+                    });
+                };
+                
+                // group_rules is rebuilt when its match_type list differs from the one in schema.sql
+                const migrateGroupRuleMatchTypes = () => {
+                    return new Promise((resolveMigration) => {
+                        const matchTypeCheck = schema.match(/CHECK\(match_type IN \([^)]*\)\)/)[0];
+                        db.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'group_rules'", (err, row) => {
+                            if (err || !row || row.sql.includes(matchTypeCheck)) {
+                                return resolveMigration();
+                            }
+                            rebuildTable('group_rules').then(resolveMigration);
+                        });
+                    });
+                };
+                
+                // Links, tags, groups and purged link IDs used to belong to a user; they move into
+                // the user's personal workspace (created here for every user that doesn't have one yet)
+                const migrateToWorkspaces = () => {
+                    return new Promise((resolveMigration) => {
+                        db.exec(`
+                            INSERT INTO workspaces (name, personal, created_by)
+                                SELECT 'Personal', 1, u.id FROM users u
+                                WHERE NOT EXISTS (SELECT 1 FROM workspaces w WHERE w.personal = 1 AND w.created_by = u.id);
+                            INSERT OR IGNORE INTO workspace_members (workspace_id, user_id, role)
+                                SELECT id, created_by, 'owner' FROM workspaces WHERE personal = 1;
+                        `, (err) => {
+                            if (err) {
+                                console.error('Error creating personal workspaces:', err);
+                                return resolveMigration();
+                            }
+                            const personalWorkspace = (table) =>
+                                `COALESCE((SELECT w.id FROM workspaces w WHERE w.personal = 1 AND w.created_by = ${table}.user_id), 0)`;
+                            db.all(
+                                "SELECT name FROM sqlite_master WHERE type = 'table' AND name IN ('links', 'tags', 'groups', 'purged_links') AND sql NOT LIKE '%workspace_id%'",
+                                async (err, rows) => {
+                                    for (const row of (err ? [] : rows)) {
+                                        await rebuildTable(row.name, { workspace_id: personalWorkspace(row.name) });
+                                    }
+                                    resolveMigration();
+                                }
+                            );
+                        });
+                    });
+                };
+                
+                // A server needs an administrator: without one, the default "admin" user from the
+                // YAML migration (or else the oldest account) becomes one
+                const ensureAdmin = () => {
+                    return new Promise((resolveAdmin) => {
+                        db.run(
+                            `UPDATE users SET is_admin = 1
+                             WHERE id = (SELECT id FROM users ORDER BY username = 'admin' DESC, id LIMIT 1)
+                               AND NOT EXISTS (SELECT 1 FROM users WHERE is_admin = 1)`,
+                            function (err) {
+                                if (err) {
+                                    console.error('Error checking administrators:', err);
+                                } else if (this.changes > 0) {
+                                    console.log('Made the first user an administrator');
+                                }
+                                resolveAdmin();
+                            }
+                        );
+                    });
+                };
+                
+                // Give items without a position (from before custom ordering) one after the
+                // user's other items, in name order
+                const assignMissingPositions = (tableName) => {
+                    return new Promise((resolvePositions) => {
+                        db.all(
+                            `SELECT id, user_id, (SELECT MAX(position) FROM ${tableName} p WHERE p.user_id = t.user_id) AS max_position
+                             FROM ${tableName} t WHERE position = 0
+                             ORDER BY user_id, name COLLATE NOCASE, id`,
+                            (err, rows) => {
+                                if (err) {
+                                    console.error(`Error checking ${tableName} positions:`, err);
+                                    return resolvePositions();
+                                }
+                                if (!rows || rows.length === 0) {
+                                    return resolvePositions();
+                                }
+                                const lastPosition = {};
+                                const stmt = db.prepare(`UPDATE ${tableName} SET position = ? WHERE id = ?`);
+                                rows.forEach(row => {
+                                    lastPosition[row.user_id] = (lastPosition[row.user_id] ?? row.max_position) + 1;
+                                    stmt.run(lastPosition[row.user_id], row.id);
+                                });
+                                stmt.finalize((err) => {
+                                    if (err) {
+                                        console.error(`Error assigning ${tableName} positions:`, err);
+                                    } else {
+                                        console.log(`Assigned positions to ${rows.length} ${tableName}`);
+                                    }
+                                    resolvePositions();
+                                });
+                            }
+                        );
+                    });
+                };
+                
                 // Check and add block_index if needed
-                checkAndAddColumn('group_rules', 'block_index', 0, null).then(() => {
+                checkAndAddColumn('group_rules', 'block_index', 0, null)
+                // Per-value match operator of group rules (NULL = default for the match type)
+                .then(() => checkAndAddColumn('group_rules', 'match_operator', null, null, 'TEXT'))
+                .then(() => migrateGroupRuleMatchTypes())
+                // Trash: soft-deleted links/groups and the per-user retention period
+                .then(() => checkAndAddColumn('links', 'deleted_at', null, null, 'DATETIME'))
+                .then(() => checkAndAddColumn('groups', 'deleted_at', null, null, 'DATETIME'))
+                .then(() => checkAndAddColumn('user_config', 'trash_retention_days', 30, null))
+                // Custom order and pinning of links and groups
+                .then(() => checkAndAddColumn('links', 'position', 0, null))
+                .then(() => checkAndAddColumn('links', 'pinned', 0, null))
+                .then(() => checkAndAddColumn('groups', 'position', 0, null))
+                .then(() => checkAndAddColumn('groups', 'pinned', 0, null))
+                .then(() => assignMissingPositions('links'))
+                .then(() => assignMissingPositions('groups'))
+                // Workspaces own links, tags and groups
+                .then(() => migrateToWorkspaces())
+                // Administrators, disabled accounts and last logins
+                .then(() => checkAndAddColumn('users', 'is_admin', 0, null))
+                .then(() => checkAndAddColumn('users', 'disabled_at', null, null, 'DATETIME'))
+                .then(() => checkAndAddColumn('users', 'last_login_at', null, null, 'DATETIME'))
+                .then(() => ensureAdmin())
+                // Email verification
+                .then(() => checkAndAddColumn('users', 'email_verified_at', null, null, 'DATETIME'))
+                // Login throttling
+                .then(() => checkAndAddColumn('users', 'failed_login_count', 0, null))
+                .then(() => checkAndAddColumn('users', 'login_blocked_until', null, null, 'DATETIME'))
+                // Two-factor authentication
+                .then(() => checkAndAddColumn('users', 'totp_secret', null, null, 'TEXT'))
+                .then(() => checkAndAddColumn('users', 'totp_enabled_at', null, null, 'DATETIME'))
+                .then(() => checkAndAddColumn('users', 'totp_last_step', null, null))
+                .then(() => {
                     // Check and add warning_tabs_open if needed
                     checkAndAddColumn('user_config', 'warning_tabs_open', 20, null).then(() => {
                         // Migrate existing max_tabs_open values:
@@ -149,6 +317,9 @@ function initDatabase() {
     });
 }
 
+// How long a connection waits for another one's transaction to finish before giving up
+const BUSY_TIMEOUT_MS = 5000;
+
 /**
  * Get a database connection
  */
@@ -159,6 +330,7 @@ function getDatabase() {
                 console.error('Error opening database:', err);
                 return reject(err);
             }
+            db.configure('busyTimeout', BUSY_TIMEOUT_MS);
             resolve(db);
         });
     });
@@ -209,12 +381,52 @@ function dbAll(db, query, params = []) {
     });
 }
 
+/**
+ * Run several queries as one transaction: all of them are saved, or none
+ * fn(db) runs the queries; if it throws (or a query fails), everything it did is
+ * rolled back and the error is thrown again. A transaction started inside
+ * another one becomes a savepoint, so a failed inner part is undone on its own
+ * and the outer transaction can carry on.
+ * @param {Function} fn - async (db) => result
+ * @returns {Promise<*>} What fn returned
+ */
+async function dbTransaction(db, fn) {
+    const depth = db.transactionDepth || 0;
+    const savepoint = `transaction_${depth}`;
+
+    // IMMEDIATE takes the write lock at once, so other connections wait for it
+    // (see BUSY_TIMEOUT_MS) instead of failing halfway through
+    await dbRun(db, depth === 0 ? 'BEGIN IMMEDIATE' : `SAVEPOINT ${savepoint}`);
+    db.transactionDepth = depth + 1;
+
+    try {
+        const result = await fn(db);
+        await dbRun(db, depth === 0 ? 'COMMIT' : `RELEASE ${savepoint}`);
+        return result;
+    } catch (error) {
+        try {
+            if (depth === 0) {
+                await dbRun(db, 'ROLLBACK');
+            } else {
+                await dbRun(db, `ROLLBACK TO ${savepoint}`);
+                await dbRun(db, `RELEASE ${savepoint}`);
+            }
+        } catch (rollbackError) {
+            console.error('Error rolling back transaction:', rollbackError);
+        }
+        throw error;
+    } finally {
+        db.transactionDepth = depth;
+    }
+}
+
 module.exports = {
     initDatabase,
     getDatabase,
     dbRun,
     dbGet,
     dbAll,
+    dbTransaction,
     DB_PATH
 };
 
@@ -6,30 +6,101 @@ CREATE TABLE IF NOT EXISTS users (
     username TEXT UNIQUE NOT NULL,
     email TEXT UNIQUE NOT NULL,
     password_hash TEXT NOT NULL,
+    is_admin INTEGER NOT NULL DEFAULT 0, -- administrators manage users and server settings
+    disabled_at DATETIME DEFAULT NULL, -- set while an administrator has disabled the account
+    last_login_at DATETIME DEFAULT NULL,
+    email_verified_at DATETIME DEFAULT NULL, -- set once the user opened a verification link sent to their email
+    failed_login_count INTEGER NOT NULL DEFAULT 0, -- failed logins since the last successful one
+    login_blocked_until DATETIME DEFAULT NULL, -- logins are refused until then (delay or lockout after failures)
+    totp_secret TEXT DEFAULT NULL, -- base32 secret of the authenticator app while two-factor authentication is on
+    totp_enabled_at DATETIME DEFAULT NULL,
+    totp_last_step INTEGER DEFAULT NULL, -- time step of the last accepted code, so codes can't be reused
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Server-wide settings changed by administrators (key/value)
+CREATE TABLE IF NOT EXISTS server_settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Single-use codes that allow registering while registration is invite-only
+CREATE TABLE IF NOT EXISTS invite_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    code TEXT NOT NULL UNIQUE,
+    note TEXT DEFAULT NULL, -- who the code is meant for
+    created_by INTEGER NOT NULL,
+    used_by INTEGER DEFAULT NULL,
+    used_at DATETIME DEFAULT NULL,
+    expires_at DATETIME DEFAULT NULL, -- NULL = never expires
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (used_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Workspaces own links, tags and groups. Every user has a personal workspace;
+-- team workspaces are shared with other users through workspace_members.
+CREATE TABLE IF NOT EXISTS workspaces (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    personal INTEGER NOT NULL DEFAULT 0, -- 1 for a user's own collection, which can't be shared
+    created_by INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Members of a workspace and what they may do in it
+CREATE TABLE IF NOT EXISTS workspace_members (
+    workspace_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    role TEXT NOT NULL CHECK(role IN ('owner', 'editor', 'viewer')),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (workspace_id, user_id),
+    FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Pending invitations to join a workspace (the invited user accepts or declines)
+CREATE TABLE IF NOT EXISTS workspace_invitations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    workspace_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL, -- the invited user
+    role TEXT NOT NULL CHECK(role IN ('owner', 'editor', 'viewer')),
+    invited_by INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE(workspace_id, user_id)
+);
+
 -- Links table
 CREATE TABLE IF NOT EXISTS links (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL, -- who added the link
+    workspace_id INTEGER NOT NULL,
     name TEXT NOT NULL,
     url TEXT NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0, -- custom order within the workspace's links
+    pinned INTEGER NOT NULL DEFAULT 0, -- pinned links are listed first
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    deleted_at DATETIME DEFAULT NULL, -- set while the link is in the trash
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-    UNIQUE(user_id, url)
+    FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE,
+    UNIQUE(workspace_id, url)
 );
 
 -- Tags table
 CREATE TABLE IF NOT EXISTS tags (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id INTEGER NOT NULL,
+    workspace_id INTEGER NOT NULL,
     name TEXT NOT NULL,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-    UNIQUE(user_id, name)
+    FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE,
+    UNIQUE(workspace_id, name)
 );
 
 -- Link-Tag junction table (many-to-many)
@@ -44,12 +115,31 @@ CREATE TABLE IF NOT EXISTS link_tags (
 -- Groups table
 CREATE TABLE IF NOT EXISTS groups (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL, -- who created the group
+    workspace_id INTEGER NOT NULL,
     name TEXT NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0, -- custom order of the workspace's group pills
+    pinned INTEGER NOT NULL DEFAULT 0, -- pinned groups are listed first
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    deleted_at DATETIME DEFAULT NULL, -- set while the group is in the trash
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-    UNIQUE(user_id, name)
+    FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE,
+    UNIQUE(workspace_id, name)
+);
+
+-- Public read-only share link of a group (at most one per group)
+CREATE TABLE IF NOT EXISTS group_shares (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    group_id INTEGER NOT NULL UNIQUE,
+    token TEXT NOT NULL UNIQUE, -- random part of the share URL
+    password_hash TEXT DEFAULT NULL, -- bcrypt hash; visitors must enter the password first
+    expires_at DATETIME DEFAULT NULL, -- NULL = never expires
+    created_by INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (group_id) REFERENCES groups(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
 );
 
 -- Group include/exclude rules
@@ -57,8 +147,11 @@ CREATE TABLE IF NOT EXISTS group_rules (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     group_id INTEGER NOT NULL,
     rule_type TEXT NOT NULL CHECK(rule_type IN ('include', 'exclude')),
-    match_type TEXT NOT NULL CHECK(match_type IN ('tags', 'names', 'urls')),
+    match_type TEXT NOT NULL CHECK(match_type IN (
+        'tags', 'names', 'urls', 'groups', 'domains', 'health', 'created_within_days', 'not_updated_days'
+    )), -- groups: match_value is a group ID; *_days: a number of days
     match_value TEXT NOT NULL,
+    match_operator TEXT DEFAULT NULL, -- contains, exact, prefix, glob, regex or domain; NULL = default of match_type
     block_index INTEGER NOT NULL DEFAULT 0,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (group_id) REFERENCES groups(id) ON DELETE CASCADE
@@ -69,17 +162,157 @@ CREATE TABLE IF NOT EXISTS user_config (
     user_id INTEGER PRIMARY KEY,
     warning_tabs_open INTEGER DEFAULT 20,
     max_tabs_open INTEGER DEFAULT 0,
+    trash_retention_days INTEGER DEFAULT 30, -- 0 = keep trashed items until emptied
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
 
+-- Personal API tokens (stored as SHA-256 hashes)
+CREATE TABLE IF NOT EXISTS api_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    token_prefix TEXT NOT NULL,
+    scope TEXT NOT NULL DEFAULT 'read' CHECK(scope IN ('read', 'write')),
+    last_used_at DATETIME,
+    expires_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Single-use password reset and email verification links (stored as SHA-256 hashes)
+CREATE TABLE IF NOT EXISTS email_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    purpose TEXT NOT NULL CHECK(purpose IN ('password_reset', 'email_verification')),
+    token_hash TEXT UNIQUE NOT NULL,
+    email TEXT NOT NULL, -- address the link was sent to (the new address of an email change)
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME DEFAULT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Single-use two-factor recovery codes (stored as SHA-256 hashes)
+CREATE TABLE IF NOT EXISTS recovery_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    code_hash TEXT NOT NULL,
+    used_at DATETIME DEFAULT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Login attempts (successful and failed) used for throttling and shown to users in their settings
+CREATE TABLE IF NOT EXISTS login_attempts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER, -- NULL when the username or email matched no account
+    ip_address TEXT,
+    user_agent TEXT,
+    success INTEGER NOT NULL DEFAULT 0,
+    reason TEXT, -- why a login failed: invalid_password, unknown_user, invalid_code, locked or disabled
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Logged-in sessions, for listing and logging them out (the session data itself is in sessions.db)
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    sid_hash TEXT NOT NULL UNIQUE, -- SHA-256 hash of the session id
+    ip_address TEXT, -- where the session was last used from
+    user_agent TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Accounts at single sign-on identity providers that log in as a user
+CREATE TABLE IF NOT EXISTS user_identities (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    issuer TEXT NOT NULL, -- the provider (its OpenID Connect issuer, or "proxy" for an authenticating reverse proxy)
+    subject TEXT NOT NULL, -- the provider's id for the account ("sub" claim, or the username the proxy sent)
+    email TEXT, -- email address the provider last gave for the account
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_login_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(issuer, subject),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Link revision history (snapshot of the link after each change)
+CREATE TABLE IF NOT EXISTS link_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    link_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL, -- who made the change
+    api_token_id INTEGER, -- set when the change was made with an API token
+    action TEXT NOT NULL CHECK(action IN ('create', 'update', 'delete', 'restore', 'import', 'revert')),
+    name TEXT NOT NULL,
+    url TEXT NOT NULL,
+    tags TEXT NOT NULL DEFAULT '[]', -- JSON array of tag names
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (link_id) REFERENCES links(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Result of the last health check of each link
+CREATE TABLE IF NOT EXISTS link_health (
+    link_id INTEGER PRIMARY KEY,
+    url TEXT NOT NULL, -- the URL that was checked; results for an old URL are ignored
+    status_code INTEGER, -- final HTTP status, NULL if the request failed
+    final_url TEXT, -- URL after following redirects
+    error TEXT, -- network error or timeout message
+    checked_at DATETIME,
+    consecutive_failures INTEGER NOT NULL DEFAULT 0,
+    next_check_at DATETIME,
+    FOREIGN KEY (link_id) REFERENCES links(id) ON DELETE CASCADE
+);
+
+-- Page title, description and cached favicon of each link
+CREATE TABLE IF NOT EXISTS link_metadata (
+    link_id INTEGER PRIMARY KEY,
+    url TEXT NOT NULL, -- the URL the metadata was fetched from; results for an old URL are ignored
+    title TEXT,
+    description TEXT,
+    favicon TEXT, -- file name in data/favicons
+    fetched_at DATETIME,
+    FOREIGN KEY (link_id) REFERENCES links(id) ON DELETE CASCADE
+);
+
+-- Links purged from the trash, so incremental syncs can report them (see GET /api/links)
+CREATE TABLE IF NOT EXISTS purged_links (
+    link_id INTEGER PRIMARY KEY,
+    workspace_id INTEGER NOT NULL,
+    purged_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Full-text search index over live links (rowid = links.id), maintained by the link routes
+CREATE VIRTUAL TABLE IF NOT EXISTS links_fts USING fts5(
+    name,
+    url,
+    tags, -- tag names separated by spaces
+    description,
+    tokenize = 'unicode61 remove_diacritics 2'
+);
+
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_links_user_id ON links(user_id);
 CREATE INDEX IF NOT EXISTS idx_links_url ON links(url);
-CREATE INDEX IF NOT EXISTS idx_tags_user_id ON tags(user_id);
 CREATE INDEX IF NOT EXISTS idx_link_tags_link_id ON link_tags(link_id);
 CREATE INDEX IF NOT EXISTS idx_link_tags_tag_id ON link_tags(tag_id);
 CREATE INDEX IF NOT EXISTS idx_groups_user_id ON groups(user_id);
 CREATE INDEX IF NOT EXISTS idx_group_rules_group_id ON group_rules(group_id);
-
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_email_tokens_user_id ON email_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_recovery_codes_user_id ON recovery_codes(user_id);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_user_id ON login_attempts(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip_address ON login_attempts(ip_address, created_at);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_identities_user_id ON user_identities(user_id);
+CREATE INDEX IF NOT EXISTS idx_link_revisions_link_id ON link_revisions(link_id);
+CREATE INDEX IF NOT EXISTS idx_link_health_next_check_at ON link_health(next_check_at);
+CREATE INDEX IF NOT EXISTS idx_purged_links_purged_at ON purged_links(purged_at);
+CREATE INDEX IF NOT EXISTS idx_workspace_members_user_id ON workspace_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_workspace_invitations_user_id ON workspace_invitations(user_id);
@@ -19,6 +19,63 @@ async function saveConfig() {
     }
 }
 
+// Header selecting the chosen workspace (the personal workspace without it)
+async function getWorkspaceHeaders() {
+    const result = await chrome.storage.sync.get(['workspaceId']);
+    return result.workspaceId ? { 'X-Workspace-Id': String(result.workspaceId) } : {};
+}
+
+// Fill the workspace switcher; shown only for users with team workspaces
+async function loadWorkspaces(apiUrl) {
+    try {
+        // Sent without the workspace header, so a stale workspace ID can't make it fail
+        const response = await fetch(`${apiUrl}/api/workspaces`, {
+            credentials: 'include',
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        if (!response.ok) {
+            return;
+        }
+        
+        const workspaces = await response.json();
+        let { workspaceId } = await chrome.storage.sync.get(['workspaceId']);
+        
+        // Fall back to the personal workspace if the saved one is gone
+        if (workspaceId && !workspaces.some(workspace => String(workspace.id) === String(workspaceId))) {
+            workspaceId = null;
+            await chrome.storage.sync.remove('workspaceId');
+            chrome.runtime.sendMessage({ type: 'workspaceChanged' });
+        }
+        
+        const select = document.getElementById('workspace-select');
+        select.innerHTML = '';
+        workspaces.forEach(workspace => {
+            const option = document.createElement('option');
+            option.value = workspace.personal ? '' : workspace.id;
+            option.textContent = workspace.personal ? 'Personal' : `${workspace.name}${workspace.role === 'viewer' ? ' (read-only)' : ''}`;
+            select.appendChild(option);
+        });
+        select.value = workspaceId ? String(workspaceId) : '';
+        document.getElementById('workspace-group').style.display = workspaces.length > 1 ? 'block' : 'none';
+    } catch (error) {
+        console.error('Error loading workspaces:', error);
+    }
+}
+
+// Switch workspace and check the current page again in the new one
+async function handleWorkspaceChange(event) {
+    const workspaceId = event.target.value;
+    if (workspaceId) {
+        await chrome.storage.sync.set({ workspaceId });
+    } else {
+        await chrome.storage.sync.remove('workspaceId');
+    }
+    chrome.runtime.sendMessage({ type: 'workspaceChanged' });
+    window.location.reload();
+}
+
 // Show debug info (append to log) - only in development
 function showDebug(message) {
     // Only show debug in console, not in UI (unless there's an error)
@@ -120,12 +177,25 @@ async function checkLinkExists(url, apiUrl) {
             return null;
         }
         
-        showDebug('Fetching links from API...');
-        const response = await fetch(`${apiUrl}/api/data`, {
+        // Let the server narrow down the candidates: every variant of the URL
+        // we accept below contains its host and path (without trailing slash)
+        const searchUrl = url.trim();
+        let urlCore = searchUrl;
+        try {
+            const urlObj = new URL(searchUrl);
+            urlCore = urlObj.host + urlObj.pathname.replace(/\/$/, '');
+        } catch (e) {
+            // Not a valid URL, search for it as-is
+        }
+        const searchQuery = `url:"${urlCore.replace(/"/g, '')}"`;
+        
+        showDebug('Searching links via API...');
+        const response = await fetch(`${apiUrl}/api/search?q=${encodeURIComponent(searchQuery)}&limit=1000`, {
             method: 'GET',
             credentials: 'include',
             headers: {
-                'Accept': 'application/json'
+                'Accept': 'application/json',
+                ...await getWorkspaceHeaders()
             }
         });
         
@@ -161,10 +231,9 @@ async function checkLinkExists(url, apiUrl) {
             return null;
         }
         
-        showDebug(`Found ${data.links.length} links, searching...`);
+        showDebug(`Found ${data.links.length} candidate links, comparing...`);
         
-        // Search for the URL using multiple matching strategies (in order of strictness)
-        const searchUrl = url.trim();
+        // Compare the URL using multiple matching strategies (in order of strictness)
         showDebug(`Searching for: ${searchUrl.substring(0, 40)}...`);
         
         // Strategy 1: Exact match
@@ -272,7 +341,8 @@ async function saveLink(name, url, tags, apiUrl, isUpdate = false) {
             response = await fetch(`${apiUrl}/api/links`, {
                 method: 'PUT',
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    ...await getWorkspaceHeaders()
                 },
                 credentials: 'include',
                 body: JSON.stringify({
@@ -289,7 +359,8 @@ async function saveLink(name, url, tags, apiUrl, isUpdate = false) {
             response = await fetch(`${apiUrl}/api/links`, {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    ...await getWorkspaceHeaders()
                 },
                 credentials: 'include',
                 body: JSON.stringify({
@@ -328,7 +399,7 @@ async function init() {
     }
     
     // Verify essential elements exist
-    const requiredElements = ['link-form', 'link-name', 'link-url', 'link-tags', 'submit-btn', 'cancel-btn', 'api-url', 'delete-btn'];
+    const requiredElements = ['link-form', 'link-name', 'link-url', 'link-tags', 'submit-btn', 'cancel-btn', 'api-url', 'delete-btn', 'workspace-select'];
     const missingElements = [];
     for (const id of requiredElements) {
         if (!document.getElementById(id)) {
@@ -396,6 +467,8 @@ async function init() {
                     return;
                 }
                 
+                await loadWorkspaces(apiUrl);
+                
                 showDebug('✓ Authenticated, checking for existing link...');
                 const existingLink = await checkLinkExists(tab.url, apiUrl);
                 
@@ -491,7 +564,7 @@ async function init() {
         }
         
         // Confirm deletion
-        if (!confirm(`Are you sure you want to delete this link?\n\n"${name}"\n${url}`)) {
+        if (!confirm(`Move this link to the trash?\n\n"${name}"\n${url}`)) {
             return;
         }
         
@@ -513,7 +586,8 @@ async function init() {
             const response = await fetch(`${apiUrl}/api/links`, {
                 method: 'DELETE',
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    ...await getWorkspaceHeaders()
                 },
                 credentials: 'include',
                 body: JSON.stringify({ url })
@@ -528,7 +602,7 @@ async function init() {
             // Notify service worker to update icon
             chrome.runtime.sendMessage({ type: 'linkChanged' });
             
-            showStatus('Link deleted successfully!', 'success');
+            showStatus('Link moved to trash!', 'success');
             
             // Reset form and switch back to add mode
             setTimeout(async () => {
@@ -562,6 +636,9 @@ async function init() {
 
     // Save API URL on change
     document.getElementById('api-url').addEventListener('blur', saveConfig);
+    
+    // Switch workspace
+    document.getElementById('workspace-select').addEventListener('change', handleWorkspaceChange);
 }
 
 // Run on load with error handling
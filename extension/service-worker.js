@@ -4,9 +4,15 @@
 const DEFAULT_API_URL = 'http://localhost:8080';
 
 // Cache for link URLs to avoid repeated API calls
+// Kept in sync incrementally: only links changed since the last sync are fetched
 let linkUrlCache = new Set();
+let linkUrlsById = new Map(); // link ID -> URL
+let lastSyncTime = null; // server_time of the last sync, sent back as updated_since
+let lastFullSync = 0;
 let cacheTimestamp = 0;
 const CACHE_DURATION = 60000; // 1 minute
+const FULL_SYNC_INTERVAL = 30 * 60000; // Re-fetch everything every 30 minutes, in case an incremental sync missed something
+const SYNC_PAGE_SIZE = 1000;
 
 // Load saved API URL
 async function getApiUrl() {
@@ -14,6 +20,12 @@ async function getApiUrl() {
     return result.apiUrl || DEFAULT_API_URL;
 }
 
+// Header selecting the workspace chosen in the popup (the personal workspace without it)
+async function getWorkspaceHeaders() {
+    const result = await chrome.storage.sync.get(['workspaceId']);
+    return result.workspaceId ? { 'X-Workspace-Id': String(result.workspaceId) } : {};
+}
+
 // Check if user is authenticated
 async function checkAuth(apiUrl) {
     try {
@@ -31,23 +43,40 @@ async function checkAuth(apiUrl) {
     }
 }
 
-// Fetch all links from Tabinator
-async function fetchLinks(apiUrl) {
+// Fetch links from Tabinator, following pagination
+// With updatedSince, only links changed since then (plus the IDs of deleted links) are returned
+async function fetchLinks(apiUrl, updatedSince = null) {
     try {
-        const response = await fetch(`${apiUrl}/api/data`, {
-            credentials: 'include'
-        });
+        const result = { links: [], deletedIds: [], serverTime: null };
+        let cursor = null;
         
-        if (!response.ok) {
-            // Don't log errors for 401/403 - user just needs to log in
-            if (response.status !== 401 && response.status !== 403) {
-                console.warn('Failed to fetch links:', response.status, response.statusText);
+        do {
+            const params = new URLSearchParams({ limit: SYNC_PAGE_SIZE });
+            if (cursor) params.set('cursor', cursor);
+            if (updatedSince) params.set('updated_since', updatedSince);
+            
+            const response = await fetch(`${apiUrl}/api/links?${params}`, {
+                credentials: 'include',
+                headers: await getWorkspaceHeaders()
+            });
+            
+            if (!response.ok) {
+                // Don't log errors for 401/403 (user just needs to log in) or 404 (workspace is gone)
+                if (response.status !== 401 && response.status !== 403 && response.status !== 404) {
+                    console.warn('Failed to fetch links:', response.status, response.statusText);
+                }
+                return null;
             }
-            return null;
-        }
+            
+            const data = await response.json();
+            result.links.push(...(data.links || []));
+            result.deletedIds.push(...(data.deleted_ids || []));
+            // Keep the time of the first page so nothing changed while paging is missed
+            result.serverTime = result.serverTime || data.server_time;
+            cursor = data.next_cursor;
+        } while (cursor);
         
-        const data = await response.json();
-        return data.links || [];
+        return result;
     } catch (error) {
         // Only log network errors, not auth errors
         if (error.name !== 'TypeError') {
@@ -64,24 +93,35 @@ async function updateLinkCache() {
     
     if (!authenticated) {
         linkUrlCache.clear();
+        linkUrlsById.clear();
+        lastSyncTime = null;
         cacheTimestamp = 0;
         return;
     }
     
-    const links = await fetchLinks(apiUrl);
-    if (links) {
+    const fullSync = !lastSyncTime || Date.now() - lastFullSync > FULL_SYNC_INTERVAL;
+    const result = await fetchLinks(apiUrl, fullSync ? null : lastSyncTime);
+    if (result) {
+        if (fullSync) {
+            linkUrlsById = new Map();
+            lastFullSync = Date.now();
+        }
+        result.links.forEach(link => linkUrlsById.set(link.id, link.url));
+        result.deletedIds.forEach(id => linkUrlsById.delete(id));
+        lastSyncTime = result.serverTime;
+        
         // Store both original and normalized URLs for better matching
         linkUrlCache = new Set();
-        links.forEach(link => {
-            linkUrlCache.add(link.url);
+        linkUrlsById.forEach(url => {
+            linkUrlCache.add(url);
             // Also add normalized version
-            const normalized = normalizeUrl(link.url);
-            if (normalized !== link.url) {
+            const normalized = normalizeUrl(url);
+            if (normalized !== url) {
                 linkUrlCache.add(normalized);
             }
         });
         cacheTimestamp = Date.now();
-        console.log('Link cache updated:', linkUrlCache.size, 'URLs cached');
+        console.log(`Link cache updated (${fullSync ? 'full' : 'incremental'} sync):`, linkUrlCache.size, 'URLs cached');
     }
 }
 
@@ -160,8 +200,14 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
 
 // Listen for messages from popup (when link is added/updated)
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    if (message.type === 'linkChanged') {
+    if (message.type === 'linkChanged' || message.type === 'workspaceChanged') {
         // Invalidate cache and update current tab
+        // Another workspace has other links, so its URLs are fetched from scratch
+        if (message.type === 'workspaceChanged') {
+            linkUrlsById.clear();
+            linkUrlCache.clear();
+            lastSyncTime = null;
+        }
         cacheTimestamp = 0;
         chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
             if (tabs[0]) {
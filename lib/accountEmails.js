@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const { dbRun, dbGet } = require('../database/init');
+const { hashToken } = require('../middleware/auth');
+const { sendMail, appUrl } = require('./mailer');
+
+/**
+ * Password reset and email verification
+ *
+ * Both work with single-use links sent by email. The link carries a random
+ * token of which only the SHA-256 hash is stored (like API tokens). Reset
+ * links expire after an hour, verification links after two days, and asking
+ * for a new link replaces the user's earlier unused ones of the same kind.
+ *
+ * A verification link confirms the address it was sent to. When a user changes
+ * their email, the new address is only stored once its link is opened, so an
+ * account never holds an address nobody has confirmed owning.
+ */
+
+const TOKEN_BYTES = 32;
+const TOKEN_LIFETIMES = {
+    password_reset: '+1 hours',
+    email_verification: '+2 days'
+};
+
+/**
+ * Create a single-use token for a user, replacing their unused tokens of the same purpose
+ * @param {string} purpose - "password_reset" or "email_verification"
+ * @param {string} email - Address the link is sent to
+ * @returns {Promise<string>} The token (only its hash is stored)
+ */
+async function createEmailToken(db, userId, purpose, email) {
+    const token = crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+
+    await dbRun(db, 'DELETE FROM email_tokens WHERE user_id = ? AND purpose = ? AND used_at IS NULL', [userId, purpose]);
+    await dbRun(
+        db,
+        `INSERT INTO email_tokens (user_id, purpose, token_hash, email, expires_at)
+         VALUES (?, ?, ?, ?, datetime('now', ?))`,
+        [userId, purpose, hashToken(token), email, TOKEN_LIFETIMES[purpose]]
+    );
+
+    return token;
+}
+
+/**
+ * Mark a token as used, if it is unused and not expired
+ * @returns {Promise<object|null>} The token row ({ id, user_id, email }), or null if it can't be used
+ */
+async function consumeEmailToken(db, purpose, token) {
+    if (typeof token !== 'string' || !token) return null;
+
+    const row = await dbGet(
+        db,
+        `SELECT id, user_id, email FROM email_tokens
+         WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+        [hashToken(token), purpose]
+    );
+    if (!row) return null;
+
+    // Conditional update, so a link can't be used twice by parallel requests
+    const result = await dbRun(
+        db,
+        'UPDATE email_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+        [row.id]
+    );
+    return result.changes > 0 ? row : null;
+}
+
+/**
+ * New email address a user asked for that hasn't been confirmed yet
+ * @returns {Promise<string|null>}
+ */
+async function getPendingEmail(db, userId) {
+    const row = await dbGet(
+        db,
+        `SELECT t.email FROM email_tokens t
+         JOIN users u ON u.id = t.user_id
+         WHERE t.user_id = ? AND t.purpose = 'email_verification' AND t.used_at IS NULL
+           AND t.expires_at > CURRENT_TIMESTAMP AND t.email != u.email
+         ORDER BY t.id DESC LIMIT 1`,
+        [userId]
+    );
+    return row ? row.email : null;
+}
+
+/**
+ * Send the email carrying a token's link
+ * If sending fails the token is deleted, since a link that never arrived isn't pending.
+ */
+async function sendTokenEmail(db, token, message) {
+    try {
+        await sendMail(message);
+    } catch (error) {
+        await dbRun(db, 'DELETE FROM email_tokens WHERE token_hash = ?', [hashToken(token)]);
+        throw error;
+    }
+}
+
+/**
+ * Email a password reset link to a user
+ * @param {object} user - { id, username, email }
+ */
+async function sendPasswordResetEmail(db, user) {
+    const baseUrl = appUrl();
+    const token = await createEmailToken(db, user.id, 'password_reset', user.email);
+    const link = `${baseUrl}/?reset_password=${encodeURIComponent(token)}`;
+
+    await sendTokenEmail(db, token, {
+        to: user.email,
+        subject: 'Reset your Tabinator password',
+        text: `Hi ${user.username},\n\n`
+            + `Someone asked to reset the password of your Tabinator account. Open this link within an hour to choose a new one:\n\n`
+            + `${link}\n\n`
+            + `If this wasn't you, ignore this email; your password stays the same.\n`
+    });
+}
+
+/**
+ * Email a link that confirms an address belongs to a user
+ * @param {object} user - { id, username }
+ * @param {string} email - The account's address, or the new address of an email change
+ */
+async function sendVerificationEmail(db, user, email) {
+    const baseUrl = appUrl();
+    const token = await createEmailToken(db, user.id, 'email_verification', email);
+    const link = `${baseUrl}/?verify_email=${encodeURIComponent(token)}`;
+
+    await sendTokenEmail(db, token, {
+        to: email,
+        subject: 'Confirm your email address for Tabinator',
+        text: `Hi ${user.username},\n\n`
+            + `Open this link within two days to confirm that ${email} is the email address of your Tabinator account:\n\n`
+            + `${link}\n\n`
+            + `If you didn't ask for this, ignore this email.\n`
+    });
+}
+
+module.exports = {
+    consumeEmailToken,
+    getPendingEmail,
+    sendPasswordResetEmail,
+    sendVerificationEmail
+};
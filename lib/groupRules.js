@@ -0,0 +1,675 @@
+const RE2 = require('re2');
+const { dbRun, dbAll } = require('../database/init');
+
+/**
+ * Group rule helpers shared by the API routes
+ *
+ * Mirrors the block logic used by the frontend (see linkMatchesGroup in app/index.html):
+ * - Within a block: Tags OR Names OR URLs OR Groups
+ * - Between include blocks: AND
+ * - Between exclude blocks: OR
+ *
+ * Blocks can also test a link's dates, domain and health:
+ * - created_within_days: N  created in the last N days
+ * - not_updated_days: N     not updated for at least N days
+ * - domains: [...]          URL host is one of the domains or a subdomain of one ("www." is ignored)
+ * - health: [...]           last link check result is one of ok, broken or redirected
+ *
+ * A block's groups list holds IDs of other groups of the same user; it matches
+ * links that belong to any of those groups. References may not form a cycle or
+ * be nested more than MAX_GROUP_NESTING levels deep (checked on save by
+ * checkGroupReferences). A group that live groups reference can't be trashed,
+ * and purging a group removes it from the rules that referenced it; should a
+ * reference still point at a trashed or missing group, it matches nothing.
+ *
+ * Each value in a block is either a plain string, matched with the default
+ * operator of its list, or {value, operator} with one of MATCH_OPERATORS:
+ * - contains  value appears anywhere (default for names and URLs)
+ * - exact     whole value is equal (default for tags)
+ * - prefix    starts with the value
+ * - glob      wildcard pattern over the whole value: * is any text, ? one character
+ * - regex     regular expression, matched with RE2 so it runs in linear time. The
+ *             frontend matches with JavaScript regexes, which can take exponential
+ *             time, so repeating a group that holds a repeat or an alternation,
+ *             like (a+)+ or (a|b)*, is refused on save
+ * - domain    URL host equals the value, ignoring a leading "www." (URLs only)
+ * Matching ignores case, except for tags with the exact operator. URL patterns
+ * (exact, prefix and glob) may leave out the scheme, so *.atlassian.net/* works.
+ */
+
+const MATCH_OPERATORS = ['contains', 'exact', 'prefix', 'glob', 'regex', 'domain'];
+const DEFAULT_OPERATORS = { tags: 'exact', names: 'contains', urls: 'contains' };
+const MATCH_TYPES = Object.keys(DEFAULT_OPERATORS);
+const MAX_PATTERN_LENGTH = 500;
+// Criteria holding a single number of days rather than a list
+const DAY_CRITERIA = ['created_within_days', 'not_updated_days'];
+const MAX_DAYS = 36500;
+const HEALTH_STATES = ['ok', 'broken', 'redirected'];
+const DOMAIN_PATTERN = /^[a-z0-9.-]+$/i;
+// Longest chain of group references (a group referencing a group referencing...)
+const MAX_GROUP_NESTING = 5;
+
+/**
+ * Get the value and operator of a rule value in either form
+ * @returns {{value: string, operator: string}}
+ */
+function parseRuleValue(matchType, ruleValue) {
+    if (ruleValue !== null && typeof ruleValue === 'object') {
+        return {
+            value: String(ruleValue.value),
+            operator: ruleValue.operator || DEFAULT_OPERATORS[matchType]
+        };
+    }
+    return { value: String(ruleValue), operator: DEFAULT_OPERATORS[matchType] };
+}
+
+/**
+ * Check the include or exclude blocks of a group definition
+ * Used as an express-validator custom validator and by the import.
+ * @throws {Error} Describing the first invalid value
+ */
+function validateGroupBlocks(blocks) {
+    if (!Array.isArray(blocks)) {
+        throw new Error('Rules must be an array of blocks');
+    }
+
+    blocks.forEach((block, blockIndex) => {
+        if (!block || typeof block !== 'object' || Array.isArray(block)) {
+            throw new Error(`Block ${blockIndex + 1} must be an object`);
+        }
+
+        if (block.groups !== undefined) {
+            if (!Array.isArray(block.groups) || !block.groups.every(id => Number.isInteger(id) && id > 0)) {
+                throw new Error(`Block ${blockIndex + 1}: groups must be an array of group IDs`);
+            }
+        }
+
+        for (const criterion of DAY_CRITERIA) {
+            if (block[criterion] === undefined) continue;
+            if (!Number.isInteger(block[criterion]) || block[criterion] < 1 || block[criterion] > MAX_DAYS) {
+                throw new Error(`Block ${blockIndex + 1}: ${criterion} must be a number of days between 1 and ${MAX_DAYS}`);
+            }
+        }
+
+        if (block.domains !== undefined) {
+            if (!Array.isArray(block.domains) || !block.domains.every(domain => typeof domain === 'string' && DOMAIN_PATTERN.test(domain))) {
+                throw new Error(`Block ${blockIndex + 1}: domains must be an array of domain names`);
+            }
+        }
+
+        if (block.health !== undefined) {
+            if (!Array.isArray(block.health) || !block.health.every(state => HEALTH_STATES.includes(state))) {
+                throw new Error(`Block ${blockIndex + 1}: health must be an array of ${HEALTH_STATES.join(', ')}`);
+            }
+        }
+
+        for (const matchType of MATCH_TYPES) {
+            if (block[matchType] === undefined) continue;
+            if (!Array.isArray(block[matchType])) {
+                throw new Error(`Block ${blockIndex + 1}: ${matchType} must be an array`);
+            }
+
+            for (const ruleValue of block[matchType]) {
+                const isObject = ruleValue !== null && typeof ruleValue === 'object';
+                const value = isObject ? ruleValue.value : ruleValue;
+                if ((typeof value !== 'string' && typeof value !== 'number') || String(value).trim() === '') {
+                    throw new Error(`Block ${blockIndex + 1}: ${matchType} values must be non-empty strings`);
+                }
+
+                const { operator } = parseRuleValue(matchType, ruleValue);
+                if (!MATCH_OPERATORS.includes(operator)) {
+                    throw new Error(`Block ${blockIndex + 1}: unknown operator "${operator}"`);
+                }
+                if (operator === 'domain' && matchType !== 'urls') {
+                    throw new Error(`Block ${blockIndex + 1}: the domain operator only applies to URLs`);
+                }
+                if (operator === 'domain' && !DOMAIN_PATTERN.test(String(value))) {
+                    throw new Error(`Block ${blockIndex + 1}: "${value}" is not a domain name`);
+                }
+                if (operator === 'regex' || operator === 'glob') {
+                    if (String(value).length > MAX_PATTERN_LENGTH) {
+                        throw new Error(`Block ${blockIndex + 1}: patterns must be at most ${MAX_PATTERN_LENGTH} characters`);
+                    }
+                }
+                if (operator === 'regex') {
+                    try {
+                        new RegExp(value, 'i');
+                    } catch (e) {
+                        throw new Error(`Block ${blockIndex + 1}: invalid regular expression "${value}"`);
+                    }
+                    try {
+                        new RE2(String(value), 'i');
+                    } catch (e) {
+                        throw new Error(`Block ${blockIndex + 1}: regular expressions can't use lookarounds or backreferences`);
+                    }
+                    if (hasNestedQuantifier(String(value))) {
+                        throw new Error(`Block ${blockIndex + 1}: regular expressions can't repeat a group that contains a repeat or |, like (a+)+ or (a|b)*`);
+                    }
+                }
+            }
+        }
+    });
+
+    return true;
+}
+
+/**
+ * Replace the stored rules of a group with the given blocks
+ * Operators are only stored when they differ from the default of their list.
+ */
+async function saveGroupRules(db, groupId, include = [], exclude = []) {
+    await dbRun(db, 'DELETE FROM group_rules WHERE group_id = ?', [groupId]);
+
+    for (const [ruleType, blocks] of [['include', include], ['exclude', exclude]]) {
+        for (let blockIndex = 0; blockIndex < blocks.length; blockIndex++) {
+            const block = blocks[blockIndex];
+            for (const matchType of MATCH_TYPES) {
+                if (!Array.isArray(block[matchType])) continue;
+                for (const ruleValue of block[matchType]) {
+                    const { value, operator } = parseRuleValue(matchType, ruleValue);
+                    await dbRun(
+                        db,
+                        'INSERT INTO group_rules (group_id, rule_type, match_type, match_value, match_operator, block_index) VALUES (?, ?, ?, ?, ?, ?)',
+                        [groupId, ruleType, matchType, value, operator === DEFAULT_OPERATORS[matchType] ? null : operator, blockIndex]
+                    );
+                }
+            }
+            // Criteria without operators: group IDs, day counts, domains and health states
+            const plainValues = [
+                ...(block.groups || []).map(id => ['groups', id]),
+                ...DAY_CRITERIA.filter(criterion => block[criterion] !== undefined).map(criterion => [criterion, block[criterion]]),
+                ...(block.domains || []).map(domain => ['domains', domain.toLowerCase()]),
+                ...(block.health || []).map(state => ['health', state])
+            ];
+            for (const [matchType, value] of plainValues) {
+                await dbRun(
+                    db,
+                    'INSERT INTO group_rules (group_id, rule_type, match_type, match_value, block_index) VALUES (?, ?, ?, ?, ?)',
+                    [groupId, ruleType, matchType, String(value), blockIndex]
+                );
+            }
+        }
+    }
+}
+
+/**
+ * Rebuild the include/exclude block structure from group_rules rows
+ * @returns {{include: object[], exclude: object[]}}
+ */
+function buildGroupBlocks(rules) {
+    // Group rules by rule_type and block_index to preserve block structure
+    const includeBlocks = {};
+    const excludeBlocks = {};
+
+    for (const rule of rules) {
+        const blocks = rule.rule_type === 'include' ? includeBlocks : excludeBlocks;
+
+        if (!blocks[rule.block_index]) {
+            blocks[rule.block_index] = {};
+        }
+        if (DAY_CRITERIA.includes(rule.match_type)) {
+            blocks[rule.block_index][rule.match_type] = parseInt(rule.match_value);
+            continue;
+        }
+        if (!blocks[rule.block_index][rule.match_type]) {
+            blocks[rule.block_index][rule.match_type] = [];
+        }
+
+        let value = rule.match_value;
+        if (rule.match_type === 'groups') {
+            value = parseInt(rule.match_value);
+        } else if (rule.match_operator) {
+            value = { value: rule.match_value, operator: rule.match_operator };
+        }
+        blocks[rule.block_index][rule.match_type].push(value);
+    }
+
+    const toArray = (blocks) => Object.keys(blocks)
+        .sort((a, b) => parseInt(a) - parseInt(b))
+        .map(key => blocks[key]);
+
+    return {
+        include: toArray(includeBlocks),
+        exclude: toArray(excludeBlocks)
+    };
+}
+
+/**
+ * Load the rules of a group and rebuild the include/exclude block structure
+ * @returns {Promise<{include: object[], exclude: object[]}>}
+ */
+async function loadGroupBlocks(db, groupId) {
+    const rules = await dbAll(
+        db,
+        'SELECT rule_type, match_type, match_value, match_operator, block_index FROM group_rules WHERE group_id = ? ORDER BY rule_type, block_index, match_type, id',
+        [groupId]
+    );
+
+    return buildGroupBlocks(rules);
+}
+
+/**
+ * Load all live groups of a workspace with their blocks, in the workspace's order (pinned first), in two queries
+ * @param {number[]} [groupIds] Only load these groups
+ * @returns {Promise<{id: number, name: string, pinned: boolean, position: number, include: object[], exclude: object[]}[]>}
+ */
+async function loadWorkspaceGroups(db, workspaceId, groupIds) {
+    const idFilter = groupIds ? `AND id IN (${groupIds.map(() => '?').join(', ') || 'NULL'})` : '';
+    const groups = await dbAll(
+        db,
+        `SELECT id, name, pinned, position FROM groups WHERE workspace_id = ? AND deleted_at IS NULL ${idFilter}
+         ORDER BY pinned DESC, position, name`,
+        [workspaceId, ...(groupIds || [])]
+    );
+
+    if (groups.length === 0) return [];
+
+    const rules = await dbAll(
+        db,
+        `SELECT group_id, rule_type, match_type, match_value, match_operator, block_index FROM group_rules
+         WHERE group_id IN (${groups.map(() => '?').join(', ')})
+         ORDER BY rule_type, block_index, match_type, id`,
+        groups.map(group => group.id)
+    );
+
+    return groups.map(group => ({
+        id: group.id,
+        name: group.name,
+        pinned: !!group.pinned,
+        position: group.position,
+        ...buildGroupBlocks(rules.filter(rule => rule.group_id === group.id))
+    }));
+}
+
+/**
+ * IDs of the groups referenced by a set of blocks
+ */
+function referencedGroupIds(blocks) {
+    const ids = new Set();
+    for (const block of blocks || []) {
+        for (const id of block.groups || []) ids.add(id);
+    }
+    return ids;
+}
+
+/**
+ * Check the groups referenced by a group's new rules: they must be live groups
+ * of the workspace, and saving must not create a cycle of references
+ * @param {number|null} groupId The group being saved (null for a new group)
+ * @returns {Promise<string|null>} Error message, or null if the references are fine
+ */
+async function checkGroupReferences(db, workspaceId, groupId, include, exclude) {
+    const references = new Set([...referencedGroupIds(include), ...referencedGroupIds(exclude)]);
+    if (references.size === 0) return null;
+
+    const groups = await dbAll(db, 'SELECT id, name FROM groups WHERE workspace_id = ? AND deleted_at IS NULL', [workspaceId]);
+    const names = new Map(groups.map(group => [group.id, group.name]));
+
+    for (const id of references) {
+        if (!names.has(id)) return `Group ${id} not found`;
+    }
+    if (references.has(groupId)) return 'A group cannot include or exclude itself';
+
+    // Follow the stored references of the other groups, with this group's new ones
+    // (a new group is 0, which no stored group uses)
+    const savedId = groupId === null ? 0 : groupId;
+    const rows = await dbAll(
+        db,
+        `SELECT r.group_id, r.match_value FROM group_rules r
+         JOIN groups g ON g.id = r.group_id
+         WHERE g.workspace_id = ? AND g.deleted_at IS NULL AND r.match_type = 'groups' AND r.group_id != ?`,
+        [workspaceId, savedId]
+    );
+    const edges = new Map([[savedId, [...references]]]);
+    const reverseEdges = new Map();
+    for (const [from, to] of [...references.values()].map(id => [savedId, id])
+        .concat(rows.map(row => [row.group_id, parseInt(row.match_value)]))) {
+        if (from !== savedId) {
+            if (!edges.has(from)) edges.set(from, []);
+            edges.get(from).push(to);
+        }
+        if (!reverseEdges.has(to)) reverseEdges.set(to, []);
+        reverseEdges.get(to).push(from);
+    }
+
+    // Depth-first search for a path leading back to the saved group
+    const visited = new Set();
+    const findPath = (id, path) => {
+        for (const next of edges.get(id) || []) {
+            if (next === savedId) return [...path, next];
+            if (visited.has(next)) continue;
+            visited.add(next);
+            const found = findPath(next, [...path, next]);
+            if (found) return found;
+        }
+        return null;
+    };
+    const cycle = findPath(savedId, [savedId]);
+    if (cycle) {
+        return `Group references would form a cycle: ${cycle.map(id => names.get(id)).join(' → ')}`;
+    }
+
+    // Longest chain of references through the saved group: the groups above it plus those below
+    const longestPath = (id, graph, depths = new Map(), visiting = new Set()) => {
+        if (depths.has(id)) return depths.get(id);
+        if (visiting.has(id)) return 0;
+        visiting.add(id);
+        const depth = Math.max(0, ...(graph.get(id) || []).map(next => 1 + longestPath(next, graph, depths, visiting)));
+        visiting.delete(id);
+        depths.set(id, depth);
+        return depth;
+    };
+    if (longestPath(savedId, edges) + longestPath(savedId, reverseEdges) > MAX_GROUP_NESTING) {
+        return `Groups can be nested at most ${MAX_GROUP_NESTING} levels deep`;
+    }
+
+    return null;
+}
+
+/**
+ * Names of the live groups whose rules reference a group
+ */
+async function findReferencingGroups(db, workspaceId, groupId) {
+    const rows = await dbAll(
+        db,
+        `SELECT DISTINCT g.name FROM group_rules r
+         JOIN groups g ON g.id = r.group_id
+         WHERE g.workspace_id = ? AND g.deleted_at IS NULL AND r.match_type = 'groups' AND r.match_value = ?
+         ORDER BY g.name COLLATE NOCASE`,
+        [workspaceId, String(groupId)]
+    );
+    return rows.map(row => row.name);
+}
+
+/**
+ * Names of the trashed groups that a group's rules reference
+ */
+async function findTrashedReferences(db, workspaceId, groupId) {
+    const rows = await dbAll(
+        db,
+        `SELECT DISTINCT g.name FROM group_rules r
+         JOIN groups g ON g.id = CAST(r.match_value AS INTEGER)
+         WHERE r.group_id = ? AND r.match_type = 'groups' AND g.workspace_id = ? AND g.deleted_at IS NOT NULL
+         ORDER BY g.name COLLATE NOCASE`,
+        [groupId, workspaceId]
+    );
+    return rows.map(row => row.name);
+}
+
+/**
+ * Index group definitions by ID, for resolving nested group references
+ * @returns {Map<number, object>}
+ */
+function indexGroups(groups) {
+    return new Map(groups.map(group => [group.id, group]));
+}
+
+/**
+ * Whether a regular expression repeats a group that contains a quantifier or an
+ * alternation, like (a+)+, (a|a)* or (.*a){12}, which backtracks exponentially in
+ * JavaScript on input that almost matches
+ */
+function hasNestedQuantifier(pattern) {
+    const isQuantifier = (index) => '+*?'.includes(pattern[index]) ||
+        (pattern[index] === '{' && /^\{\d+(,\d*)?\}/.test(pattern.slice(index)));
+    // ? makes a group optional but doesn't repeat it
+    const isRepeat = (index) => isQuantifier(index) && pattern[index] !== '?';
+    // For each open group, whether it contains a quantifier or an alternation
+    const groups = [];
+    let inClass = false;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '\\') {
+            i++;
+        } else if (inClass) {
+            inClass = char !== ']';
+        } else if (char === '[') {
+            inClass = true;
+        } else if (char === '(') {
+            groups.push(false);
+            // Skip the ? of (?:...), (?=...), (?<name>...) and the like
+            if (pattern[i + 1] === '?') i++;
+        } else if (char === ')' && groups.length > 0) {
+            const isComplex = groups.pop();
+            if (isComplex && isRepeat(i + 1)) return true;
+            if ((isComplex || isQuantifier(i + 1)) && groups.length > 0) groups[groups.length - 1] = true;
+        } else if ((char === '|' || isQuantifier(i)) && groups.length > 0) {
+            groups[groups.length - 1] = true;
+        }
+    }
+    return false;
+}
+
+// Compiled regex patterns, shared across calls
+const patternCache = new Map();
+
+/**
+ * Compile a regex pattern (case-insensitive) with RE2; null if the pattern is invalid
+ */
+function compilePattern(pattern) {
+    if (!patternCache.has(pattern)) {
+        if (patternCache.size >= 1000) patternCache.clear();
+
+        let regex = null;
+        try {
+            regex = new RE2(pattern, 'i');
+        } catch (e) {
+            regex = null;
+        }
+        patternCache.set(pattern, regex);
+    }
+    return patternCache.get(pattern);
+}
+
+/**
+ * Match a whole text against a glob pattern (* is any text, ? one character)
+ * Backtracks only to the last *, so it takes at most text × pattern steps.
+ */
+function globMatches(text, pattern) {
+    let t = 0;
+    let p = 0;
+    let starP = -1;
+    let starT = 0;
+
+    while (t < text.length) {
+        if (p < pattern.length && (pattern[p] === '?' || pattern[p] === text[t])) {
+            t++;
+            p++;
+        } else if (p < pattern.length && pattern[p] === '*') {
+            starP = p++;
+            starT = t;
+        } else if (starP !== -1) {
+            // Let the last * take one more character and try again from there
+            p = starP + 1;
+            t = ++starT;
+        } else {
+            return false;
+        }
+    }
+    while (pattern[p] === '*') p++;
+    return p === pattern.length;
+}
+
+/**
+ * Host of a URL without a leading "www.", or null if the URL can't be parsed
+ */
+function urlDomain(url) {
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Check one text against one operator and value
+ */
+function matchText(text, operator, value, caseSensitive) {
+    const a = caseSensitive ? text : text.toLowerCase();
+    const b = caseSensitive ? value : value.toLowerCase();
+
+    switch (operator) {
+        case 'contains': return a.includes(b);
+        case 'exact': return a === b;
+        case 'prefix': return a.startsWith(b);
+        case 'glob': return globMatches(a, b);
+        case 'regex': {
+            const regex = compilePattern(value);
+            return regex ? regex.test(text) : false;
+        }
+        default: return false;
+    }
+}
+
+/**
+ * Check whether a link matches a single rule value
+ */
+function ruleValueMatches(matchType, ruleValue, link) {
+    const { value, operator } = parseRuleValue(matchType, ruleValue);
+
+    if (matchType === 'tags') {
+        // Tags are case-sensitive, so an exact tag match respects case
+        return (link.tags || []).some(tag => matchText(tag, operator, value, operator === 'exact'));
+    }
+
+    if (matchType === 'urls') {
+        const url = link.url || '';
+        if (operator === 'domain') {
+            return urlDomain(url) === value.toLowerCase().replace(/^www\./, '');
+        }
+        // Let patterns leave out the scheme ("example.com/docs*")
+        const withoutScheme = url.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+        return matchText(url, operator, value, false) ||
+               (withoutScheme !== url && matchText(withoutScheme, operator, value, false));
+    }
+
+    return matchText(link.name || '', operator, value, false);
+}
+
+/**
+ * Check a single rule list against a link (any value matching is enough)
+ * @param {string} matchType tags, names or urls
+ */
+function checkList(list, matchType, link) {
+    if (!list || list.length === 0) return false;
+    return list.some(ruleValue => ruleValueMatches(matchType, ruleValue, link));
+}
+
+/**
+ * Milliseconds since the epoch of an SQLite timestamp (UTC), or null
+ */
+function parseTimestamp(timestamp) {
+    if (!timestamp) return null;
+    const time = Date.parse(timestamp.replace(' ', 'T') + (timestamp.endsWith('Z') ? '' : 'Z'));
+    return isNaN(time) ? null : time;
+}
+
+/**
+ * Check the date, domain and health criteria of a block (any one matching is enough)
+ */
+function checkLinkCriteria(block, link) {
+    const dayMs = 24 * 60 * 60 * 1000;
+
+    if (block.created_within_days !== undefined) {
+        const created = parseTimestamp(link.created_at);
+        if (created !== null && created >= Date.now() - block.created_within_days * dayMs) return true;
+    }
+
+    if (block.not_updated_days !== undefined) {
+        const updated = parseTimestamp(link.updated_at || link.created_at);
+        if (updated !== null && updated <= Date.now() - block.not_updated_days * dayMs) return true;
+    }
+
+    if (block.domains && block.domains.length > 0) {
+        const host = urlDomain(link.url || '');
+        if (host && block.domains.some(domain => {
+            const wanted = domain.toLowerCase().replace(/^www\./, '');
+            return host === wanted || host.endsWith('.' + wanted);
+        })) return true;
+    }
+
+    if (block.health && block.health.length > 0) {
+        if (link.health && block.health.includes(link.health.state)) return true;
+    }
+
+    return false;
+}
+
+/**
+ * Check whether a link belongs to any of the referenced groups
+ * @param {Set<number>} visiting IDs of the groups being evaluated, to stop at cycles
+ * @param {Map<number, boolean>} results Groups already evaluated for this link
+ */
+function checkGroupList(list, link, groupsById, visiting, results) {
+    if (!list || list.length === 0) return false;
+    return list.some(id => {
+        const groupDef = groupsById.get(id);
+        return groupDef ? linkMatchesGroup(link, groupDef, groupsById, visiting, results) : false;
+    });
+}
+
+/**
+ * Check whether any field of a block matches the link (OR logic within a block)
+ */
+function blockMatches(block, link, groupsById = new Map(), visiting = new Set(), results = new Map()) {
+    return checkList(block.tags, 'tags', link) ||
+           checkList(block.names, 'names', link) ||
+           checkList(block.urls, 'urls', link) ||
+           checkLinkCriteria(block, link) ||
+           checkGroupList(block.groups, link, groupsById, visiting, results);
+}
+
+/**
+ * Check whether a link belongs to a group definition
+ * @param {object} link Link with name, url and tags array
+ * @param {object} groupDef Group with include and exclude block arrays
+ * @param {Map<number, object>} [groupsById] All groups of the workspace (see indexGroups), for nested groups
+ * @param {Set<number>} [visiting] Groups already being evaluated further up (internal)
+ * @param {Map<number, boolean>} [results] Groups already evaluated for this link (internal),
+ *   so a group referenced from many places is only evaluated once
+ */
+function linkMatchesGroup(link, groupDef, groupsById = new Map(), visiting = new Set(), results = new Map()) {
+    const includeBlocks = groupDef.include || [];
+    const excludeBlocks = groupDef.exclude || [];
+
+    // A group without any blocks doesn't match anything
+    if (includeBlocks.length === 0 && excludeBlocks.length === 0) {
+        return false;
+    }
+
+    // A group reached again through its own references matches nothing
+    if (groupDef.id !== undefined) {
+        if (results.has(groupDef.id)) return results.get(groupDef.id);
+        if (visiting.has(groupDef.id)) return false;
+        visiting = new Set(visiting).add(groupDef.id);
+    }
+
+    // If any exclude block matches, the link is excluded;
+    // otherwise all include blocks must match (AND logic between blocks)
+    const matches = !excludeBlocks.some(block => blockMatches(block, link, groupsById, visiting, results)) &&
+        includeBlocks.every(block => blockMatches(block, link, groupsById, visiting, results));
+
+    if (groupDef.id !== undefined) {
+        results.set(groupDef.id, matches);
+    }
+    return matches;
+}
+
+module.exports = {
+    MATCH_OPERATORS,
+    DEFAULT_OPERATORS,
+    HEALTH_STATES,
+    MAX_GROUP_NESTING,
+    validateGroupBlocks,
+    saveGroupRules,
+    loadGroupBlocks,
+    loadWorkspaceGroups,
+    checkGroupReferences,
+    findReferencingGroups,
+    findTrashedReferences,
+    indexGroups,
+    checkList,
+    blockMatches,
+    linkMatchesGroup
+};
@@ -0,0 +1,104 @@
+const { dbRun, dbGet, dbAll } = require('../database/init');
+
+/**
+ * Link revision history
+ *
+ * Every change to a link stores a snapshot of the link as it was right after
+ * the change, together with who made it (user and, for API calls, the token).
+ */
+
+/**
+ * Record a revision of a link from its current state in the database
+ * Works for links in the trash too, so deletions can be recorded.
+ * @param {object} req The request, used to attribute the change
+ * @param {string} action create, update, delete, restore, import or revert
+ */
+async function recordLinkRevision(db, req, linkId, action) {
+    const link = await dbGet(
+        db,
+        `SELECT l.id, l.name, l.url, GROUP_CONCAT(t.name) as tags
+         FROM links l
+         LEFT JOIN link_tags lt ON l.id = lt.link_id
+         LEFT JOIN tags t ON lt.tag_id = t.id
+         WHERE l.id = ?
+         GROUP BY l.id`,
+        [linkId]
+    );
+
+    if (!link) return;
+
+    const tags = link.tags ? link.tags.split(',').sort((a, b) => a.localeCompare(b)) : [];
+
+    await dbRun(
+        db,
+        `INSERT INTO link_revisions (link_id, user_id, api_token_id, action, name, url, tags)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [linkId, req.userId, req.apiTokenId || null, action, link.name, link.url, JSON.stringify(tags)]
+    );
+}
+
+/**
+ * Get the revisions of a link, newest first
+ */
+async function getLinkRevisions(db, linkId) {
+    const revisions = await dbAll(
+        db,
+        `SELECT r.id, r.action, r.name, r.url, r.tags, r.created_at,
+                r.user_id, u.username, r.api_token_id, at.name AS api_token_name
+         FROM link_revisions r
+         LEFT JOIN users u ON u.id = r.user_id
+         LEFT JOIN api_tokens at ON at.id = r.api_token_id
+         WHERE r.link_id = ?
+         ORDER BY r.id DESC`,
+        [linkId]
+    );
+
+    return revisions.map(formatRevision);
+}
+
+/**
+ * Get a single revision of a link
+ * @returns {Promise<object|undefined>}
+ */
+async function getLinkRevision(db, linkId, revisionId) {
+    const revision = await dbGet(
+        db,
+        'SELECT id, action, name, url, tags, created_at FROM link_revisions WHERE id = ? AND link_id = ?',
+        [revisionId, linkId]
+    );
+
+    return revision ? formatRevision(revision) : undefined;
+}
+
+/**
+ * Format a link_revisions row for API responses
+ */
+function formatRevision(revision) {
+    const formatted = {
+        id: revision.id,
+        action: revision.action,
+        name: revision.name,
+        url: revision.url,
+        tags: JSON.parse(revision.tags || '[]'),
+        created_at: revision.created_at
+    };
+
+    if (revision.user_id !== undefined) {
+        formatted.changed_by = {
+            user_id: revision.user_id,
+            username: revision.username || null,
+            // Revoked tokens keep their ID but lose their name
+            api_token: revision.api_token_id
+                ? (revision.api_token_name || 'revoked token')
+                : null
+        };
+    }
+
+    return formatted;
+}
+
+module.exports = {
+    recordLinkRevision,
+    getLinkRevisions,
+    getLinkRevision
+};
@@ -0,0 +1,198 @@
+const { dbRun, dbAll } = require('../database/init');
+const { fetchPublicUrl } = require('./outboundRequests');
+
+/**
+ * Link health checker
+ *
+ * Requests each stored URL (HEAD first, falling back to GET for servers that
+ * don't support HEAD), follows redirects and records the outcome in link_health.
+ * Links that keep failing are checked less often (exponential backoff). URLs on
+ * private addresses count as broken (see lib/outboundRequests.js).
+ *
+ * Settings come from the environment:
+ * - LINK_CHECK_INTERVAL_HOURS: how long a healthy result stays fresh (default 24)
+ * - LINK_CHECK_CONCURRENCY: requests in flight at once (default 5)
+ * - LINK_CHECK_TIMEOUT_MS: per-request timeout (default 10000)
+ * - LINK_CHECK_BATCH_SIZE: max links checked per scheduled run (default 200)
+ */
+
+const CHECK_INTERVAL_HOURS = parseFloat(process.env.LINK_CHECK_INTERVAL_HOURS) || 24;
+const CHECK_CONCURRENCY = parseInt(process.env.LINK_CHECK_CONCURRENCY, 10) || 5;
+const CHECK_TIMEOUT_MS = parseInt(process.env.LINK_CHECK_TIMEOUT_MS, 10) || 10000;
+const CHECK_BATCH_SIZE = parseInt(process.env.LINK_CHECK_BATCH_SIZE, 10) || 200;
+const MAX_BACKOFF_HOURS = 24 * 7;
+const USER_AGENT = 'Tabinator-LinkChecker/1.0';
+
+/**
+ * Normalize a URL for comparison (so "https://a.com" equals "https://a.com/")
+ * The fragment is dropped since it is never sent to the server.
+ */
+function normalizeUrl(url) {
+    try {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        return parsed.href;
+    } catch (e) {
+        return url;
+    }
+}
+
+/**
+ * Classify a health check result
+ * @returns {'ok'|'broken'|'redirected'}
+ */
+function healthState(url, statusCode, finalUrl) {
+    if (!statusCode || statusCode >= 400) {
+        return 'broken';
+    }
+    if (finalUrl && normalizeUrl(finalUrl) !== normalizeUrl(url)) {
+        return 'redirected';
+    }
+    return 'ok';
+}
+
+/**
+ * Request a URL once with the given method, following redirects
+ */
+async function requestUrl(url, method, timeoutMs) {
+    const { response, finalUrl } = await fetchPublicUrl(url, {
+        method,
+        headers: { 'User-Agent': USER_AGENT },
+        signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    // Only the status matters, don't download the body
+    if (response.body) {
+        await response.body.cancel().catch(() => {});
+    }
+
+    return { statusCode: response.status, finalUrl };
+}
+
+/**
+ * Check a single URL
+ * @returns {Promise<{statusCode: number|null, finalUrl: string|null, error: string|null}>}
+ */
+async function checkUrl(url, { timeoutMs = CHECK_TIMEOUT_MS } = {}) {
+    try {
+        let result = await requestUrl(url, 'HEAD', timeoutMs);
+
+        // Many servers reject or mishandle HEAD (405, 501, or even 403/404), so confirm errors with GET
+        if (result.statusCode >= 400) {
+            result = await requestUrl(url, 'GET', timeoutMs);
+        }
+
+        return { statusCode: result.statusCode, finalUrl: result.finalUrl, error: null };
+    } catch (error) {
+        const isTimeout = error.name === 'TimeoutError' || error.name === 'AbortError';
+        const cause = error.cause && (error.cause.code || error.cause.message);
+        return {
+            statusCode: null,
+            finalUrl: null,
+            error: isTimeout ? `Timed out after ${timeoutMs} ms` : (cause || error.message)
+        };
+    }
+}
+
+/**
+ * Run an async worker over items with at most `limit` running at once
+ */
+async function runWithConcurrency(items, limit, worker) {
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const item = items[next++];
+            await worker(item);
+        }
+    });
+    await Promise.all(runners);
+}
+
+/**
+ * Hours until a link should be checked again
+ * Healthy links wait the normal interval; failing links back off 1h, 2h, 4h... up to a week.
+ */
+function nextCheckDelayHours(state, consecutiveFailures) {
+    if (state !== 'broken') {
+        return CHECK_INTERVAL_HOURS;
+    }
+    return Math.min(Math.pow(2, consecutiveFailures - 1), MAX_BACKOFF_HOURS);
+}
+
+/**
+ * Check a set of links and store the results
+ * @param {object[]} links Rows with id, url and consecutive_failures (of the previous check, if any)
+ * @returns {Promise<{checked: number, ok: number, broken: number, redirected: number}>}
+ */
+async function checkLinks(db, links, options = {}) {
+    const summary = { checked: 0, ok: 0, broken: 0, redirected: 0 };
+
+    await runWithConcurrency(links, options.concurrency || CHECK_CONCURRENCY, async (link) => {
+        const result = await checkUrl(link.url, options);
+        const state = healthState(link.url, result.statusCode, result.finalUrl);
+        const failures = state === 'broken' ? (link.consecutive_failures || 0) + 1 : 0;
+        const delayHours = nextCheckDelayHours(state, failures);
+
+        await dbRun(
+            db,
+            `INSERT OR REPLACE INTO link_health
+                 (link_id, url, status_code, final_url, error, checked_at, consecutive_failures, next_check_at)
+             VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP, ?, datetime('now', ?))`,
+            [link.id, link.url, result.statusCode, result.finalUrl, result.error, failures, `+${Math.round(delayHours * 60)} minutes`]
+        );
+
+        summary.checked++;
+        summary[state]++;
+    });
+
+    return summary;
+}
+
+/**
+ * Get live links that are due for a check: never checked, checked under an
+ * old URL, or past their next_check_at
+ * @param {object} [filter] Optional workspaceId and linkIds to restrict to; force ignores next_check_at
+ */
+async function getLinksDueForCheck(db, { workspaceId, linkIds, force = false, limit = CHECK_BATCH_SIZE } = {}) {
+    const conditions = ['l.deleted_at IS NULL'];
+    const params = [];
+
+    if (workspaceId !== undefined) {
+        conditions.push('l.workspace_id = ?');
+        params.push(workspaceId);
+    }
+    if (linkIds) {
+        conditions.push(`l.id IN (${linkIds.map(() => '?').join(', ') || 'NULL'})`);
+        params.push(...linkIds);
+    }
+    if (!force) {
+        conditions.push('(h.link_id IS NULL OR h.next_check_at <= CURRENT_TIMESTAMP)');
+    }
+
+    return dbAll(
+        db,
+        `SELECT l.id, l.url, h.consecutive_failures
+         FROM links l
+         LEFT JOIN link_health h ON h.link_id = l.id AND h.url = l.url
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY h.next_check_at IS NOT NULL, h.next_check_at, l.id
+         LIMIT ?`,
+        [...params, limit]
+    );
+}
+
+/**
+ * Check every link (of all workspaces) that is due, up to one batch
+ */
+async function runScheduledLinkChecks(db) {
+    const links = await getLinksDueForCheck(db);
+    return checkLinks(db, links);
+}
+
+module.exports = {
+    healthState,
+    checkUrl,
+    checkLinks,
+    getLinksDueForCheck,
+    runScheduledLinkChecks
+};
@@ -0,0 +1,293 @@
+const { dbRun, dbGet, dbAll } = require('../database/init');
+const { healthState } = require('./linkChecker');
+const { linkMatchesGroup } = require('./groupRules');
+
+/**
+ * Link helpers shared by the API routes
+ */
+
+// Columns and joins that add the tags, last health check and page metadata to a links query (alias "l")
+const LINK_COLUMNS = `l.id, l.name, l.url, l.position, l.pinned, l.created_at, l.updated_at,
+                GROUP_CONCAT(t.name) as tags,
+                h.status_code AS health_status_code, h.final_url AS health_final_url,
+                h.error AS health_error, h.checked_at AS health_checked_at,
+                m.title AS metadata_title, m.description AS metadata_description,
+                m.favicon AS metadata_favicon, m.fetched_at AS metadata_fetched_at`;
+const LINK_JOINS = `LEFT JOIN link_tags lt ON l.id = lt.link_id
+         LEFT JOIN tags t ON lt.tag_id = t.id
+         LEFT JOIN link_health h ON h.link_id = l.id AND h.url = l.url
+         LEFT JOIN link_metadata m ON m.link_id = l.id AND m.url = l.url`;
+
+/**
+ * Format a link row (with GROUP_CONCAT'd tags) for API responses
+ * health is null until the link has been checked, metadata until its page has been fetched
+ */
+function formatLink(link) {
+    return {
+        id: link.id,
+        name: link.name,
+        url: link.url,
+        tags: link.tags ? link.tags.split(',') : [],
+        position: link.position,
+        pinned: !!link.pinned,
+        created_at: link.created_at,
+        updated_at: link.updated_at,
+        health: link.health_checked_at ? {
+            state: healthState(link.url, link.health_status_code, link.health_final_url),
+            status_code: link.health_status_code,
+            final_url: link.health_final_url,
+            error: link.health_error,
+            checked_at: link.health_checked_at
+        } : null,
+        metadata: link.metadata_fetched_at ? {
+            title: link.metadata_title,
+            description: link.metadata_description,
+            favicon_url: link.metadata_favicon ? `/api/links/${link.id}/favicon` : null,
+            fetched_at: link.metadata_fetched_at
+        } : null
+    };
+}
+
+/**
+ * Get all links of a workspace with their tags (links in the trash are left out)
+ * @param {string} orderBy SQL ORDER BY expression on the links table (alias "l")
+ */
+async function getLinksWithTags(db, workspaceId, orderBy = 'l.id') {
+    const links = await dbAll(
+        db,
+        `SELECT ${LINK_COLUMNS}
+         FROM links l
+         ${LINK_JOINS}
+         WHERE l.workspace_id = ? AND l.deleted_at IS NULL
+         GROUP BY l.id
+         ORDER BY ${orderBy}`,
+        [workspaceId]
+    );
+
+    return links.map(formatLink);
+}
+
+/**
+ * Get a single link with its tags, scoped to the workspace (links in the trash are left out)
+ * @returns {Promise<object|undefined>}
+ */
+async function getLinkById(db, workspaceId, linkId) {
+    const link = await dbGet(
+        db,
+        `SELECT ${LINK_COLUMNS}
+         FROM links l
+         ${LINK_JOINS}
+         WHERE l.id = ? AND l.workspace_id = ? AND l.deleted_at IS NULL
+         GROUP BY l.id`,
+        [linkId, workspaceId]
+    );
+
+    return link ? formatLink(link) : undefined;
+}
+
+/**
+ * Get the given links of a workspace with their tags, in the order of the IDs (links in the trash are left out)
+ */
+async function getLinksByIds(db, workspaceId, linkIds) {
+    if (linkIds.length === 0) return [];
+
+    const links = await dbAll(
+        db,
+        `SELECT ${LINK_COLUMNS}
+         FROM links l
+         ${LINK_JOINS}
+         WHERE l.workspace_id = ? AND l.deleted_at IS NULL AND l.id IN (${linkIds.map(() => '?').join(', ')})
+         GROUP BY l.id`,
+        [workspaceId, ...linkIds]
+    );
+
+    const byId = new Map(links.map(link => [link.id, formatLink(link)]));
+    return linkIds.filter(id => byId.has(id)).map(id => byId.get(id));
+}
+
+// Sort options of GET /api/links, matching the sort menu of the web app
+// Each sort orders by its columns, then by link ID, all in one direction
+const LINK_SORTS = {
+    'az': { columns: ['l.name COLLATE NOCASE'], direction: 'ASC' },
+    'za': { columns: ['l.name COLLATE NOCASE'], direction: 'DESC' },
+    'created-desc': { columns: ["COALESCE(l.created_at, '')"], direction: 'DESC' },
+    'created-asc': { columns: ["COALESCE(l.created_at, '')"], direction: 'ASC' },
+    'updated-desc': { columns: ["COALESCE(l.updated_at, '')"], direction: 'DESC' },
+    'updated-asc': { columns: ["COALESCE(l.updated_at, '')"], direction: 'ASC' },
+    // Pinned first, like the export and the group lists
+    'custom': { columns: ['1 - l.pinned', 'l.position'], direction: 'ASC' }
+};
+
+/**
+ * Encode the position after a link as an opaque pagination cursor
+ * @param {Array<string|number>} sortValues Values of the sort's columns for the link
+ */
+function encodeLinkCursor(sortValues, linkId) {
+    return Buffer.from(JSON.stringify([...sortValues, linkId])).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor of a sort
+ * @returns {{values: Array<string|number>, id: number}|null} null if the cursor is malformed or from another sort
+ */
+function decodeLinkCursor(cursor, sort = 'az') {
+    const order = LINK_SORTS[sort];
+    try {
+        const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!order || !Array.isArray(decoded) || decoded.length !== order.columns.length + 1) return null;
+        const values = decoded.slice(0, -1);
+        const id = decoded[decoded.length - 1];
+        if (!values.every(value => typeof value === 'string' || Number.isFinite(value)) || !Number.isInteger(id)) return null;
+        return { values, id };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Get one page of a workspace's links (links in the trash are left out)
+ * Uses keyset pagination on the sort column, so pages stay stable while links are added.
+ * @param {object} options
+ * @param {string} [options.sort] One of LINK_SORTS (default "az")
+ * @param {number} [options.limit] Page size (default 100)
+ * @param {string} [options.cursor] next_cursor of the previous page
+ * @param {string[]} [options.tags] Only links with all of these tags
+ * @param {object[]} [options.groups] Only links in any of these groups (definitions from loadWorkspaceGroups)
+ * @param {Map<number, object>} [options.groupsById] All groups of the workspace, for groups that reference others
+ * @param {string} [options.updatedSince] Only links updated at or after this SQLite timestamp
+ * @returns {Promise<{links: object[], nextCursor: string|null}>}
+ */
+async function listLinks(db, workspaceId, { sort = 'az', limit = 100, cursor = null, tags = [], groups = [], groupsById = new Map(), updatedSince = null } = {}) {
+    const order = LINK_SORTS[sort];
+    const comparison = order.direction === 'ASC' ? '>' : '<';
+    const conditions = ['l.workspace_id = ?', 'l.deleted_at IS NULL'];
+    const params = [workspaceId];
+
+    for (const tag of tags) {
+        conditions.push(`EXISTS (
+            SELECT 1 FROM link_tags flt JOIN tags ft ON ft.id = flt.tag_id
+            WHERE flt.link_id = l.id AND ft.name = ?)`);
+        params.push(tag);
+    }
+    if (updatedSince) {
+        conditions.push('l.updated_at >= ?');
+        params.push(updatedSince);
+    }
+
+    // Group rules are evaluated in JS, so with a group filter rows are read in
+    // batches until the page is full
+    const batchSize = groups.length > 0 ? Math.max(limit * 2, 200) : limit + 1;
+    const page = [];
+    let after = cursor ? decodeLinkCursor(cursor, sort) : null;
+    const sortValues = (row) => order.columns.map((column, index) => row[`sort_value_${index}`]);
+
+    while (page.length <= limit) {
+        const batchConditions = [...conditions];
+        const batchParams = [...params];
+        if (after) {
+            // Row value comparison: the first differing column decides
+            batchConditions.push(`(${order.columns.join(', ')}, l.id) ${comparison} (${order.columns.map(() => '?').join(', ')}, ?)`);
+            batchParams.push(...after.values, after.id);
+        }
+
+        const rows = await dbAll(
+            db,
+            `SELECT ${LINK_COLUMNS}, ${order.columns.map((column, index) => `${column} AS sort_value_${index}`).join(', ')}
+             FROM links l
+             ${LINK_JOINS}
+             WHERE ${batchConditions.join(' AND ')}
+             GROUP BY l.id
+             ORDER BY ${order.columns.map(column => `${column} ${order.direction}`).join(', ')}, l.id ${order.direction}
+             LIMIT ?`,
+            [...batchParams, batchSize]
+        );
+
+        for (const row of rows) {
+            const link = formatLink(row);
+            if (groups.length === 0 || groups.some(group => linkMatchesGroup(link, group, groupsById))) {
+                page.push({ link, values: sortValues(row), id: row.id });
+                if (page.length > limit) break;
+            }
+        }
+
+        if (rows.length < batchSize) break;
+        const last = rows[rows.length - 1];
+        after = { values: sortValues(last), id: last.id };
+    }
+
+    const hasMore = page.length > limit;
+    const links = page.slice(0, limit);
+    const last = links[links.length - 1];
+
+    return {
+        links: links.map(item => item.link),
+        nextCursor: hasMore ? encodeLinkCursor(last.values, last.id) : null
+    };
+}
+
+/**
+ * Get a tag ID in the workspace, creating the tag if it doesn't exist yet
+ */
+async function getOrCreateTag(db, workspaceId, tagName) {
+    const tag = await dbGet(
+        db,
+        'SELECT id FROM tags WHERE workspace_id = ? AND name = ?',
+        [workspaceId, tagName]
+    );
+
+    if (tag) {
+        return tag.id;
+    }
+
+    const tagResult = await dbRun(
+        db,
+        'INSERT INTO tags (workspace_id, name) VALUES (?, ?)',
+        [workspaceId, tagName]
+    );
+    return tagResult.lastID;
+}
+
+/**
+ * Add tags to a link, keeping the tags it already has
+ */
+async function addLinkTags(db, workspaceId, linkId, tags = []) {
+    for (const tagName of tags) {
+        const sanitizedTag = tagName.trim().substring(0, 100);
+        if (!sanitizedTag) continue;
+
+        const tagId = await getOrCreateTag(db, workspaceId, sanitizedTag);
+
+        // Link tag to link
+        await dbRun(
+            db,
+            'INSERT OR IGNORE INTO link_tags (link_id, tag_id) VALUES (?, ?)',
+            [linkId, tagId]
+        );
+    }
+}
+
+/**
+ * Replace all tags of a link, creating any tags the workspace doesn't have yet
+ */
+async function setLinkTags(db, workspaceId, linkId, tags = []) {
+    await dbRun(
+        db,
+        'DELETE FROM link_tags WHERE link_id = ?',
+        [linkId]
+    );
+
+    await addLinkTags(db, workspaceId, linkId, tags);
+}
+
+module.exports = {
+    formatLink,
+    getLinksWithTags,
+    getLinkById,
+    getLinksByIds,
+    LINK_SORTS,
+    decodeLinkCursor,
+    listLinks,
+    getOrCreateTag,
+    addLinkTags,
+    setLinkTags
+};
@@ -0,0 +1,169 @@
+const { dbRun, dbGet, dbAll } = require('../database/init');
+const { sanitizeString } = require('../middleware/validation');
+
+/**
+ * Login throttling and the login attempt log
+ *
+ * Every login attempt is recorded in login_attempts. Two limits slow down
+ * password guessing:
+ * - per account: after each failed login the account refuses logins for a
+ *   delay that doubles with every consecutive failure (1s, 2s, 4s, ...), and
+ *   after LOGIN_MAX_FAILURES failures in a row it is locked for
+ *   LOGIN_LOCKOUT_MINUTES. A successful login or a password reset clears this.
+ * - per IP address: after LOGIN_IP_MAX_FAILURES failed logins within
+ *   LOGIN_IP_WINDOW_MINUTES, logins from the address are refused until the
+ *   oldest of those failures leaves the window. Wrong passwords of shared
+ *   groups (routes/share.js) are recorded too and count towards this limit.
+ *
+ * Settings come from the environment (0 turns a limit off):
+ * - LOGIN_MAX_FAILURES (default 5), LOGIN_LOCKOUT_MINUTES (default 15)
+ * - LOGIN_DELAY_SECONDS: delay after the first failure (default 1)
+ * - LOGIN_IP_MAX_FAILURES (default 20), LOGIN_IP_WINDOW_MINUTES (default 15)
+ * - LOGIN_ATTEMPT_RETENTION_DAYS: how long attempts are kept (default 90, 0 = forever)
+ */
+
+/**
+ * Read a whole number setting, allowing 0
+ */
+function envInt(name, defaultValue) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) || value < 0 ? defaultValue : value;
+}
+
+const MAX_FAILURES = envInt('LOGIN_MAX_FAILURES', 5);
+const LOCKOUT_MINUTES = envInt('LOGIN_LOCKOUT_MINUTES', 15);
+const DELAY_SECONDS = envInt('LOGIN_DELAY_SECONDS', 1);
+const IP_MAX_FAILURES = envInt('LOGIN_IP_MAX_FAILURES', 20);
+const IP_WINDOW_MINUTES = envInt('LOGIN_IP_WINDOW_MINUTES', 15);
+const RETENTION_DAYS = envInt('LOGIN_ATTEMPT_RETENTION_DAYS', 90);
+const MAX_DELAY_SECONDS = 15 * 60;
+
+// Failures that count towards the limit of an IP address
+const IP_FAILURE_REASONS = "('invalid_password', 'unknown_user', 'invalid_code', 'invalid_share_password')";
+
+/**
+ * Seconds until an IP address may try to log in again
+ * @returns {Promise<number>} 0 if it isn't blocked
+ */
+async function getIpBlockSeconds(db, ip) {
+    if (IP_MAX_FAILURES === 0) return 0;
+
+    const row = await dbGet(
+        db,
+        `SELECT COUNT(*) AS failures,
+                CAST((julianday(MIN(created_at), ?) - julianday('now')) * 86400 AS INTEGER) + 1 AS seconds
+         FROM login_attempts
+         WHERE ip_address = ? AND success = 0 AND reason IN ${IP_FAILURE_REASONS}
+           AND created_at > datetime('now', ?)`,
+        [`+${IP_WINDOW_MINUTES} minutes`, ip, `-${IP_WINDOW_MINUTES} minutes`]
+    );
+
+    return row.failures >= IP_MAX_FAILURES ? Math.max(row.seconds, 1) : 0;
+}
+
+/**
+ * Seconds until an account accepts login attempts again
+ * @returns {Promise<{ seconds: number, locked: boolean }>} seconds is 0 if logins are allowed;
+ *   locked tells a lockout apart from the short delay after a failure
+ */
+async function getAccountBlock(db, userId) {
+    const row = await dbGet(
+        db,
+        `SELECT failed_login_count,
+                CAST((julianday(login_blocked_until) - julianday('now')) * 86400 AS INTEGER) + 1 AS seconds
+         FROM users WHERE id = ? AND login_blocked_until > datetime('now')`,
+        [userId]
+    );
+
+    if (!row) return { seconds: 0, locked: false };
+    return {
+        seconds: Math.max(row.seconds, 1),
+        locked: MAX_FAILURES > 0 && row.failed_login_count >= MAX_FAILURES
+    };
+}
+
+/**
+ * Count a failed login of an account and block it for the next delay, or lock it
+ */
+async function registerFailedLogin(db, userId) {
+    // Increment in SQL, so parallel failures are all counted
+    await dbRun(db, 'UPDATE users SET failed_login_count = failed_login_count + 1 WHERE id = ?', [userId]);
+    const { failed_login_count: failures } = await dbGet(db, 'SELECT failed_login_count FROM users WHERE id = ?', [userId]);
+
+    let blockSeconds = 0;
+    if (MAX_FAILURES > 0 && failures >= MAX_FAILURES) {
+        blockSeconds = LOCKOUT_MINUTES * 60;
+    } else if (DELAY_SECONDS > 0) {
+        blockSeconds = Math.min(DELAY_SECONDS * 2 ** (failures - 1), MAX_DELAY_SECONDS);
+    }
+
+    await dbRun(
+        db,
+        "UPDATE users SET login_blocked_until = CASE WHEN ? > 0 THEN datetime('now', ?) ELSE NULL END WHERE id = ?",
+        [blockSeconds, `+${blockSeconds} seconds`, userId]
+    );
+}
+
+/**
+ * Forget an account's failed logins (after a successful login or a password reset)
+ */
+async function clearFailedLogins(db, userId) {
+    await dbRun(
+        db,
+        'UPDATE users SET failed_login_count = 0, login_blocked_until = NULL WHERE id = ?',
+        [userId]
+    );
+}
+
+/**
+ * Record a login attempt
+ * @param {object} attempt - { userId (null for unknown usernames), success, reason }
+ *   reason is null for successful logins, otherwise one of: invalid_password,
+ *   unknown_user, invalid_code (wrong two-factor code), locked, disabled,
+ *   invalid_share_password (wrong password of a shared group, without a user)
+ */
+async function recordLoginAttempt(db, req, { userId, success, reason = null }) {
+    await dbRun(
+        db,
+        'INSERT INTO login_attempts (user_id, ip_address, user_agent, success, reason) VALUES (?, ?, ?, ?, ?)',
+        [userId, req.ip || null, sanitizeString(req.get('user-agent')).substring(0, 300) || null, success ? 1 : 0, reason]
+    );
+}
+
+/**
+ * Recent login attempts on an account, newest first
+ */
+async function getLoginAttempts(db, userId, limit = 50) {
+    const attempts = await dbAll(
+        db,
+        `SELECT id, ip_address, user_agent, success, reason, created_at
+         FROM login_attempts WHERE user_id = ?
+         ORDER BY created_at DESC, id DESC LIMIT ?`,
+        [userId, limit]
+    );
+    return attempts.map(attempt => ({ ...attempt, success: !!attempt.success }));
+}
+
+/**
+ * Delete login attempts older than the retention period
+ * @returns {Promise<number>} Number of attempts deleted
+ */
+async function purgeLoginAttempts(db) {
+    if (RETENTION_DAYS === 0) return 0;
+    const result = await dbRun(
+        db,
+        "DELETE FROM login_attempts WHERE created_at < datetime('now', ?)",
+        [`-${RETENTION_DAYS} days`]
+    );
+    return result.changes;
+}
+
+module.exports = {
+    getIpBlockSeconds,
+    getAccountBlock,
+    registerFailedLogin,
+    clearFailedLogins,
+    recordLoginAttempt,
+    getLoginAttempts,
+    purgeLoginAttempts
+};
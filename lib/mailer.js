@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+/**
+ * Outgoing email
+ *
+ * Messages are sent through one of three transports, chosen with MAIL_TRANSPORT:
+ * - smtp      deliver through an SMTP server (default when SMTP_HOST is set)
+ * - file      write each message as a JSON file to MAIL_DIR, for development and tests
+ * - console   print each message to the server log (default otherwise)
+ *
+ * Settings come from the environment:
+ * - SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE ("true" for TLS from the start, as on port 465)
+ * - SMTP_USER, SMTP_PASSWORD: credentials, if the server needs them
+ * - MAIL_FROM: sender address (default "Tabinator <tabinator@localhost>")
+ * - MAIL_DIR: folder of the file transport (default data/mail)
+ * - APP_URL: public address of the app used in links; emails with links aren't sent without it
+ */
+
+const MAIL_TRANSPORTS = ['smtp', 'file', 'console'];
+const MAIL_TRANSPORT = MAIL_TRANSPORTS.includes(process.env.MAIL_TRANSPORT)
+    ? process.env.MAIL_TRANSPORT
+    : (process.env.SMTP_HOST ? 'smtp' : 'console');
+const MAIL_FROM = process.env.MAIL_FROM || 'Tabinator <tabinator@localhost>';
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, '..', 'data', 'mail');
+const APP_URL = (process.env.APP_URL || '').replace(/\/+$/, '');
+
+let transporter = null;
+
+/**
+ * Create the nodemailer transport for the configured transport type
+ * The file and console transports render messages as JSON without sending them.
+ */
+function getTransporter() {
+    if (!transporter) {
+        if (MAIL_TRANSPORT === 'smtp') {
+            transporter = nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port: parseInt(process.env.SMTP_PORT, 10) || 587,
+                secure: process.env.SMTP_SECURE === 'true',
+                auth: process.env.SMTP_USER
+                    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+                    : undefined
+            });
+        } else {
+            transporter = nodemailer.createTransport({ jsonTransport: true });
+        }
+    }
+    return transporter;
+}
+
+/**
+ * Send an email
+ * @param {object} message - { to, subject, text }
+ */
+async function sendMail({ to, subject, text }) {
+    const info = await getTransporter().sendMail({ from: MAIL_FROM, to, subject, text });
+
+    if (MAIL_TRANSPORT === 'file') {
+        await fs.promises.mkdir(MAIL_DIR, { recursive: true });
+        const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+        await fs.promises.writeFile(path.join(MAIL_DIR, fileName), info.message);
+    } else if (MAIL_TRANSPORT === 'console') {
+        console.log(`[mail] To: ${to}\nSubject: ${subject}\n\n${text}`);
+    }
+}
+
+/**
+ * Public address of the app, used to build links in emails
+ * It is never taken from the request: the client chooses the Host header, so a
+ * password reset asked for with a forged host would email a link to that host.
+ * @throws if APP_URL isn't set
+ */
+function appUrl() {
+    if (!APP_URL) {
+        throw new Error('APP_URL must be set to send emails with links');
+    }
+    return APP_URL;
+}
+
+module.exports = {
+    APP_URL,
+    MAIL_TRANSPORT,
+    sendMail,
+    appUrl
+};
@@ -0,0 +1,339 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { dbRun } = require('../database/init');
+const { sanitizeString } = require('../middleware/validation');
+const { fetchPublicUrl } = require('./outboundRequests');
+
+/**
+ * Page metadata fetcher
+ *
+ * Downloads the start of a page to read its <title>, meta description and
+ * favicon. Favicons are cached under data/favicons (one file per icon URL)
+ * and served through /api/links/:id/favicon. Pages and icons on private
+ * addresses are refused (see lib/outboundRequests.js).
+ *
+ * Settings come from the environment:
+ * - LINK_METADATA_ENABLED: set to "true" to turn on fetching (default off)
+ * - LINK_METADATA_TIMEOUT_MS: per-request timeout (default 5000)
+ */
+
+const METADATA_ENABLED = process.env.LINK_METADATA_ENABLED === 'true';
+const METADATA_TIMEOUT_MS = parseInt(process.env.LINK_METADATA_TIMEOUT_MS, 10) || 5000;
+const FAVICON_DIR = path.join(__dirname, '..', 'data', 'favicons');
+const FAVICON_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // Re-download cached icons after a week
+const MAX_HTML_BYTES = 512 * 1024;
+const MAX_FAVICON_BYTES = 100 * 1024;
+const MAX_HTML_TAGS = 1000; // <meta> and <link> tags read per page
+const USER_AGENT = 'Tabinator-MetadataFetcher/1.0';
+
+// Icon types we store; SVG is left out since it can carry scripts
+const FAVICON_TYPES = {
+    'image/x-icon': '.ico',
+    'image/vnd.microsoft.icon': '.ico',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/jpeg': '.jpg',
+    'image/webp': '.webp'
+};
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Decode the HTML entities found in titles and attribute values
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+        }
+        return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * Decode entities, collapse whitespace and sanitize like user input; empty strings become null
+ */
+function cleanText(text, maxLength) {
+    if (!text) return null;
+    const cleaned = sanitizeString(decodeEntities(text).replace(/\s+/g, ' '));
+    return cleaned ? cleaned.substring(0, maxLength) : null;
+}
+
+/**
+ * Parse the attributes of an HTML tag into a lowercase-keyed object
+ * Reads the text once from left to right, so hostile markup can't make it slow.
+ */
+function parseAttributes(attributeText) {
+    const attributes = {};
+    const isSpace = (char) => /\s/.test(char);
+    let i = 0;
+
+    while (i < attributeText.length) {
+        while (i < attributeText.length && (isSpace(attributeText[i]) || attributeText[i] === '/')) i++;
+        const nameStart = i;
+        while (i < attributeText.length && !isSpace(attributeText[i]) && !'/='.includes(attributeText[i])) i++;
+        const name = attributeText.slice(nameStart, i).toLowerCase();
+        while (i < attributeText.length && isSpace(attributeText[i])) i++;
+        // Attributes without a value, like "async", are skipped
+        if (attributeText[i] !== '=') continue;
+
+        i++;
+        while (i < attributeText.length && isSpace(attributeText[i])) i++;
+        let value;
+        const quote = attributeText[i];
+        if (quote === '"' || quote === "'") {
+            const end = attributeText.indexOf(quote, i + 1);
+            const valueEnd = end === -1 ? attributeText.length : end;
+            value = attributeText.slice(i + 1, valueEnd);
+            i = valueEnd + 1;
+        } else {
+            const valueStart = i;
+            while (i < attributeText.length && !isSpace(attributeText[i])) i++;
+            value = attributeText.slice(valueStart, i);
+        }
+        if (name) {
+            attributes[name] = decodeEntities(value);
+        }
+    }
+    return attributes;
+}
+
+/**
+ * Index of the ">" closing a tag, skipping quoted attribute values (which may contain ">")
+ * @returns {number} -1 if the tag is never closed
+ */
+function findTagEnd(html, start) {
+    let quote = null;
+    for (let i = start; i < html.length; i++) {
+        const char = html[i];
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '>') {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Extract title, description and favicon candidates from an HTML document
+ * @param {string} baseUrl URL the document was loaded from, for resolving relative icon links
+ * @returns {{title: string|null, description: string|null, iconUrls: string[]}}
+ */
+function parseHtmlMetadata(html, baseUrl) {
+    // The page is only scanned forward, so the work stays linear in its size
+    const lowerHtml = html.toLowerCase();
+    let title = null;
+    const titleStart = lowerHtml.indexOf('<title');
+    const titleTextStart = titleStart === -1 ? -1 : lowerHtml.indexOf('>', titleStart);
+    const titleEnd = titleTextStart === -1 ? -1 : lowerHtml.indexOf('</title>', titleTextStart);
+    if (titleEnd !== -1) {
+        title = cleanText(html.slice(titleTextStart + 1, titleEnd), 500);
+    }
+    let description = null;
+    let ogTitle = null;
+    const icons = [];
+    const touchIcons = [];
+
+    const tagPattern = /<(meta|link)\b/gi;
+    let match;
+    for (let tags = 0; tags < MAX_HTML_TAGS && (match = tagPattern.exec(html)) !== null; tags++) {
+        const attributesStart = match.index + match[0].length;
+        const tagEnd = findTagEnd(html, attributesStart);
+        // The rest of the page is inside an unclosed tag
+        if (tagEnd === -1) break;
+        tagPattern.lastIndex = tagEnd + 1;
+        const attributes = parseAttributes(html.slice(attributesStart, tagEnd));
+
+        if (match[1].toLowerCase() === 'meta') {
+            const key = (attributes.name || attributes.property || '').toLowerCase();
+            if (key === 'description' && !description) {
+                description = cleanText(attributes.content, 1000);
+            } else if (key === 'og:description' && !description) {
+                description = cleanText(attributes.content, 1000);
+            } else if (key === 'og:title' && !ogTitle) {
+                ogTitle = cleanText(attributes.content, 500);
+            }
+        } else if (attributes.href) {
+            const rel = (attributes.rel || '').toLowerCase().split(/\s+/);
+            if (rel.includes('icon')) {
+                icons.push(attributes.href);
+            } else if (rel.includes('apple-touch-icon')) {
+                touchIcons.push(attributes.href);
+            }
+        }
+    }
+
+    // Fall back to /favicon.ico, which most sites still serve
+    const iconUrls = [];
+    for (const href of [...icons, ...touchIcons, '/favicon.ico']) {
+        try {
+            const iconUrl = new URL(href, baseUrl).href;
+            if (/^https?:/.test(iconUrl) && !iconUrls.includes(iconUrl)) {
+                iconUrls.push(iconUrl);
+            }
+        } catch (e) {
+            // Ignore malformed icon links
+        }
+    }
+
+    return { title: title || ogTitle, description, iconUrls };
+}
+
+/**
+ * Read at most maxBytes of a response body, then stop the download
+ * @returns {Promise<Buffer>}
+ */
+async function readBody(response, maxBytes) {
+    if (!response.body) return Buffer.alloc(0);
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let size = 0;
+    try {
+        while (size < maxBytes) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            size += value.length;
+        }
+    } finally {
+        await reader.cancel().catch(() => {});
+    }
+
+    return Buffer.concat(chunks).subarray(0, maxBytes);
+}
+
+/**
+ * Decode an HTML body using the charset from the Content-Type header (UTF-8 by default)
+ */
+function decodeHtml(buffer, contentType) {
+    const charsetMatch = /charset=["']?([^;"'\s]+)/i.exec(contentType || '');
+    try {
+        return new TextDecoder(charsetMatch ? charsetMatch[1] : 'utf-8').decode(buffer);
+    } catch (e) {
+        return new TextDecoder('utf-8').decode(buffer);
+    }
+}
+
+/**
+ * Path of the cached copy of an icon, if one exists and is fresh
+ */
+function findCachedFavicon(baseName) {
+    for (const extension of new Set(Object.values(FAVICON_TYPES))) {
+        const filePath = path.join(FAVICON_DIR, baseName + extension);
+        try {
+            const stats = fs.statSync(filePath);
+            if (Date.now() - stats.mtimeMs < FAVICON_MAX_AGE_MS) {
+                return baseName + extension;
+            }
+        } catch (e) {
+            // Not cached with this extension
+        }
+    }
+    return null;
+}
+
+/**
+ * Download an icon into the favicon cache
+ * @returns {Promise<string|null>} File name inside the cache directory, or null if the icon is unusable
+ */
+async function cacheFavicon(iconUrl, timeoutMs) {
+    const baseName = crypto.createHash('sha256').update(iconUrl).digest('hex').substring(0, 32);
+    const cached = findCachedFavicon(baseName);
+    if (cached) return cached;
+
+    const { response, finalUrl } = await fetchPublicUrl(iconUrl, {
+        headers: { 'User-Agent': USER_AGENT },
+        signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    let extension = FAVICON_TYPES[contentType];
+    // Some servers send .ico files without a proper type
+    if (!extension && /\.ico$/i.test(new URL(finalUrl).pathname)) {
+        extension = '.ico';
+    }
+
+    if (!response.ok || !extension) {
+        if (response.body) await response.body.cancel().catch(() => {});
+        return null;
+    }
+
+    const data = await readBody(response, MAX_FAVICON_BYTES + 1);
+    if (data.length === 0 || data.length > MAX_FAVICON_BYTES) {
+        return null;
+    }
+
+    fs.mkdirSync(FAVICON_DIR, { recursive: true });
+    fs.writeFileSync(path.join(FAVICON_DIR, baseName + extension), data);
+    return baseName + extension;
+}
+
+/**
+ * Fetch the title, description and favicon of a page
+ * @returns {Promise<{title: string|null, description: string|null, favicon: string|null}>}
+ *   favicon is the file name in the favicon cache
+ * @throws if the page itself can't be loaded
+ */
+async function fetchPageMetadata(url, { timeoutMs = METADATA_TIMEOUT_MS } = {}) {
+    const { response, finalUrl } = await fetchPublicUrl(url, {
+        headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.1' },
+        signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    const contentType = response.headers.get('content-type') || '';
+    let metadata = { title: null, description: null, iconUrls: [new URL('/favicon.ico', finalUrl).href] };
+
+    if (/html/i.test(contentType)) {
+        const html = decodeHtml(await readBody(response, MAX_HTML_BYTES), contentType);
+        metadata = parseHtmlMetadata(html, finalUrl);
+    } else if (response.body) {
+        await response.body.cancel().catch(() => {});
+    }
+
+    let favicon = null;
+    for (const iconUrl of metadata.iconUrls) {
+        try {
+            favicon = await cacheFavicon(iconUrl, timeoutMs);
+        } catch (error) {
+            favicon = null;
+        }
+        if (favicon) break;
+    }
+
+    return { title: metadata.title, description: metadata.description, favicon };
+}
+
+/**
+ * Store fetched metadata for a link (replacing earlier results)
+ */
+async function saveLinkMetadata(db, linkId, url, metadata) {
+    await dbRun(
+        db,
+        `INSERT OR REPLACE INTO link_metadata (link_id, url, title, description, favicon, fetched_at)
+         VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+        [linkId, url, metadata.title, metadata.description, metadata.favicon]
+    );
+}
+
+/**
+ * Absolute path of a cached favicon file
+ */
+function getFaviconPath(fileName) {
+    return path.join(FAVICON_DIR, path.basename(fileName));
+}
+
+module.exports = {
+    METADATA_ENABLED,
+    parseHtmlMetadata,
+    fetchPageMetadata,
+    saveLinkMetadata,
+    getFaviconPath
+};
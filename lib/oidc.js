@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+const { APP_URL } = require('./mailer');
+
+/**
+ * OpenID Connect client (single sign-on)
+ *
+ * Users can log in through the identity provider of their organization, with
+ * the authorization code flow and PKCE: the browser is sent to the provider,
+ * which sends it back to /api/auth/oidc/callback with a code; the server trades
+ * the code for an ID token (a JWT signed by the provider) and checks it against
+ * the keys the provider publishes. Which Tabinator account the login is for is
+ * decided by lib/singleSignOn.js.
+ *
+ * Settings come from the environment (single sign-on is off without the first
+ * two, and without APP_URL or OIDC_REDIRECT_URI):
+ * - OIDC_ISSUER: address of the provider, whose /.well-known/openid-configuration describes it
+ * - OIDC_CLIENT_ID: id of Tabinator registered with the provider
+ * - OIDC_CLIENT_SECRET: its secret (leave unset for a public client)
+ * - OIDC_PROVIDER_NAME: name on the login button (default "SSO")
+ * - OIDC_SCOPES: scopes to ask for (default "openid email profile")
+ * - OIDC_REDIRECT_URI: address the provider sends users back to, as registered
+ *   with it (default: APP_URL + /api/auth/oidc/callback)
+ */
+
+const OIDC_ISSUER = (process.env.OIDC_ISSUER || '').replace(/\/+$/, '');
+const OIDC_CLIENT_ID = process.env.OIDC_CLIENT_ID || '';
+const OIDC_CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || '';
+// Never taken from the request, whose Host header the client chooses
+const OIDC_REDIRECT_URI = process.env.OIDC_REDIRECT_URI || (APP_URL ? `${APP_URL}/api/auth/oidc/callback` : '');
+const OIDC_ENABLED = !!(OIDC_ISSUER && OIDC_CLIENT_ID && OIDC_REDIRECT_URI);
+
+if (OIDC_ISSUER && OIDC_CLIENT_ID && !OIDC_REDIRECT_URI) {
+    console.warn('Single sign-on is off: set APP_URL or OIDC_REDIRECT_URI');
+}
+const OIDC_PROVIDER_NAME = process.env.OIDC_PROVIDER_NAME || 'SSO';
+const OIDC_SCOPES = process.env.OIDC_SCOPES || 'openid email profile';
+
+const OIDC_TIMEOUT_MS = 10000;
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000; // Provider configuration and keys are fetched again after an hour
+const CLOCK_SKEW_SECONDS = 60; // Leeway for the provider's clock when checking token times
+
+// Signature algorithms accepted for ID tokens, with their crypto.verify() settings
+const SIGNATURE_ALGORITHMS = {
+    RS256: { hash: 'sha256' },
+    RS384: { hash: 'sha384' },
+    RS512: { hash: 'sha512' },
+    PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    PS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    PS512: { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+    ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+    ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' },
+    EdDSA: { hash: null }
+};
+
+let discoveryCache = null;
+let jwksCache = null;
+
+/**
+ * Encode bytes as base64url (without padding), as used by PKCE and JWTs
+ */
+function base64UrlEncode(buffer) {
+    return buffer.toString('base64url');
+}
+
+/**
+ * Random value for the state, nonce and code verifier of a login
+ */
+function randomToken() {
+    return base64UrlEncode(crypto.randomBytes(32));
+}
+
+/**
+ * Fetch a JSON document from the provider
+ * @throws if the provider can't be reached or answers with an error
+ */
+async function fetchJson(url, options = {}) {
+    const response = await fetch(url, {
+        ...options,
+        headers: { 'Accept': 'application/json', ...options.headers },
+        signal: AbortSignal.timeout(OIDC_TIMEOUT_MS)
+    });
+
+    let body = null;
+    try {
+        body = await response.json();
+    } catch (error) {
+        // Reported below
+    }
+
+    if (!response.ok || !body) {
+        const detail = body && body.error ? `: ${body.error}${body.error_description ? ` (${body.error_description})` : ''}` : '';
+        throw new Error(`${url} answered ${response.status}${detail}`);
+    }
+    return body;
+}
+
+/**
+ * The provider's configuration (endpoints, supported algorithms), cached for an hour
+ */
+async function getDiscovery() {
+    if (discoveryCache && discoveryCache.expiresAt > Date.now()) {
+        return discoveryCache.document;
+    }
+
+    const document = await fetchJson(`${OIDC_ISSUER}/.well-known/openid-configuration`);
+    if ((document.issuer || '').replace(/\/+$/, '') !== OIDC_ISSUER) {
+        throw new Error(`Provider configuration is for issuer ${document.issuer}, not ${OIDC_ISSUER}`);
+    }
+    for (const endpoint of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+        if (!document[endpoint]) {
+            throw new Error(`Provider configuration has no ${endpoint}`);
+        }
+    }
+
+    discoveryCache = { document, expiresAt: Date.now() + DISCOVERY_CACHE_MS };
+    return document;
+}
+
+/**
+ * The provider's public signing keys, cached for an hour
+ * @param {boolean} refresh - Fetch them again (the provider may have rotated its keys)
+ */
+async function getSigningKeys(refresh = false) {
+    if (!refresh && jwksCache && jwksCache.expiresAt > Date.now()) {
+        return jwksCache.keys;
+    }
+
+    const discovery = await getDiscovery();
+    const jwks = await fetchJson(discovery.jwks_uri);
+    const keys = Array.isArray(jwks.keys) ? jwks.keys.filter(key => !key.use || key.use === 'sig') : [];
+
+    jwksCache = { keys, expiresAt: Date.now() + DISCOVERY_CACHE_MS };
+    return keys;
+}
+
+/**
+ * Start a login at the provider
+ * The state, nonce and code verifier must be kept in the session until the
+ * callback, and handed to completeAuthorization().
+ * @returns {Promise<object>} { url, state, nonce, codeVerifier }
+ */
+async function createAuthorizationRequest(redirectUri) {
+    const discovery = await getDiscovery();
+    const state = randomToken();
+    const nonce = randomToken();
+    const codeVerifier = randomToken();
+    const codeChallenge = base64UrlEncode(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    const url = new URL(discovery.authorization_endpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', OIDC_CLIENT_ID);
+    url.searchParams.set('redirect_uri', redirectUri);
+    url.searchParams.set('scope', OIDC_SCOPES);
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+
+    return { url: url.href, state, nonce, codeVerifier };
+}
+
+/**
+ * Trade an authorization code for tokens at the provider's token endpoint
+ * The client authenticates with HTTP Basic unless the provider only supports
+ * sending the secret in the body; a public client just sends its id.
+ */
+async function exchangeCode(discovery, { code, codeVerifier, redirectUri }) {
+    const body = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        code_verifier: codeVerifier
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    const authMethods = discovery.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+
+    if (OIDC_CLIENT_SECRET && authMethods.includes('client_secret_basic')) {
+        const credentials = `${encodeURIComponent(OIDC_CLIENT_ID)}:${encodeURIComponent(OIDC_CLIENT_SECRET)}`;
+        headers['Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+        body.set('client_id', OIDC_CLIENT_ID);
+        if (OIDC_CLIENT_SECRET) {
+            body.set('client_secret', OIDC_CLIENT_SECRET);
+        }
+    }
+
+    const tokens = await fetchJson(discovery.token_endpoint, { method: 'POST', headers, body });
+    if (!tokens.id_token) {
+        throw new Error('Token response has no id_token');
+    }
+    return tokens;
+}
+
+/**
+ * Decode a part of a JWT
+ */
+function decodeJwtPart(part) {
+    return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+}
+
+/**
+ * Check the signature and claims of an ID token
+ * @returns {Promise<object>} The token's claims
+ * @throws if the token isn't valid for this login
+ */
+async function verifyIdToken(discovery, idToken, nonce) {
+    const parts = String(idToken).split('.');
+    if (parts.length !== 3) {
+        throw new Error('ID token is not a signed JWT');
+    }
+
+    const header = decodeJwtPart(parts[0]);
+    const claims = decodeJwtPart(parts[1]);
+
+    // "none" and HMAC algorithms are never accepted: only the provider's own keys count
+    const algorithm = SIGNATURE_ALGORITHMS[header.alg];
+    const allowedAlgorithms = discovery.id_token_signing_alg_values_supported || ['RS256'];
+    if (!algorithm || !allowedAlgorithms.includes(header.alg)) {
+        throw new Error(`ID token is signed with unsupported algorithm ${header.alg}`);
+    }
+
+    const findKey = keys => keys.find(key => (header.kid ? key.kid === header.kid : true) && (!key.alg || key.alg === header.alg));
+    let jwk = findKey(await getSigningKeys());
+    if (!jwk) {
+        jwk = findKey(await getSigningKeys(true));
+    }
+    if (!jwk) {
+        throw new Error(`No signing key ${header.kid || ''} for the ID token`);
+    }
+
+    const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    const keyOptions = { key };
+    if (algorithm.padding) {
+        keyOptions.padding = algorithm.padding;
+        keyOptions.saltLength = crypto.constants.RSA_PSS_SALTLEN_DIGEST;
+    }
+    if (algorithm.dsaEncoding) {
+        keyOptions.dsaEncoding = algorithm.dsaEncoding;
+    }
+
+    const signedData = Buffer.from(`${parts[0]}.${parts[1]}`);
+    if (!crypto.verify(algorithm.hash, signedData, keyOptions, Buffer.from(parts[2], 'base64url'))) {
+        throw new Error('ID token signature is invalid');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+    if (claims.iss !== discovery.issuer) {
+        throw new Error(`ID token is from issuer ${claims.iss}`);
+    }
+    if (!audiences.includes(OIDC_CLIENT_ID) || (audiences.length > 1 && claims.azp !== OIDC_CLIENT_ID)) {
+        throw new Error('ID token is for another client');
+    }
+    if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) {
+        throw new Error('ID token has expired');
+    }
+    if (typeof claims.iat === 'number' && claims.iat - CLOCK_SKEW_SECONDS > now) {
+        throw new Error('ID token was issued in the future');
+    }
+    if (!claims.nonce || claims.nonce !== nonce) {
+        throw new Error('ID token nonce does not match the login');
+    }
+    if (!claims.sub) {
+        throw new Error('ID token has no subject');
+    }
+
+    return claims;
+}
+
+/**
+ * Finish a login when the provider sent the user back with a code
+ * Claims the ID token lacks (providers often leave out the email address) are
+ * taken from the userinfo endpoint.
+ * @param {object} login - { code, codeVerifier, nonce, redirectUri }
+ * @returns {Promise<object>} { issuer, claims } with claims like sub, email, email_verified, preferred_username
+ * @throws if the code or the ID token is not valid
+ */
+async function completeAuthorization({ code, codeVerifier, nonce, redirectUri }) {
+    const discovery = await getDiscovery();
+    const tokens = await exchangeCode(discovery, { code, codeVerifier, redirectUri });
+    const claims = await verifyIdToken(discovery, tokens.id_token, nonce);
+
+    if (!claims.email && discovery.userinfo_endpoint && tokens.access_token) {
+        const userinfo = await fetchJson(discovery.userinfo_endpoint, {
+            headers: { 'Authorization': `Bearer ${tokens.access_token}` }
+        });
+
+        // The userinfo answer isn't signed, so it must at least be about the same user
+        if (userinfo.sub === claims.sub) {
+            for (const claim of ['email', 'email_verified', 'preferred_username', 'name']) {
+                if (claims[claim] === undefined && userinfo[claim] !== undefined) {
+                    claims[claim] = userinfo[claim];
+                }
+            }
+        }
+    }
+
+    return { issuer: discovery.issuer, claims };
+}
+
+module.exports = {
+    OIDC_ENABLED,
+    OIDC_PROVIDER_NAME,
+    OIDC_REDIRECT_URI,
+    createAuthorizationRequest,
+    completeAuthorization
+};
@@ -0,0 +1,80 @@
+const { dbRun, dbGet, dbAll } = require('../database/init');
+
+/**
+ * Custom order and pinning of links and groups
+ *
+ * Both tables carry a per-workspace position (1, 2, 3...) and a pinned flag.
+ * Pinned items are listed first; within pinned and unpinned items the
+ * position decides. New items are added at the end.
+ */
+
+const ORDERED_TABLES = ['links', 'groups'];
+
+/**
+ * Position for a new item at the end of a workspace's order
+ */
+async function nextPosition(db, table, workspaceId) {
+    const row = await dbGet(
+        db,
+        `SELECT COALESCE(MAX(position), 0) + 1 AS position FROM ${table} WHERE workspace_id = ?`,
+        [workspaceId]
+    );
+    return row.position;
+}
+
+/**
+ * Store a new order for a workspace's live items
+ * The given IDs come first, in that order; items left out keep their relative
+ * order after them. IDs of other workspaces' or trashed items are ignored.
+ * @returns {Promise<number>} Number of items whose position changed
+ */
+async function saveOrder(db, table, workspaceId, ids) {
+    if (!ORDERED_TABLES.includes(table)) {
+        throw new Error(`Unknown ordered table: ${table}`);
+    }
+
+    const rows = await dbAll(
+        db,
+        `SELECT id, position FROM ${table} WHERE workspace_id = ? AND deleted_at IS NULL ORDER BY position, id`,
+        [workspaceId]
+    );
+    const positions = new Map(rows.map(row => [row.id, row.position]));
+
+    const ordered = [...new Set(ids)].filter(id => positions.has(id));
+    const orderedSet = new Set(ordered);
+    const finalOrder = [...ordered, ...rows.map(row => row.id).filter(id => !orderedSet.has(id))];
+
+    let changed = 0;
+    for (let index = 0; index < finalOrder.length; index++) {
+        const id = finalOrder[index];
+        if (positions.get(id) !== index + 1) {
+            await dbRun(db, `UPDATE ${table} SET position = ? WHERE id = ?`, [index + 1, id]);
+            changed++;
+        }
+    }
+
+    return changed;
+}
+
+/**
+ * Pin or unpin a workspace's live item
+ * @returns {Promise<boolean>} false if the item doesn't exist
+ */
+async function setPinned(db, table, workspaceId, id, pinned) {
+    if (!ORDERED_TABLES.includes(table)) {
+        throw new Error(`Unknown ordered table: ${table}`);
+    }
+
+    const result = await dbRun(
+        db,
+        `UPDATE ${table} SET pinned = ? WHERE id = ? AND workspace_id = ? AND deleted_at IS NULL`,
+        [pinned ? 1 : 0, id, workspaceId]
+    );
+    return result.changes > 0;
+}
+
+module.exports = {
+    nextPosition,
+    saveOrder,
+    setPinned
+};
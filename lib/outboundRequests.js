@@ -0,0 +1,122 @@
+const dns = require('dns');
+const net = require('net');
+const { Agent, fetch } = require('undici');
+
+/**
+ * Requests to user-supplied URLs
+ *
+ * The link checker and the metadata fetcher request whatever URLs users save,
+ * from inside the server's network. So they can't be used to reach internal
+ * services (cloud metadata endpoints, admin panels, databases...), a request is
+ * refused if its host is, or resolves to, an address that is loopback, private,
+ * link-local or otherwise not publicly routable. The check happens in the DNS
+ * lookup of the connection itself, so the request goes to the address that was
+ * checked and a host can't resolve to a public address for the check and to a
+ * private one for the request. Redirects are followed here rather than by
+ * fetch, so every hop is checked the same way.
+ *
+ * Settings come from the environment:
+ * - LINK_ALLOW_PRIVATE_ADDRESSES: set to "true" to allow private addresses
+ *   (for links to an intranet, or a local test server)
+ */
+
+const ALLOW_PRIVATE_ADDRESSES = process.env.LINK_ALLOW_PRIVATE_ADDRESSES === 'true';
+const MAX_REDIRECTS = 10;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+// NAT64 (64:ff9b::/96) and 6to4 (2002::/16) addresses embed IPv4 addresses, which may be private
+for (const [address, prefix] of [['::', 127], ['64:ff9b::', 96], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or reserved
+ */
+function isPrivateAddress(address) {
+    // BlockList also matches IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) against the IPv4 ranges
+    return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * DNS lookup for outgoing connections that fails if the host has a private address
+ * Same signature as dns.lookup.
+ */
+function lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (addresses.some(({ address }) => isPrivateAddress(address))) {
+            return callback(new Error(`${hostname} resolves to a private address`));
+        }
+        if (options.all) return callback(null, addresses);
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// Connects only to addresses that passed lookupPublicAddress
+const publicAgent = new Agent({ connect: { lookup: lookupPublicAddress } });
+
+/**
+ * Refuse URLs that aren't http(s) or whose host is a private IP address
+ * (host names are checked when connecting, see lookupPublicAddress)
+ * @throws if the URL may not be requested
+ */
+function checkPublicUrl(url) {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new Error(`Unsupported protocol ${parsed.protocol}`);
+    }
+    if (ALLOW_PRIVATE_ADDRESSES) return;
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+        throw new Error(`${hostname} is a private address`);
+    }
+}
+
+/**
+ * Fetch a user-supplied URL, following redirects only to public addresses
+ * @param {object} [options] Options for fetch (method, headers, signal)
+ * @returns {Promise<{response: Response, finalUrl: string}>} finalUrl is the URL after redirects
+ * @throws if the URL or a redirect leads to a private address
+ */
+async function fetchPublicUrl(url, options = {}) {
+    let currentUrl = url;
+    let method = options.method || 'GET';
+
+    for (let redirects = 0; ; redirects++) {
+        checkPublicUrl(currentUrl);
+        const response = await fetch(currentUrl, {
+            ...options,
+            method,
+            redirect: 'manual',
+            dispatcher: ALLOW_PRIVATE_ADDRESSES ? undefined : publicAgent
+        });
+
+        const location = response.headers.get('location');
+        if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+            return { response, finalUrl: currentUrl };
+        }
+
+        if (response.body) {
+            await response.body.cancel().catch(() => {});
+        }
+        if (redirects >= MAX_REDIRECTS) {
+            throw new Error('Too many redirects');
+        }
+        currentUrl = new URL(location, currentUrl).href;
+        if (response.status === 303 && method !== 'HEAD') {
+            method = 'GET';
+        }
+    }
+}
+
+module.exports = {
+    fetchPublicUrl
+};
@@ -0,0 +1,108 @@
+const net = require('net');
+
+/**
+ * Reverse-proxy authentication
+ *
+ * Behind an authenticating reverse proxy (Authelia, oauth2-proxy, Authentik...),
+ * the proxy logs users in and passes who they are to Tabinator in request
+ * headers, so they don't have to log in twice: requireAuth logs the session in
+ * as that user (see lib/singleSignOn.js for how users are found or created).
+ * The headers are only believed on connections from the proxy's own IP
+ * addresses, since anyone else could send them too; the proxy must set or
+ * remove them on every request it passes on.
+ *
+ * Settings come from the environment (it is off unless the trusted addresses
+ * and at least one of the headers are set):
+ * - AUTH_PROXY_TRUSTED_IPS: comma-separated IP addresses or CIDR ranges of the proxy
+ *   (of the connection itself: X-Forwarded-For doesn't count)
+ * - AUTH_PROXY_USER_HEADER: header with the username, e.g. Remote-User or X-Forwarded-User
+ * - AUTH_PROXY_EMAIL_HEADER: header with the email address, e.g. Remote-Email or X-Forwarded-Email
+ * - AUTH_PROXY_LOGOUT_URL: where Logout sends the browser, to log out at the proxy too
+ *   (otherwise the next request logs the user in again)
+ */
+
+const AUTH_PROXY_USER_HEADER = process.env.AUTH_PROXY_USER_HEADER || '';
+const AUTH_PROXY_EMAIL_HEADER = process.env.AUTH_PROXY_EMAIL_HEADER || '';
+const AUTH_PROXY_LOGOUT_URL = process.env.AUTH_PROXY_LOGOUT_URL || null;
+
+const MAX_HEADER_LENGTH = 255;
+
+/**
+ * Parse the list of trusted proxy addresses
+ * Invalid entries are skipped with a warning.
+ */
+function parseTrustedAddresses(value) {
+    const addresses = new net.BlockList();
+    let count = 0;
+
+    for (const entry of value.split(',').map(item => item.trim()).filter(Boolean)) {
+        const [address, prefix] = entry.split('/');
+        const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+        try {
+            if (!net.isIP(address) || (prefix !== undefined && !/^\d+$/.test(prefix))) {
+                throw new Error('not an IP address or CIDR range');
+            }
+            if (prefix !== undefined) {
+                addresses.addSubnet(address, parseInt(prefix, 10), type);
+            } else {
+                addresses.addAddress(address, type);
+            }
+            count++;
+        } catch (error) {
+            console.warn(`Ignoring AUTH_PROXY_TRUSTED_IPS entry "${entry}": ${error.message}`);
+        }
+    }
+
+    return count > 0 ? addresses : null;
+}
+
+const TRUSTED_PROXIES = parseTrustedAddresses(process.env.AUTH_PROXY_TRUSTED_IPS || '');
+const PROXY_AUTH_ENABLED = !!(TRUSTED_PROXIES && (AUTH_PROXY_USER_HEADER || AUTH_PROXY_EMAIL_HEADER));
+
+/**
+ * Whether the request's connection comes from a trusted proxy
+ */
+function isTrustedProxy(req) {
+    let address = req.socket.remoteAddress || '';
+    // IPv4 clients of a server listening on IPv6 show up as ::ffff:a.b.c.d
+    if (address.startsWith('::ffff:') && net.isIPv4(address.slice(7))) {
+        address = address.slice(7);
+    }
+    if (!net.isIP(address)) return false;
+    return TRUSTED_PROXIES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Read a header the proxy sets (the first value, if it lists several)
+ */
+function readProxyHeader(req, name) {
+    if (!name) return null;
+    const value = String(req.get(name) || '').split(',')[0].trim();
+    return value && value.length <= MAX_HEADER_LENGTH ? value : null;
+}
+
+/**
+ * The user the proxy vouches for in the request's headers
+ * @returns {object|null} { subject, username, email } (subject identifies the user:
+ *   the username, or else the email address), or null if reverse-proxy
+ *   authentication is off, the request doesn't come from a trusted proxy or it
+ *   names no user
+ */
+function getProxyIdentity(req) {
+    if (!PROXY_AUTH_ENABLED || !isTrustedProxy(req)) return null;
+
+    const username = readProxyHeader(req, AUTH_PROXY_USER_HEADER);
+    let email = readProxyHeader(req, AUTH_PROXY_EMAIL_HEADER);
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        email = null;
+    }
+
+    const subject = username || (email && email.toLowerCase());
+    return subject ? { subject, username, email } : null;
+}
+
+module.exports = {
+    PROXY_AUTH_ENABLED,
+    AUTH_PROXY_LOGOUT_URL,
+    getProxyIdentity
+};
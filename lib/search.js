@@ -0,0 +1,164 @@
+const { dbRun, dbGet, dbAll, dbTransaction } = require('../database/init');
+const { getLinksByIds } = require('./links');
+
+/**
+ * Full-text search over links
+ *
+ * links_fts (SQLite FTS5) holds one row per live link, with the link ID as
+ * rowid. The routes call indexLink after every change to a link, its tags or
+ * its page metadata; trashed and purged links are dropped from the index.
+ *
+ * Query syntax:
+ * - word        links containing a word starting with "word"
+ * - "a phrase"  links containing the exact phrase
+ * - tag:name    links with the tag (tag:"two words" for tags with spaces)
+ * - url:text    links whose URL contains the text
+ * - -term       exclude links matching the term (works with tag: and url: too)
+ */
+
+// bm25 weights of the name, url, tags and description columns
+const COLUMN_WEIGHTS = '10.0, 4.0, 6.0, 2.0';
+const MAX_QUERY_TERMS = 20;
+
+// Current searchable content of live links
+const INDEX_SELECT = `
+    SELECT l.id, l.name, l.url,
+           (SELECT GROUP_CONCAT(t.name, ' ')
+            FROM link_tags lt JOIN tags t ON t.id = lt.tag_id
+            WHERE lt.link_id = l.id) AS tags,
+           m.description
+    FROM links l
+    LEFT JOIN link_metadata m ON m.link_id = l.id AND m.url = l.url
+    WHERE l.deleted_at IS NULL`;
+
+/**
+ * Bring the index entry of a link up to date (removes it if the link is trashed or gone)
+ */
+async function indexLink(db, linkId) {
+    await dbRun(db, 'DELETE FROM links_fts WHERE rowid = ?', [linkId]);
+    await dbRun(
+        db,
+        `INSERT INTO links_fts (rowid, name, url, tags, description) ${INDEX_SELECT} AND l.id = ?`,
+        [linkId]
+    );
+}
+
+/**
+ * Rebuild the whole index from the links table
+ * Run at startup so links written outside the API (migrations, older versions) are searchable.
+ */
+async function rebuildSearchIndex(db) {
+    // In one transaction, so a failed rebuild keeps the old index
+    return dbTransaction(db, async () => {
+        await dbRun(db, 'DELETE FROM links_fts');
+        await dbRun(db, `INSERT INTO links_fts (rowid, name, url, tags, description) ${INDEX_SELECT}`);
+        const row = await dbGet(db, 'SELECT COUNT(*) AS count FROM links_fts');
+        return row.count;
+    });
+}
+
+/**
+ * Split a search query into terms
+ * @returns {{field: 'text'|'tag'|'url', value: string, phrase: boolean, exclude: boolean}[]}
+ */
+function parseSearchQuery(query) {
+    const terms = [];
+    const pattern = /(-?)(?:(tag|url):)?(?:"([^"]*)"?|(\S+))/gi;
+    let match;
+
+    while ((match = pattern.exec(query)) !== null && terms.length < MAX_QUERY_TERMS) {
+        const [, minus, field, quoted, bare] = match;
+        const value = (quoted !== undefined ? quoted : bare.replace(/"/g, '')).trim();
+
+        // Skip empty terms and text terms without any searchable characters
+        if (!value || (!field && !/[\p{L}\p{N}]/u.test(value))) continue;
+
+        terms.push({
+            field: field ? field.toLowerCase() : 'text',
+            value,
+            phrase: quoted !== undefined,
+            exclude: minus === '-'
+        });
+    }
+
+    return terms;
+}
+
+/**
+ * FTS5 expression for a text term: phrases match exactly, single words also match as a prefix
+ */
+function ftsExpression(term) {
+    const escaped = `"${term.value.replace(/"/g, '""')}"`;
+    return term.phrase ? escaped : `${escaped}*`;
+}
+
+/**
+ * Search a workspace's live links
+ * @returns {Promise<{total: number, links: object[]}>} Links ordered by relevance, each with a score
+ *   (higher is better; null when the query has no text terms to rank by)
+ */
+async function searchLinks(db, workspaceId, query, { limit = 50, offset = 0 } = {}) {
+    const terms = parseSearchQuery(query);
+    const textTerms = terms.filter(term => term.field === 'text' && !term.exclude);
+    const excludedTextTerms = terms.filter(term => term.field === 'text' && term.exclude);
+
+    const conditions = ['l.workspace_id = ?', 'l.deleted_at IS NULL'];
+    const params = [workspaceId];
+    let from = 'links l';
+    let score = 'NULL';
+
+    if (textTerms.length > 0) {
+        from = 'links_fts JOIN links l ON l.id = links_fts.rowid';
+        score = `-bm25(links_fts, ${COLUMN_WEIGHTS})`;
+        conditions.push('links_fts MATCH ?');
+        params.push(textTerms.map(ftsExpression).join(' AND '));
+    }
+
+    if (excludedTextTerms.length > 0) {
+        conditions.push('l.id NOT IN (SELECT rowid FROM links_fts WHERE links_fts MATCH ?)');
+        params.push(excludedTextTerms.map(ftsExpression).join(' OR '));
+    }
+
+    for (const term of terms) {
+        if (term.field === 'tag') {
+            conditions.push(`${term.exclude ? 'NOT ' : ''}EXISTS (
+                SELECT 1 FROM link_tags lt JOIN tags t ON t.id = lt.tag_id
+                WHERE lt.link_id = l.id AND t.name = ? COLLATE NOCASE)`);
+            params.push(term.value);
+        } else if (term.field === 'url') {
+            conditions.push(`instr(lower(l.url), lower(?)) ${term.exclude ? '=' : '>'} 0`);
+            params.push(term.value);
+        }
+    }
+
+    const where = conditions.join(' AND ');
+
+    const countRow = await dbGet(db, `SELECT COUNT(*) AS count FROM ${from} WHERE ${where}`, params);
+    const rows = await dbAll(
+        db,
+        `SELECT l.id, ${score} AS score
+         FROM ${from}
+         WHERE ${where}
+         ORDER BY ${textTerms.length > 0 ? 'score DESC, ' : ''}l.name COLLATE NOCASE, l.id
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+    );
+
+    const scores = new Map(rows.map(row => [row.id, row.score]));
+    const links = await getLinksByIds(db, workspaceId, rows.map(row => row.id));
+
+    return {
+        total: countRow.count,
+        links: links.map(link => ({
+            ...link,
+            score: scores.get(link.id)
+        }))
+    };
+}
+
+module.exports = {
+    indexLink,
+    rebuildSearchIndex,
+    parseSearchQuery,
+    searchLinks
+};
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const { dbRun, dbGet, dbAll } = require('../database/init');
+const { sanitizeString } = require('../middleware/validation');
+const { clearFailedLogins, recordLoginAttempt } = require('./loginAttempts');
+
+/**
+ * Logged-in sessions
+ *
+ * express-session keeps the session data in data/sessions.db. Each logged-in
+ * session also has a user_sessions row, keyed by a hash of the session id, with
+ * when and where it was used, so users can list their sessions and log them out
+ * from another device: requireAuth refuses a session whose row is gone. (Sessions
+ * logged in before rows were kept have none, so they have to log in again once.)
+ */
+
+const SESSION_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // Lifetime of the session cookie (7 days)
+
+/**
+ * Hash a session id for storage and lookup
+ */
+function hashSessionId(sid) {
+    return crypto.createHash('sha256').update(sid).digest('hex');
+}
+
+/**
+ * Start tracking the request's session as a login of a user
+ */
+async function createUserSession(db, req, userId) {
+    const sidHash = hashSessionId(req.sessionID);
+
+    // A session that logs in again (as another user, say) replaces its row
+    await dbRun(db, 'DELETE FROM user_sessions WHERE sid_hash = ?', [sidHash]);
+    await dbRun(
+        db,
+        'INSERT INTO user_sessions (user_id, sid_hash, ip_address, user_agent) VALUES (?, ?, ?, ?)',
+        [userId, sidHash, req.ip || null, sanitizeString(req.get('user-agent')).substring(0, 300) || null]
+    );
+}
+
+/**
+ * Check that the request's logged-in session wasn't logged out elsewhere, and note its use
+ * last_seen_at and the IP address are updated at most once a minute.
+ * @returns {Promise<boolean>} false if the session was logged out
+ */
+async function touchUserSession(db, req) {
+    const row = await dbGet(
+        db,
+        "SELECT id, last_seen_at < datetime('now', '-1 minutes') AS stale FROM user_sessions WHERE sid_hash = ?",
+        [hashSessionId(req.sessionID)]
+    );
+
+    if (!row) return false;
+
+    if (row.stale) {
+        await dbRun(
+            db,
+            'UPDATE user_sessions SET last_seen_at = CURRENT_TIMESTAMP, ip_address = ? WHERE id = ?',
+            [req.ip || null, row.id]
+        );
+    }
+    return true;
+}
+
+/**
+ * Save the session explicitly before sending the response
+ */
+function saveSession(req) {
+    return new Promise((resolve, reject) => {
+        req.session.save((err) => {
+            if (err) {
+                console.error('Error saving session:', err);
+                return reject(err);
+            }
+            resolve();
+        });
+    });
+}
+
+/**
+ * Log a user in on this session once every login step passed
+ * @param {object} options - { proxySubject }: the user an authenticating reverse
+ *   proxy vouched for, for sessions it logged in (see lib/proxyAuth.js)
+ */
+async function startSession(db, req, user, { proxySubject = null } = {}) {
+    await clearFailedLogins(db, user.id);
+    await recordLoginAttempt(db, req, { userId: user.id, success: true });
+    await dbRun(db, 'UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
+    await createUserSession(db, req, user.id);
+
+    delete req.session.pendingLogin;
+    req.session.userId = user.id;
+    req.session.username = user.username;
+    if (proxySubject) {
+        req.session.proxySubject = proxySubject;
+    } else {
+        delete req.session.proxySubject;
+    }
+
+    await saveSession(req);
+}
+
+/**
+ * A user's sessions, most recently used first
+ * @param {string} currentSid - Id of the request's session, marked as current
+ */
+async function listUserSessions(db, userId, currentSid) {
+    const currentHash = currentSid ? hashSessionId(currentSid) : null;
+    const sessions = await dbAll(
+        db,
+        `SELECT id, sid_hash, ip_address, user_agent, created_at, last_seen_at
+         FROM user_sessions WHERE user_id = ?
+         ORDER BY last_seen_at DESC, id DESC`,
+        [userId]
+    );
+
+    return sessions.map(({ sid_hash, ...session }) => ({ ...session, current: sid_hash === currentHash }));
+}
+
+/**
+ * Stop tracking a session that logs out
+ */
+async function endUserSession(db, sid) {
+    await dbRun(db, 'DELETE FROM user_sessions WHERE sid_hash = ?', [hashSessionId(sid)]);
+}
+
+/**
+ * Log out one of a user's sessions
+ * @returns {Promise<boolean>} Whether the user had the session
+ */
+async function revokeUserSession(db, userId, sessionId) {
+    const result = await dbRun(db, 'DELETE FROM user_sessions WHERE id = ? AND user_id = ?', [sessionId, userId]);
+    return result.changes > 0;
+}
+
+/**
+ * Log out all of a user's sessions, except optionally one
+ * @param {string|null} exceptSid - Id of the session to keep (usually the request's)
+ * @returns {Promise<number>} Number of sessions logged out
+ */
+async function revokeOtherUserSessions(db, userId, exceptSid = null) {
+    const result = await dbRun(
+        db,
+        'DELETE FROM user_sessions WHERE user_id = ? AND sid_hash != ?',
+        [userId, exceptSid ? hashSessionId(exceptSid) : '']
+    );
+    return result.changes;
+}
+
+/**
+ * Delete the rows of sessions that have expired
+ * @returns {Promise<number>} Number of sessions deleted
+ */
+async function purgeUserSessions(db) {
+    const result = await dbRun(
+        db,
+        "DELETE FROM user_sessions WHERE last_seen_at < datetime('now', ?)",
+        [`-${SESSION_MAX_AGE / 1000} seconds`]
+    );
+    return result.changes;
+}
+
+module.exports = {
+    SESSION_MAX_AGE,
+    saveSession,
+    startSession,
+    createUserSession,
+    touchUserSession,
+    listUserSessions,
+    endUserSession,
+    revokeUserSession,
+    revokeOtherUserSessions,
+    purgeUserSessions
+};
@@ -0,0 +1,112 @@
+/**
+ * HTML of the public share pages (/share/<token>)
+ *
+ * The pages are rendered on the server so visitors don't need the app's
+ * JavaScript. Every value from the database goes through escapeHtml.
+ */
+
+/**
+ * Escape text for use in HTML content and attribute values
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Host name of a link for display, or the URL itself if it can't be parsed
+ */
+function displayHost(url) {
+    try {
+        return new URL(url).hostname;
+    } catch {
+        return url;
+    }
+}
+
+/**
+ * Wrap page content in the common layout
+ */
+function renderLayout(title, content) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex, nofollow">
+    <meta name="referrer" content="no-referrer">
+    <title>${escapeHtml(title)} - Tabinator</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+</head>
+<body class="bg-gray-100 text-gray-800 min-h-screen">
+    <main class="max-w-3xl mx-auto p-4 sm:p-8">
+        ${content}
+        <p class="text-xs text-gray-400 text-center mt-8">Shared read-only with Tabinator</p>
+    </main>
+</body>
+</html>`;
+}
+
+/**
+ * Page listing the links of a shared group
+ */
+function renderSharedGroup(groupName, links) {
+    const items = links.map(link => `
+            <li>
+                <a href="${escapeHtml(link.url)}" target="_blank" rel="noopener noreferrer"
+                   class="block bg-white rounded-lg shadow-sm px-4 py-3 hover:shadow-md hover:bg-blue-50 transition">
+                    <span class="font-medium text-blue-700 break-words">${escapeHtml(link.name)}</span>
+                    <span class="block text-xs text-gray-500 break-all">${escapeHtml(displayHost(link.url))}</span>
+                </a>
+            </li>`).join('');
+
+    const list = links.length > 0
+        ? `<ul class="space-y-2">${items}
+        </ul>`
+        : '<p class="text-gray-500 text-center bg-white rounded-lg shadow-sm p-6">This group has no links yet.</p>';
+
+    return renderLayout(groupName, `
+        <h1 class="text-2xl font-semibold mb-1 break-words">${escapeHtml(groupName)}</h1>
+        <p class="text-sm text-gray-500 mb-6">${links.length} link${links.length === 1 ? '' : 's'}</p>
+        ${list}`);
+}
+
+/**
+ * Form asking for the password of a protected share
+ */
+function renderPasswordForm(error = null) {
+    const message = error
+        ? `<p class="text-sm text-red-600 mb-3">${escapeHtml(error)}</p>`
+        : '';
+
+    return renderLayout('Password required', `
+        <form method="post" class="bg-white rounded-lg shadow-sm p-6 max-w-sm mx-auto mt-16">
+            <h1 class="text-lg font-semibold mb-2">Password required</h1>
+            <p class="text-sm text-gray-500 mb-4">This shared group is protected. Enter its password to view the links.</p>
+            ${message}
+            <input type="password" name="password" required autofocus autocomplete="current-password"
+                   class="w-full border border-gray-300 rounded-md px-3 py-2 mb-3 focus:outline-none focus:ring-2 focus:ring-blue-500">
+            <button type="submit" class="w-full bg-blue-600 hover:bg-blue-700 text-white rounded-md px-4 py-2">View links</button>
+        </form>`);
+}
+
+/**
+ * Page shown for unknown, revoked and expired shares
+ */
+function renderShareError(title, message) {
+    return renderLayout(title, `
+        <div class="bg-white rounded-lg shadow-sm p-6 max-w-sm mx-auto mt-16 text-center">
+            <h1 class="text-lg font-semibold mb-2">${escapeHtml(title)}</h1>
+            <p class="text-sm text-gray-500">${escapeHtml(message)}</p>
+        </div>`);
+}
+
+module.exports = {
+    renderSharedGroup,
+    renderPasswordForm,
+    renderShareError
+};
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const { dbRun, dbGet } = require('../database/init');
+const { loadWorkspaceGroups, indexGroups, linkMatchesGroup } = require('./groupRules');
+const { getLinksWithTags } = require('./links');
+
+/**
+ * Public share links of groups
+ *
+ * A group can be published under /share/<token> to people without an account.
+ * The page lists the links the group currently matches, read-only. The token is
+ * random and unguessable; regenerating it invalidates the old URL. A share can
+ * expire and can be protected with a password (stored as a bcrypt hash).
+ *
+ * Settings come from the environment:
+ * - APP_URL: public address of the app, used in share URLs (without it, the
+ *   host the request was made to, which the client controls)
+ */
+
+const APP_URL = (process.env.APP_URL || '').replace(/\/+$/, '');
+
+const SHARE_TOKEN_BYTES = 24;
+const SHARE_COLUMNS = `s.id, s.group_id, s.token, s.password_hash, s.expires_at, s.created_at, s.updated_at,
+    (s.expires_at IS NOT NULL AND s.expires_at <= CURRENT_TIMESTAMP) AS expired`;
+
+/**
+ * Create a new random share token
+ */
+function generateShareToken() {
+    return crypto.randomBytes(SHARE_TOKEN_BYTES).toString('base64url');
+}
+
+/**
+ * Public URL of a share, under APP_URL or else on the host the request came in on
+ */
+function shareUrl(req, token) {
+    const baseUrl = APP_URL || `${req.protocol}://${req.get('host')}`;
+    return `${baseUrl}/share/${token}`;
+}
+
+/**
+ * Format a group_shares row for API responses (never includes the password hash)
+ */
+function formatShare(req, share) {
+    return {
+        group_id: share.group_id,
+        url: shareUrl(req, share.token),
+        token: share.token,
+        has_password: !!share.password_hash,
+        expires_at: share.expires_at,
+        expired: !!share.expired,
+        created_at: share.created_at,
+        updated_at: share.updated_at
+    };
+}
+
+/**
+ * Get the share of a live group in a workspace
+ * @returns {Promise<object|undefined>}
+ */
+async function getGroupShare(db, workspaceId, groupId) {
+    return dbGet(
+        db,
+        `SELECT ${SHARE_COLUMNS}
+         FROM group_shares s
+         JOIN groups g ON g.id = s.group_id
+         WHERE s.group_id = ? AND g.workspace_id = ? AND g.deleted_at IS NULL`,
+        [groupId, workspaceId]
+    );
+}
+
+/**
+ * Find the share of a URL token, with its group's name and workspace
+ * Shares of trashed groups are not found.
+ * @returns {Promise<object|undefined>}
+ */
+async function findShareByToken(db, token) {
+    return dbGet(
+        db,
+        `SELECT ${SHARE_COLUMNS}, g.name AS group_name, g.workspace_id
+         FROM group_shares s
+         JOIN groups g ON g.id = s.group_id
+         WHERE s.token = ? AND g.deleted_at IS NULL`,
+        [token]
+    );
+}
+
+/**
+ * Create the share of a group, replacing any previous share (its URL stops working)
+ * @param {object} options
+ * @param {string|null} options.passwordHash
+ * @param {string|null} options.expiresModifier SQLite datetime modifier like "+7 days", or null for no expiry
+ */
+async function createGroupShare(db, groupId, userId, { passwordHash, expiresModifier }) {
+    await dbRun(db, 'DELETE FROM group_shares WHERE group_id = ?', [groupId]);
+    await dbRun(
+        db,
+        `INSERT INTO group_shares (group_id, token, password_hash, expires_at, created_by)
+         VALUES (?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', ?) END, ?)`,
+        [groupId, generateShareToken(), passwordHash, expiresModifier, expiresModifier, userId]
+    );
+}
+
+/**
+ * Change the password and/or expiry of a group's share
+ * Options left undefined are not changed. The URL stays the same unless regenerateToken is set.
+ */
+async function updateGroupShare(db, groupId, { passwordHash, expiresModifier, regenerateToken = false }) {
+    const assignments = ['updated_at = CURRENT_TIMESTAMP'];
+    const params = [];
+
+    if (regenerateToken) {
+        assignments.push('token = ?');
+        params.push(generateShareToken());
+    }
+    if (passwordHash !== undefined) {
+        assignments.push('password_hash = ?');
+        params.push(passwordHash);
+    }
+    if (expiresModifier !== undefined) {
+        assignments.push(`expires_at = CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', ?) END`);
+        params.push(expiresModifier, expiresModifier);
+    }
+
+    await dbRun(db, `UPDATE group_shares SET ${assignments.join(', ')} WHERE group_id = ?`, [...params, groupId]);
+}
+
+/**
+ * The links a shared group matches right now, sorted by name
+ */
+async function getSharedLinks(db, share) {
+    const groupsById = indexGroups(await loadWorkspaceGroups(db, share.workspace_id));
+    const group = groupsById.get(share.group_id);
+    if (!group) return [];
+
+    const links = await getLinksWithTags(db, share.workspace_id, 'l.name COLLATE NOCASE');
+    return links.filter(link => linkMatchesGroup(link, group, groupsById));
+}
+
+/**
+ * Fingerprint of a share's password, kept in the visitor's session once they entered it
+ * Changing the password or regenerating the share changes it, so visitors must enter the new password.
+ */
+function sharePasswordFingerprint(share) {
+    return crypto.createHash('sha256').update(`${share.token}:${share.password_hash}`).digest('hex');
+}
+
+module.exports = {
+    formatShare,
+    getGroupShare,
+    findShareByToken,
+    createGroupShare,
+    updateGroupShare,
+    getSharedLinks,
+    sharePasswordFingerprint
+};
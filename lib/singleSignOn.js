@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { dbRun, dbGet, dbTransaction } = require('../database/init');
+const { createUser } = require('./users');
+
+/**
+ * Users who log in with single sign-on (see lib/oidc.js) or through an
+ * authenticating reverse proxy (see lib/proxyAuth.js)
+ *
+ * An account at the identity provider is linked to a Tabinator user in
+ * user_identities, by the provider's issuer and its id for the account. On its
+ * first login, an account is linked to the user with the same email address,
+ * or a user is created for it ("just in time", whatever the registration mode).
+ * Only addresses the provider marks as verified are used, since anyone could
+ * otherwise claim someone else's address at the provider, and only users who
+ * confirmed their own address are linked. Created users get a random password;
+ * they can choose one with a password reset.
+ *
+ * A reverse proxy's users are linked the same way, with the issuer "proxy" and
+ * the username (or else the email address) the proxy sends as the id. The proxy
+ * is trusted: its users are linked to the user with the same username, or else
+ * email address, and only need an email address to have a user created.
+ *
+ * Settings come from the environment:
+ * - OIDC_AUTO_PROVISION: "false" to only let existing users log in (default: create users)
+ * - OIDC_TRUST_EMAIL: "true" to use addresses the provider doesn't mark as verified
+ *   (for providers that manage the addresses themselves and leave out email_verified)
+ * - AUTH_PROXY_AUTO_PROVISION: "false" to only let existing users log in through the proxy
+ */
+
+const OIDC_AUTO_PROVISION = process.env.OIDC_AUTO_PROVISION !== 'false';
+const OIDC_TRUST_EMAIL = process.env.OIDC_TRUST_EMAIL === 'true';
+const AUTH_PROXY_AUTO_PROVISION = process.env.AUTH_PROXY_AUTO_PROVISION !== 'false';
+const PROXY_ISSUER = 'proxy';
+
+/**
+ * The email address of the provider's account, if it can be used to find or create a user
+ */
+function getVerifiedEmail(claims) {
+    const email = typeof claims.email === 'string' ? claims.email.trim() : '';
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return null;
+    return OIDC_TRUST_EMAIL || claims.email_verified === true || claims.email_verified === 'true' ? email : null;
+}
+
+/**
+ * Pick a free username for a new user, from the provider's username or the email address
+ * Usernames follow the rules of registration (3-50 letters, digits, _ and -);
+ * a number is added if the name is taken ("alice2").
+ */
+async function chooseUsername(db, name) {
+    const wanted = String(name).split('@')[0];
+    let base = wanted.replace(/[^a-zA-Z0-9_-]+/g, '_').replace(/^_+|_+$/g, '').substring(0, 40);
+    if (base.length < 3) {
+        base = base ? `user_${base}` : 'user';
+    }
+
+    for (let suffix = 1; ; suffix++) {
+        const username = suffix === 1 ? base : `${base}${suffix}`;
+        const existing = await dbGet(db, 'SELECT id FROM users WHERE username = ?', [username]);
+        if (!existing) return username;
+    }
+}
+
+/**
+ * Create a user for a provider's account (the first user of a server is its administrator)
+ * @param {string} name - Username the provider gave, or else the email address
+ * @returns {Promise<number>} ID of the new user
+ */
+async function createSsoUser(db, name, email) {
+    const userCount = await dbGet(db, 'SELECT COUNT(*) AS count FROM users');
+    const username = await chooseUsername(db, name);
+    // Nobody knows the password until the user chooses one
+    const passwordHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+    return createUser(db, {
+        username,
+        email,
+        passwordHash,
+        isAdmin: userCount.count === 0,
+        emailVerified: true
+    });
+}
+
+/**
+ * Find the user a provider's account is linked to, noting the login
+ * @returns {Promise<number|null>} ID of the user, or null if the account isn't linked yet
+ */
+async function findLinkedUserId(db, issuer, subject, email) {
+    const identity = await dbGet(
+        db,
+        'SELECT id, user_id FROM user_identities WHERE issuer = ? AND subject = ?',
+        [issuer, subject]
+    );
+    if (!identity) return null;
+
+    await dbRun(
+        db,
+        'UPDATE user_identities SET email = COALESCE(?, email), last_login_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [email || null, identity.id]
+    );
+    return identity.user_id;
+}
+
+/**
+ * Link a provider's account to a user
+ */
+async function linkIdentity(db, userId, issuer, subject, email) {
+    await dbRun(
+        db,
+        'INSERT INTO user_identities (user_id, issuer, subject, email) VALUES (?, ?, ?, ?)',
+        [userId, issuer, subject, email || null]
+    );
+}
+
+/**
+ * The details of a user needed to log them in
+ */
+async function getLoginUser(db, userId) {
+    return dbGet(
+        db,
+        'SELECT id, username, email, is_admin, disabled_at, totp_enabled_at FROM users WHERE id = ?',
+        [userId]
+    );
+}
+
+/**
+ * Find the user a single sign-on login is for, linking or creating it on the first login
+ * @param {string} issuer - The provider's issuer
+ * @param {object} claims - Claims of the ID token (sub, email, email_verified, preferred_username)
+ * @returns {Promise<object>} { user } (id, username, email, is_admin, disabled_at,
+ *   totp_enabled_at), or { error } when the login can't be for any user:
+ *   - email_unverified   the provider gave no verified email address
+ *   - account_unverified the user with the address never confirmed it
+ *   - no_account         no user has the address, and users aren't created
+ */
+async function findSsoUser(db, issuer, claims) {
+    // One transaction, so a user is never created without the link to the account
+    return dbTransaction(db, async () => {
+        const subject = String(claims.sub);
+        let userId = await findLinkedUserId(db, issuer, subject, typeof claims.email === 'string' ? claims.email : null);
+
+        if (!userId) {
+            const email = getVerifiedEmail(claims);
+            if (!email) {
+                return { error: 'email_unverified' };
+            }
+
+            const existingUser = await dbGet(
+                db,
+                'SELECT id, email_verified_at FROM users WHERE email = ? COLLATE NOCASE',
+                [email]
+            );
+
+            if (existingUser) {
+                // Whoever registered with an unconfirmed address may not own it
+                if (!existingUser.email_verified_at) {
+                    return { error: 'account_unverified' };
+                }
+                userId = existingUser.id;
+            } else if (OIDC_AUTO_PROVISION) {
+                userId = await createSsoUser(db, claims.preferred_username || email, email);
+            } else {
+                return { error: 'no_account' };
+            }
+
+            await linkIdentity(db, userId, issuer, subject, email);
+        }
+
+        return { user: await getLoginUser(db, userId) };
+    });
+}
+
+/**
+ * Find the user an authenticating reverse proxy vouches for, linking or creating it the first time
+ * @param {object} identity - { subject, username, email } from the proxy's headers (see getProxyIdentity)
+ * @returns {Promise<object>} { user } like findSsoUser(), or { error }:
+ *   - no_account   no user has the username or address, and users aren't created
+ *   - no_email     no user has the username, and the proxy sent no address to create one with
+ */
+async function findProxyUser(db, { subject, username, email }) {
+    // One transaction, like findSsoUser()
+    return dbTransaction(db, async () => {
+        let userId = await findLinkedUserId(db, PROXY_ISSUER, subject, email);
+
+        if (!userId) {
+            const existingUser = (username && await dbGet(db, 'SELECT id FROM users WHERE username = ?', [username]))
+                || (email && await dbGet(db, 'SELECT id FROM users WHERE email = ? COLLATE NOCASE', [email]));
+
+            if (existingUser) {
+                userId = existingUser.id;
+            } else if (!AUTH_PROXY_AUTO_PROVISION) {
+                return { error: 'no_account' };
+            } else if (!email) {
+                return { error: 'no_email' };
+            } else {
+                userId = await createSsoUser(db, username || email, email);
+            }
+
+            await linkIdentity(db, userId, PROXY_ISSUER, subject, email);
+        }
+
+        return { user: await getLoginUser(db, userId) };
+    });
+}
+
+module.exports = {
+    findSsoUser,
+    findProxyUser
+};
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238)
+ *
+ * The codes authenticator apps show: 6 digits from an HMAC-SHA1 of the number
+ * of 30-second steps since the Unix epoch. Secrets are exchanged in base32.
+ * Every function that depends on the time takes it as an option, so codes can
+ * be checked against a fixed clock.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const SECRET_BYTES = 20;
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode bytes as base32 (without padding)
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+/**
+ * Decode base32, ignoring case, spaces and padding
+ */
+function base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Create a random base32 secret
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * Number of the 30-second step a moment falls in
+ * @param {number} time - Milliseconds since the epoch
+ */
+function getTimeStep(time = Date.now()) {
+    return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Code of a secret for a time step
+ */
+function generateCodeForStep(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Current code of a secret
+ * @param {object} [options] - { time } in milliseconds since the epoch (default: now)
+ */
+function generateCode(secret, { time = Date.now() } = {}) {
+    return generateCodeForStep(secret, getTimeStep(time));
+}
+
+/**
+ * Check a code, allowing for clock drift of `window` steps either way
+ * @param {object} [options] - { time, window = 1, afterStep } - codes of steps up to
+ *   afterStep are refused, so a code can't be used twice
+ * @returns {number|null} The time step the code belongs to, or null if it is wrong
+ */
+function verifyCode(secret, code, { time = Date.now(), window = 1, afterStep = null } = {}) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) return null;
+
+    const currentStep = getTimeStep(time);
+    for (let step = currentStep - window; step <= currentStep + window; step++) {
+        if (afterStep !== null && step <= afterStep) continue;
+        const expected = generateCodeForStep(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+/**
+ * otpauth:// URI that authenticator apps import (usually from a QR code)
+ */
+function getOtpauthUrl(secret, accountName, issuer = 'Tabinator') {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    getTimeStep,
+    generateCode,
+    verifyCode,
+    getOtpauthUrl
+};
@@ -0,0 +1,140 @@
+const { dbRun, dbAll, dbTransaction } = require('../database/init');
+
+/**
+ * Trash helpers: deleted links and groups keep their rows with a deleted_at
+ * timestamp until they are restored, purged by hand or expire.
+ *
+ * Trash retention is a setting of each user, and a trashed item expires after
+ * the retention of the user who added it (not the one who deleted it or the one
+ * looking at the trash), so in a team workspace items can expire at different times.
+ */
+
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+// How long the IDs of purged links are kept for incremental syncs (see GET /api/links)
+const PURGED_LINK_RETENTION_DAYS = 180;
+
+/**
+ * SQL expression for when a trashed row expires: its deleted_at plus the retention of the
+ * user who added it (with user_config joined as c), or NULL if it stays until the trash is emptied
+ * @param {string} alias Alias of the links or groups table in the query
+ */
+function trashExpirySql(alias) {
+    const days = `COALESCE(c.trash_retention_days, ${DEFAULT_TRASH_RETENTION_DAYS})`;
+    return `CASE WHEN ${days} > 0 THEN datetime(${alias}.deleted_at, '+' || ${days} || ' days') END`;
+}
+
+/**
+ * Permanently delete links together with their tag assignments, history, health results,
+ * metadata and search index entries (all of it, or nothing if a delete fails)
+ * Their IDs are kept in purged_links for incremental syncs.
+ */
+async function purgeLinks(db, linkIds) {
+    if (linkIds.length === 0) return 0;
+
+    const placeholders = linkIds.map(() => '?').join(', ');
+    return dbTransaction(db, async () => {
+        await dbRun(
+            db,
+            `INSERT OR REPLACE INTO purged_links (link_id, workspace_id)
+             SELECT id, workspace_id FROM links WHERE id IN (${placeholders})`,
+            linkIds
+        );
+        await dbRun(db, `DELETE FROM link_tags WHERE link_id IN (${placeholders})`, linkIds);
+        await dbRun(db, `DELETE FROM link_revisions WHERE link_id IN (${placeholders})`, linkIds);
+        await dbRun(db, `DELETE FROM link_health WHERE link_id IN (${placeholders})`, linkIds);
+        await dbRun(db, `DELETE FROM link_metadata WHERE link_id IN (${placeholders})`, linkIds);
+        await dbRun(db, `DELETE FROM links_fts WHERE rowid IN (${placeholders})`, linkIds);
+        const result = await dbRun(db, `DELETE FROM links WHERE id IN (${placeholders})`, linkIds);
+        return result.changes;
+    });
+}
+
+/**
+ * Permanently delete groups together with their rules, share links and the rules
+ * of other groups that reference them (all of it, or nothing if a delete fails)
+ */
+async function purgeGroups(db, groupIds) {
+    if (groupIds.length === 0) return 0;
+
+    const placeholders = groupIds.map(() => '?').join(', ');
+    return dbTransaction(db, async () => {
+        await dbRun(db, `DELETE FROM group_rules WHERE group_id IN (${placeholders})`, groupIds);
+        await dbRun(
+            db,
+            `DELETE FROM group_rules WHERE match_type = 'groups' AND match_value IN (${placeholders})`,
+            groupIds.map(String)
+        );
+        await dbRun(db, `DELETE FROM group_shares WHERE group_id IN (${placeholders})`, groupIds);
+        const result = await dbRun(db, `DELETE FROM groups WHERE id IN (${placeholders})`, groupIds);
+        return result.changes;
+    });
+}
+
+/**
+ * Permanently delete a trashed link with the given URL, if any
+ * Called before a live link takes over the URL, since URLs are unique per workspace.
+ */
+async function purgeTrashedLinkByUrl(db, workspaceId, url) {
+    const rows = await dbAll(
+        db,
+        'SELECT id FROM links WHERE workspace_id = ? AND url = ? AND deleted_at IS NOT NULL',
+        [workspaceId, url]
+    );
+    return purgeLinks(db, rows.map(row => row.id));
+}
+
+/**
+ * Permanently delete a trashed group with the given name, if any
+ * Called before a live group takes over the name, since group names are unique per workspace.
+ */
+async function purgeTrashedGroupByName(db, workspaceId, name) {
+    const rows = await dbAll(
+        db,
+        'SELECT id FROM groups WHERE workspace_id = ? AND name = ? AND deleted_at IS NOT NULL',
+        [workspaceId, name]
+    );
+    return purgeGroups(db, rows.map(row => row.id));
+}
+
+/**
+ * Permanently delete trashed items older than the retention period of the user who added them
+ * A retention of 0 days keeps trashed items until the trash is emptied by hand.
+ * Old IDs of purged links are forgotten here too.
+ * @param {number} [workspaceId] Only purge this workspace's trash; all workspaces if omitted
+ */
+async function purgeExpiredTrash(db, workspaceId) {
+    const expiredQuery = (table) => `
+        SELECT x.id FROM ${table} x
+        LEFT JOIN user_config c ON c.user_id = x.user_id
+        WHERE x.deleted_at IS NOT NULL
+          AND ${trashExpirySql('x')} <= CURRENT_TIMESTAMP
+          ${workspaceId !== undefined ? 'AND x.workspace_id = ?' : ''}`;
+    const params = workspaceId !== undefined ? [workspaceId] : [];
+
+    const links = await dbAll(db, expiredQuery('links'), params);
+    const groups = await dbAll(db, expiredQuery('groups'), params);
+
+    return dbTransaction(db, async () => {
+        await dbRun(
+            db,
+            `DELETE FROM purged_links WHERE purged_at <= datetime('now', '-${PURGED_LINK_RETENTION_DAYS} days')
+             ${workspaceId !== undefined ? 'AND workspace_id = ?' : ''}`,
+            params
+        );
+        return {
+            links: await purgeLinks(db, links.map(row => row.id)),
+            groups: await purgeGroups(db, groups.map(row => row.id))
+        };
+    });
+}
+
+module.exports = {
+    DEFAULT_TRASH_RETENTION_DAYS,
+    PURGED_LINK_RETENTION_DAYS,
+    trashExpirySql,
+    purgeLinks,
+    purgeGroups,
+    purgeTrashedLinkByUrl,
+    purgeTrashedGroupByName,
+    purgeExpiredTrash
+};
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const { dbRun, dbGet } = require('../database/init');
+const { hashToken } = require('../middleware/auth');
+const { verifyCode } = require('./totp');
+
+/**
+ * Two-factor authentication
+ *
+ * Users can add an authenticator app (TOTP, see lib/totp.js) to their account.
+ * Logging in then takes a second step: after the password, a code from the app
+ * or one of ten single-use recovery codes. The TOTP secret is stored in
+ * users.totp_secret once the user confirmed a first code; recovery codes are
+ * stored as SHA-256 hashes. The time step of the last accepted code is kept so
+ * a code can't be used twice.
+ */
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Recovery codes are compared without case, spaces or dashes
+ */
+function normalizeRecoveryCode(code) {
+    return String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+}
+
+/**
+ * Replace a user's recovery codes with new ones
+ * @returns {Promise<string[]>} The codes (only their hashes are stored)
+ */
+async function generateRecoveryCodes(db, userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+        crypto.randomBytes(5).toString('hex').replace(/^(.{5})/, '$1-')
+    );
+
+    await dbRun(db, 'DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+    for (const code of codes) {
+        await dbRun(
+            db,
+            'INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)',
+            [userId, hashToken(normalizeRecoveryCode(code))]
+        );
+    }
+
+    return codes;
+}
+
+/**
+ * Number of recovery codes a user has left
+ */
+async function countRecoveryCodes(db, userId) {
+    const row = await dbGet(
+        db,
+        'SELECT COUNT(*) AS count FROM recovery_codes WHERE user_id = ? AND used_at IS NULL',
+        [userId]
+    );
+    return row.count;
+}
+
+/**
+ * Use up a recovery code
+ * @returns {Promise<boolean>} Whether the code was valid and unused
+ */
+async function consumeRecoveryCode(db, userId, code) {
+    const normalized = normalizeRecoveryCode(code);
+    if (!normalized) return false;
+
+    const result = await dbRun(
+        db,
+        'UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+        [userId, hashToken(normalized)]
+    );
+    return result.changes > 0;
+}
+
+/**
+ * Check a code from the user's authenticator app and remember its time step
+ * @param {object} user - { id, totp_secret, totp_last_step }
+ * @param {object} [options] - { time } to check against a fixed clock
+ * @returns {Promise<boolean>} Whether the code was valid and not used before
+ */
+async function verifyTotpLogin(db, user, code, { time = Date.now() } = {}) {
+    if (!user.totp_secret) return false;
+
+    const step = verifyCode(user.totp_secret, code, { time, afterStep: user.totp_last_step });
+    if (step === null) return false;
+
+    // Conditional update, so parallel requests can't both use the code
+    const result = await dbRun(
+        db,
+        'UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+        [step, user.id, step]
+    );
+    return result.changes > 0;
+}
+
+/**
+ * Turn on two-factor authentication with a confirmed secret
+ * @param {number} step - Time step of the code that confirmed the secret
+ */
+async function enableTwoFactor(db, userId, secret, step) {
+    await dbRun(
+        db,
+        `UPDATE users SET totp_secret = ?, totp_enabled_at = CURRENT_TIMESTAMP, totp_last_step = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [secret, step, userId]
+    );
+}
+
+/**
+ * Turn off two-factor authentication and delete the recovery codes
+ */
+async function disableTwoFactor(db, userId) {
+    await dbRun(
+        db,
+        `UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [userId]
+    );
+    await dbRun(db, 'DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+}
+
+module.exports = {
+    generateRecoveryCodes,
+    countRecoveryCodes,
+    consumeRecoveryCode,
+    verifyTotpLogin,
+    enableTwoFactor,
+    disableTwoFactor
+};
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const { dbRun, dbGet, dbAll, dbTransaction } = require('../database/init');
+const { createPersonalWorkspace, deleteWorkspace } = require('./workspaces');
+
+/**
+ * User administration
+ *
+ * Administrators (users.is_admin) manage the accounts of a server: they can
+ * disable, delete and reset the password of accounts, grant the administrator
+ * role, and decide who may register:
+ * - open     anyone can register (default)
+ * - invite   registering needs a single-use invite code made by an administrator
+ * - closed   nobody can register
+ *
+ * The mode is stored in server_settings; REGISTRATION_MODE sets it until an
+ * administrator changes it. A server without users always lets the first user
+ * register, and makes them an administrator.
+ */
+
+const REGISTRATION_MODES = ['open', 'invite', 'closed'];
+const DEFAULT_REGISTRATION_MODE = REGISTRATION_MODES.includes(process.env.REGISTRATION_MODE)
+    ? process.env.REGISTRATION_MODE
+    : 'open';
+
+/**
+ * Get a server setting
+ * @returns {Promise<string|null>} The stored value, or null if it was never set
+ */
+async function getServerSetting(db, key) {
+    const row = await dbGet(db, 'SELECT value FROM server_settings WHERE key = ?', [key]);
+    return row ? row.value : null;
+}
+
+/**
+ * Store a server setting
+ */
+async function setServerSetting(db, key, value) {
+    await dbRun(
+        db,
+        `INSERT INTO server_settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+         ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP`,
+        [key, value]
+    );
+}
+
+/**
+ * Current registration mode (open, invite or closed)
+ */
+async function getRegistrationMode(db) {
+    const mode = await getServerSetting(db, 'registration_mode');
+    return REGISTRATION_MODES.includes(mode) ? mode : DEFAULT_REGISTRATION_MODE;
+}
+
+/**
+ * Create a random invite code that is easy to type (like "9F2C-41AB-D07E")
+ */
+function generateInviteCode() {
+    return crypto.randomBytes(6).toString('hex').toUpperCase().match(/.{4}/g).join('-');
+}
+
+/**
+ * Mark an invite code as used, if it is unused and not expired
+ * Codes are compared ignoring case and surrounding whitespace.
+ * @returns {Promise<number|null>} ID of the claimed code, or null if it can't be used
+ */
+async function claimInviteCode(db, code) {
+    const invite = await dbGet(
+        db,
+        `SELECT id FROM invite_codes
+         WHERE code = ? AND used_at IS NULL AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)`,
+        [String(code).trim().toUpperCase()]
+    );
+    if (!invite) return null;
+
+    // Conditional update, so two registrations can't both use the code
+    const result = await dbRun(
+        db,
+        'UPDATE invite_codes SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+        [invite.id]
+    );
+    return result.changes > 0 ? invite.id : null;
+}
+
+/**
+ * Create a user account, with the default settings and a personal workspace (all or nothing)
+ * @param {object} account - { username, email, passwordHash, isAdmin, emailVerified }
+ * @returns {Promise<number>} ID of the new user
+ */
+async function createUser(db, { username, email, passwordHash, isAdmin = false, emailVerified = false }) {
+    return dbTransaction(db, async () => {
+        const result = await dbRun(
+            db,
+            `INSERT INTO users (username, email, password_hash, is_admin, email_verified_at)
+             VALUES (?, ?, ?, ?, CASE WHEN ? THEN CURRENT_TIMESTAMP END)`,
+            [username, email, passwordHash, isAdmin ? 1 : 0, emailVerified ? 1 : 0]
+        );
+
+        // Create default config
+        await dbRun(
+            db,
+            'INSERT INTO user_config (user_id, warning_tabs_open, max_tabs_open) VALUES (?, ?, ?)',
+            [result.lastID, 20, 50]
+        );
+
+        await createPersonalWorkspace(db, result.lastID);
+        return result.lastID;
+    });
+}
+
+/**
+ * Number of administrators whose accounts are enabled
+ */
+async function countActiveAdmins(db) {
+    const row = await dbGet(db, 'SELECT COUNT(*) AS count FROM users WHERE is_admin = 1 AND disabled_at IS NULL');
+    return row.count;
+}
+
+/**
+ * Permanently delete a user account
+ * The personal workspace and team workspaces without other members are deleted.
+ * Team workspaces the user was the only owner of are handed to the member who
+ * joined first (editors before viewers). Links and groups the user added to
+ * team workspaces stay there. Nothing is deleted if any of it fails.
+ */
+async function deleteUser(db, userId) {
+    await dbTransaction(db, async () => {
+        const memberships = await dbAll(
+            db,
+            `SELECT w.id, w.personal, m.role,
+                    (SELECT COUNT(*) FROM workspace_members o WHERE o.workspace_id = w.id AND o.user_id != m.user_id) AS other_members,
+                    (SELECT COUNT(*) FROM workspace_members o WHERE o.workspace_id = w.id AND o.user_id != m.user_id AND o.role = 'owner') AS other_owners
+             FROM workspaces w
+             JOIN workspace_members m ON m.workspace_id = w.id AND m.user_id = ?`,
+            [userId]
+        );
+
+        for (const workspace of memberships) {
+            if (workspace.personal || workspace.other_members === 0) {
+                await deleteWorkspace(db, workspace.id);
+                continue;
+            }
+
+            if (workspace.role === 'owner' && workspace.other_owners === 0) {
+                await dbRun(
+                    db,
+                    `UPDATE workspace_members SET role = 'owner'
+                     WHERE workspace_id = ? AND user_id = (
+                         SELECT user_id FROM workspace_members
+                         WHERE workspace_id = ? AND user_id != ?
+                         ORDER BY role = 'editor' DESC, created_at, user_id LIMIT 1
+                     )`,
+                    [workspace.id, workspace.id, userId]
+                );
+            }
+            await dbRun(db, 'DELETE FROM workspace_members WHERE workspace_id = ? AND user_id = ?', [workspace.id, userId]);
+        }
+
+        await dbRun(db, 'DELETE FROM workspace_invitations WHERE user_id = ? OR invited_by = ?', [userId, userId]);
+        await dbRun(db, 'DELETE FROM api_tokens WHERE user_id = ?', [userId]);
+        await dbRun(db, 'DELETE FROM email_tokens WHERE user_id = ?', [userId]);
+        await dbRun(db, 'DELETE FROM login_attempts WHERE user_id = ?', [userId]);
+        await dbRun(db, 'DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+        await dbRun(db, 'DELETE FROM user_sessions WHERE user_id = ?', [userId]);
+        await dbRun(db, 'DELETE FROM user_identities WHERE user_id = ?', [userId]);
+        await dbRun(db, 'DELETE FROM user_config WHERE user_id = ?', [userId]);
+        await dbRun(db, 'UPDATE invite_codes SET used_by = NULL WHERE used_by = ?', [userId]);
+        await dbRun(db, 'DELETE FROM invite_codes WHERE created_by = ? AND used_at IS NULL', [userId]);
+        await dbRun(db, 'DELETE FROM users WHERE id = ?', [userId]);
+    });
+}
+
+module.exports = {
+    REGISTRATION_MODES,
+    getServerSetting,
+    setServerSetting,
+    getRegistrationMode,
+    generateInviteCode,
+    claimInviteCode,
+    createUser,
+    countActiveAdmins,
+    deleteUser
+};
@@ -0,0 +1,125 @@
+const { dbRun, dbGet, dbAll, dbTransaction } = require('../database/init');
+const { purgeLinks, purgeGroups } = require('./trash');
+
+/**
+ * Workspaces and their members
+ *
+ * Links, tags and groups belong to a workspace. Every user has a personal
+ * workspace (created at registration) that can't be shared; team workspaces
+ * have any number of members, each with a role:
+ * - viewer  can read the workspace's links and groups
+ * - editor  can also add, change and delete them
+ * - owner   can also rename or delete the workspace and manage its members
+ *
+ * requireAuth picks the workspace of a request from the X-Workspace-Id header
+ * (the personal workspace without it) and sets req.workspace, req.workspaceId and
+ * req.workspaceRole.
+ */
+
+// Roles from least to most privileged
+const WORKSPACE_ROLES = ['viewer', 'editor', 'owner'];
+const PERSONAL_WORKSPACE_NAME = 'Personal';
+
+/**
+ * Whether a role includes the permissions of another
+ */
+function hasRole(role, requiredRole) {
+    return WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(requiredRole);
+}
+
+/**
+ * Create the personal workspace of a new user
+ * @returns {Promise<number>} The workspace ID
+ */
+async function createPersonalWorkspace(db, userId) {
+    const result = await dbRun(
+        db,
+        'INSERT INTO workspaces (name, personal, created_by) VALUES (?, 1, ?)',
+        [PERSONAL_WORKSPACE_NAME, userId]
+    );
+    await dbRun(
+        db,
+        "INSERT INTO workspace_members (workspace_id, user_id, role) VALUES (?, ?, 'owner')",
+        [result.lastID, userId]
+    );
+    return result.lastID;
+}
+
+/**
+ * A workspace as seen by one of its members
+ * @param {number} [workspaceId] The user's personal workspace if omitted
+ * @returns {Promise<{id: number, name: string, personal: boolean, role: string}|null>}
+ *   null if the workspace doesn't exist or the user isn't a member
+ */
+async function getMembership(db, userId, workspaceId) {
+    const row = await dbGet(
+        db,
+        `SELECT w.id, w.name, w.personal, m.role
+         FROM workspaces w
+         JOIN workspace_members m ON m.workspace_id = w.id AND m.user_id = ?
+         WHERE ${workspaceId !== undefined ? 'w.id = ?' : 'w.personal = 1 AND w.created_by = m.user_id'}`,
+        workspaceId !== undefined ? [userId, workspaceId] : [userId]
+    );
+    return row ? { id: row.id, name: row.name, personal: !!row.personal, role: row.role } : null;
+}
+
+/**
+ * All workspaces of a user, personal workspace first
+ */
+async function listUserWorkspaces(db, userId) {
+    const rows = await dbAll(
+        db,
+        `SELECT w.id, w.name, w.personal, m.role,
+                (SELECT COUNT(*) FROM workspace_members c WHERE c.workspace_id = w.id) AS member_count
+         FROM workspaces w
+         JOIN workspace_members m ON m.workspace_id = w.id AND m.user_id = ?
+         ORDER BY w.personal DESC, w.name COLLATE NOCASE, w.id`,
+        [userId]
+    );
+    return rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        personal: !!row.personal,
+        role: row.role,
+        member_count: row.member_count
+    }));
+}
+
+/**
+ * Number of owners of a workspace (a workspace must keep at least one)
+ */
+async function countOwners(db, workspaceId) {
+    const row = await dbGet(
+        db,
+        "SELECT COUNT(*) AS count FROM workspace_members WHERE workspace_id = ? AND role = 'owner'",
+        [workspaceId]
+    );
+    return row.count;
+}
+
+/**
+ * Permanently delete a workspace with its links, tags, groups, members and invitations
+ * (all of it, or nothing if a delete fails)
+ */
+async function deleteWorkspace(db, workspaceId) {
+    await dbTransaction(db, async () => {
+        const links = await dbAll(db, 'SELECT id FROM links WHERE workspace_id = ?', [workspaceId]);
+        const groups = await dbAll(db, 'SELECT id FROM groups WHERE workspace_id = ?', [workspaceId]);
+        await purgeLinks(db, links.map(row => row.id));
+        await purgeGroups(db, groups.map(row => row.id));
+        await dbRun(db, 'DELETE FROM tags WHERE workspace_id = ?', [workspaceId]);
+        await dbRun(db, 'DELETE FROM workspace_invitations WHERE workspace_id = ?', [workspaceId]);
+        await dbRun(db, 'DELETE FROM workspace_members WHERE workspace_id = ?', [workspaceId]);
+        await dbRun(db, 'DELETE FROM workspaces WHERE id = ?', [workspaceId]);
+    });
+}
+
+module.exports = {
+    WORKSPACE_ROLES,
+    hasRole,
+    createPersonalWorkspace,
+    getMembership,
+    listUserWorkspaces,
+    countOwners,
+    deleteWorkspace
+};
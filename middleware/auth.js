@@ -1,18 +1,226 @@
+const crypto = require('crypto');
+const { getDatabase, dbRun, dbGet } = require('../database/init');
+const { hasRole, getMembership } = require('../lib/workspaces');
+const { startSession, touchUserSession, endUserSession } = require('../lib/sessions');
+const { getProxyIdentity } = require('../lib/proxyAuth');
+const { findProxyUser } = require('../lib/singleSignOn');
+
 /**
  * Authentication middleware
  */
 
+/**
+ * Hash an API token for storage and lookup
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Resolve an "Authorization: Bearer <token>" header to its API token row
+ * @returns {Promise<object|null>} The token row, or null if the header is absent
+ */
+async function findBearerToken(req) {
+    const header = req.get('authorization') || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    if (!match) return null;
+
+    const db = await getDatabase();
+    try {
+        const token = await dbGet(
+            db,
+            `SELECT id, user_id, scope, expires_at,
+                    (expires_at IS NOT NULL AND expires_at <= CURRENT_TIMESTAMP) AS expired
+             FROM api_tokens WHERE token_hash = ?`,
+            [hashToken(match[1])]
+        );
+
+        if (token && !token.expired) {
+            await dbRun(
+                db,
+                'UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [token.id]
+            );
+        }
+
+        return token || { invalid: true };
+    } finally {
+        db.close();
+    }
+}
+
+const PROXY_AUTH_ERRORS = {
+    no_account: 'There is no Tabinator account for you. Ask an administrator to create one.',
+    no_email: 'There is no Tabinator account for you, and your login has no email address to create one with.',
+    disabled: 'This account has been disabled'
+};
+
+/**
+ * Log the request's session in as the user an authenticating reverse proxy vouches
+ * for (see lib/proxyAuth.js), unless it already is
+ * The session always follows the proxy: a session of anyone else is logged out
+ * first, and one that was logged out elsewhere logs in again.
+ * @returns {Promise<string|null>} Why the proxy's user can't log in, if they can't
+ */
+async function startProxySession(req) {
+    const identity = getProxyIdentity(req);
+    if (!identity) return null;
+
+    const db = await getDatabase();
+    try {
+        if (req.session.userId) {
+            if (req.session.proxySubject === identity.subject && await touchUserSession(db, req)) {
+                return null;
+            }
+            await endUserSession(db, req.sessionID);
+            delete req.session.userId;
+            delete req.session.username;
+            delete req.session.proxySubject;
+        }
+
+        const { user, error } = await findProxyUser(db, identity);
+        if (error) {
+            return PROXY_AUTH_ERRORS[error];
+        }
+        if (user.disabled_at) {
+            return PROXY_AUTH_ERRORS.disabled;
+        }
+
+        // The proxy has its own second factor, if any
+        await startSession(db, req, user, { proxySubject: identity.subject });
+        return null;
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Load the account of the request's user and the workspace the request works on:
+ * the one in the X-Workspace-Id header, or the user's personal workspace
+ * @returns {Promise<{user: object|undefined, workspace: object|null, loggedOut: boolean}>} workspace is
+ *   the membership (see getMembership), null if the user isn't a member; loggedOut is true for a
+ *   session that was logged out from another device (see lib/sessions.js)
+ */
+async function loadRequestContext(req) {
+    const db = await getDatabase();
+    try {
+        const user = await dbGet(db, 'SELECT id, is_admin, disabled_at FROM users WHERE id = ?', [req.userId]);
+        const loggedOut = req.authMethod === 'session' && !await touchUserSession(db, req);
+
+        const header = req.get('x-workspace-id');
+        const workspace = header !== undefined && !/^\d+$/.test(header)
+            ? null
+            : await getMembership(db, req.userId, header !== undefined ? parseInt(header) : undefined);
+
+        return { user, workspace, loggedOut };
+    } finally {
+        db.close();
+    }
+}
+
 /**
  * Middleware to require authentication
+ * Accepts either a session cookie or a personal API token sent as a Bearer header. Behind an
+ * authenticating reverse proxy, requests without a token log the session in as the proxy's user.
+ * Read-only tokens are limited to GET requests, disabled or deleted accounts are rejected, and so are
+ * sessions that were logged out from another device.
+ * Sets req.isAdmin, and selects the request's workspace: sets req.workspace, req.workspaceId and req.workspaceRole.
  */
-function requireAuth(req, res, next) {
-    if (req.session && req.session.userId) {
-        req.userId = req.session.userId;
-        next();
-    } else {
-        res.status(401).json({ error: 'Authentication required' });
+async function requireAuth(req, res, next) {
+    try {
+        if (!/^Bearer\s/i.test(req.get('authorization') || '')) {
+            const proxyError = await startProxySession(req);
+            if (proxyError) {
+                return res.status(403).json({ error: proxyError });
+            }
+        }
+
+        if (req.session && req.session.userId) {
+            req.userId = req.session.userId;
+            req.authMethod = 'session';
+        } else {
+            const token = await findBearerToken(req);
+            if (!token) {
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+            if (token.invalid) {
+                return res.status(401).json({ error: 'Invalid API token' });
+            }
+            if (token.expired) {
+                return res.status(401).json({ error: 'API token has expired' });
+            }
+            if (token.scope === 'read' && !['GET', 'HEAD'].includes(req.method)) {
+                return res.status(403).json({ error: 'This API token is read-only' });
+            }
+
+            req.userId = token.user_id;
+            req.authMethod = 'token';
+            req.apiTokenId = token.id;
+        }
+
+        const { user, workspace, loggedOut } = await loadRequestContext(req);
+        if (!user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        if (loggedOut) {
+            req.session.destroy((err) => {
+                if (err) console.error('Error destroying session:', err);
+            });
+            return res.status(401).json({ error: 'Your session has ended. Please log in again.' });
+        }
+        if (user.disabled_at) {
+            return res.status(403).json({ error: 'This account has been disabled' });
+        }
+        req.isAdmin = !!user.is_admin;
+
+        if (!workspace) {
+            return res.status(404).json({ error: 'Workspace not found' });
+        }
+        req.workspace = workspace;
+        req.workspaceId = workspace.id;
+        req.workspaceRole = workspace.role;
+    } catch (error) {
+        console.error('Error authenticating request:', error);
+        return res.status(500).json({ error: 'Failed to authenticate' });
+    }
+
+    next();
+}
+
+/**
+ * Middleware to require an interactive (session) login
+ * Used for account management routes that API tokens must not reach.
+ * Must run after requireAuth.
+ */
+function requireSession(req, res, next) {
+    if (req.authMethod !== 'session') {
+        return res.status(403).json({ error: 'This action requires logging in with a password' });
+    }
+    next();
+}
+
+/**
+ * Middleware to require an administrator
+ * Must run after requireAuth.
+ */
+function requireAdmin(req, res, next) {
+    if (!req.isAdmin) {
+        return res.status(403).json({ error: 'This action requires an administrator' });
     }
+    next();
 }
 
-module.exports = { requireAuth };
+/**
+ * Middleware to require at least the given role in the request's workspace
+ * Must run after requireAuth.
+ */
+function requireWorkspaceRole(role) {
+    return (req, res, next) => {
+        if (!hasRole(req.workspaceRole, role)) {
+            return res.status(403).json({ error: `This action requires the ${role} role in this workspace` });
+        }
+        next();
+    };
+}
 
+module.exports = { requireAuth, requireSession, requireAdmin, requireWorkspaceRole, startProxySession, hashToken };
@@ -53,6 +53,51 @@ const linkValidation = [
         })
 ];
 
+/**
+ * Validation rules for link creation: like linkValidation, but the name may be
+ * left out to have it filled in from the page title
+ */
+const linkCreateValidation = [
+    body('name')
+        .optional({ values: 'falsy' })
+        .trim()
+        .isLength({ max: 500 }).withMessage('Name must be less than 500 characters')
+        .customSanitizer(sanitizeString),
+    ...linkValidation.slice(1)
+];
+
+/**
+ * Validation rules for partial link updates (PATCH), every field is optional
+ */
+const linkPatchValidation = [
+    body('name')
+        .optional()
+        .trim()
+        .notEmpty().withMessage('Name cannot be empty')
+        .isLength({ max: 500 }).withMessage('Name must be less than 500 characters')
+        .customSanitizer(sanitizeString),
+    body('url')
+        .optional()
+        .trim()
+        .notEmpty().withMessage('URL cannot be empty')
+        .isLength({ max: 2000 }).withMessage('URL must be less than 2000 characters')
+        .custom((value) => {
+            if (!isValidUrl(value)) {
+                throw new Error('Invalid URL format');
+            }
+            return true;
+        }),
+    body('tags')
+        .optional()
+        .isArray().withMessage('Tags must be an array')
+        .custom((tags) => {
+            if (tags.length > 50) {
+                throw new Error('Maximum 50 tags allowed');
+            }
+            return tags.every(tag => typeof tag === 'string' && tag.length <= 100);
+        })
+];
+
 /**
  * Validation rules for user registration
  */
@@ -103,6 +148,25 @@ const changePasswordValidation = [
         })
 ];
 
+/**
+ * Validation rules for asking for a password reset link
+ */
+const forgotPasswordValidation = [
+    body('email')
+        .trim()
+        .notEmpty().withMessage('Email is required')
+        .isEmail().withMessage('Invalid email format')
+];
+
+/**
+ * Validation rules for choosing a new password with a reset link
+ */
+const resetPasswordValidation = [
+    body('token')
+        .isString().notEmpty().withMessage('Reset token is required'),
+    ...changePasswordValidation.slice(1)
+];
+
 /**
  * Middleware to check validation results
  */
@@ -119,9 +183,13 @@ function checkValidation(req, res, next) {
 
 module.exports = {
     linkValidation,
+    linkCreateValidation,
+    linkPatchValidation,
     registerValidation,
     loginValidation,
     changePasswordValidation,
+    forgotPasswordValidation,
+    resetPasswordValidation,
     checkValidation,
     sanitizeString,
     isValidUrl
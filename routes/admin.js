@@ -0,0 +1,379 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { getDatabase, dbRun, dbGet, dbAll, dbTransaction } = require('../database/init');
+const { requireAuth, requireSession, requireAdmin } = require('../middleware/auth');
+const { sanitizeString } = require('../middleware/validation');
+const {
+    REGISTRATION_MODES,
+    getRegistrationMode,
+    setServerSetting,
+    generateInviteCode,
+    countActiveAdmins,
+    deleteUser
+} = require('../lib/users');
+const { clearFailedLogins } = require('../lib/loginAttempts');
+const { disableTwoFactor } = require('../lib/twoFactor');
+const { revokeOtherUserSessions } = require('../lib/sessions');
+const { body, validationResult } = require('express-validator');
+
+const USER_COLUMNS = `u.id, u.username, u.email, u.email_verified_at, u.totp_enabled_at, u.is_admin, u.disabled_at, u.last_login_at, u.created_at,
+    (SELECT COUNT(*) FROM links l WHERE l.user_id = u.id AND l.deleted_at IS NULL) AS link_count`;
+
+/**
+ * Format a users row for the admin console (never includes the password hash)
+ */
+function formatUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        email_verified: !!user.email_verified_at,
+        two_factor_enabled: !!user.totp_enabled_at,
+        is_admin: !!user.is_admin,
+        disabled: !!user.disabled_at,
+        disabled_at: user.disabled_at,
+        last_login_at: user.last_login_at,
+        created_at: user.created_at,
+        link_count: user.link_count
+    };
+}
+
+/**
+ * Format an invite_codes row
+ */
+function formatInviteCode(invite) {
+    return {
+        id: invite.id,
+        code: invite.code,
+        note: invite.note,
+        created_by: invite.created_by_username,
+        used_by: invite.used_by_username,
+        used_at: invite.used_at,
+        expires_at: invite.expires_at,
+        expired: !!invite.expired,
+        created_at: invite.created_at
+    };
+}
+
+/**
+ * GET /api/admin/users
+ * List all user accounts with their link counts and last logins
+ */
+router.get('/users', requireAuth, requireSession, requireAdmin, async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const users = await dbAll(db, `SELECT ${USER_COLUMNS} FROM users u ORDER BY u.username COLLATE NOCASE`);
+        res.json(users.map(formatUser));
+    } catch (error) {
+        console.error('Error listing users:', error);
+        res.status(500).json({ error: 'Failed to list users' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * PUT /api/admin/users/:id
+ * Disable or enable an account, grant or revoke the administrator role, or turn off
+ * two-factor authentication for a user who lost their authenticator and recovery codes
+ * Body: { disabled?: boolean, is_admin?: boolean, two_factor?: false }
+ */
+router.put('/users/:id(\\d+)', requireAuth, requireSession, requireAdmin, [
+    body('disabled')
+        .optional()
+        .isBoolean({ strict: true }).withMessage('disabled must be true or false'),
+    body('is_admin')
+        .optional()
+        .isBoolean({ strict: true }).withMessage('is_admin must be true or false'),
+    body('two_factor')
+        .optional()
+        .custom(value => value === false).withMessage('two_factor can only be turned off')
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const db = await getDatabase();
+    try {
+        const userId = parseInt(req.params.id);
+        const { disabled, is_admin, two_factor } = req.body;
+
+        const user = await dbGet(db, 'SELECT id, is_admin, disabled_at FROM users WHERE id = ?', [userId]);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (userId === req.userId && (disabled === true || is_admin === false)) {
+            return res.status(400).json({ error: 'You cannot disable your own account or remove your own administrator role' });
+        }
+
+        const losesAdmin = user.is_admin && !user.disabled_at && (disabled === true || is_admin === false);
+        if (losesAdmin && await countActiveAdmins(db) <= 1) {
+            return res.status(400).json({ error: 'The server must keep at least one active administrator' });
+        }
+
+        await dbTransaction(db, async () => {
+            if (disabled !== undefined) {
+                await dbRun(
+                    db,
+                    'UPDATE users SET disabled_at = CASE WHEN ? THEN COALESCE(disabled_at, CURRENT_TIMESTAMP) ELSE NULL END, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [disabled ? 1 : 0, userId]
+                );
+                // Sessions of a disabled account stay logged out when it is enabled again
+                if (disabled) {
+                    await revokeOtherUserSessions(db, userId);
+                }
+            }
+            if (is_admin !== undefined) {
+                await dbRun(
+                    db,
+                    'UPDATE users SET is_admin = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [is_admin ? 1 : 0, userId]
+                );
+            }
+            if (two_factor === false) {
+                await disableTwoFactor(db, userId);
+            }
+        });
+
+        const updated = await dbGet(db, `SELECT ${USER_COLUMNS} FROM users u WHERE u.id = ?`, [userId]);
+        res.json(formatUser(updated));
+    } catch (error) {
+        console.error('Error updating user:', error);
+        res.status(500).json({ error: 'Failed to update user' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * POST /api/admin/users/:id/reset-password
+ * Set a new password for an account, logging out its sessions
+ * Body: { password? } (a random temporary password is generated and returned if omitted)
+ */
+router.post('/users/:id(\\d+)/reset-password', requireAuth, requireSession, requireAdmin, [
+    body('password')
+        .optional()
+        .isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+        .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/).withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const db = await getDatabase();
+    try {
+        const userId = parseInt(req.params.id);
+        const generated = req.body.password === undefined;
+        const password = generated ? crypto.randomBytes(12).toString('base64url') : req.body.password;
+
+        const user = await dbGet(db, 'SELECT id FROM users WHERE id = ?', [userId]);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const passwordHash = await bcrypt.hash(password, 10);
+        await dbTransaction(db, async () => {
+            await dbRun(
+                db,
+                'UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [passwordHash, userId]
+            );
+            await clearFailedLogins(db, userId);
+            await revokeOtherUserSessions(db, userId);
+        });
+
+        res.json({
+            message: 'Password reset successfully',
+            password: generated ? password : undefined
+        });
+    } catch (error) {
+        console.error('Error resetting password:', error);
+        res.status(500).json({ error: 'Failed to reset password' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * DELETE /api/admin/users/:id
+ * Permanently delete an account (see deleteUser for what happens to its workspaces)
+ */
+router.delete('/users/:id(\\d+)', requireAuth, requireSession, requireAdmin, async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const userId = parseInt(req.params.id);
+
+        if (userId === req.userId) {
+            return res.status(400).json({ error: 'You cannot delete your own account' });
+        }
+
+        const user = await dbGet(db, 'SELECT id, is_admin, disabled_at FROM users WHERE id = ?', [userId]);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (user.is_admin && !user.disabled_at && await countActiveAdmins(db) <= 1) {
+            return res.status(400).json({ error: 'The server must keep at least one active administrator' });
+        }
+
+        await deleteUser(db, userId);
+
+        res.json({ message: 'User deleted' });
+    } catch (error) {
+        console.error('Error deleting user:', error);
+        res.status(500).json({ error: 'Failed to delete user' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * GET /api/admin/settings
+ * Get the server settings
+ */
+router.get('/settings', requireAuth, requireSession, requireAdmin, async (req, res) => {
+    const db = await getDatabase();
+    try {
+        res.json({ registration_mode: await getRegistrationMode(db) });
+    } catch (error) {
+        console.error('Error fetching server settings:', error);
+        res.status(500).json({ error: 'Failed to fetch server settings' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * PUT /api/admin/settings
+ * Change the server settings
+ * Body: { registration_mode: "open"|"invite"|"closed" }
+ */
+router.put('/settings', requireAuth, requireSession, requireAdmin, [
+    body('registration_mode')
+        .isIn(REGISTRATION_MODES).withMessage(`registration_mode must be one of: ${REGISTRATION_MODES.join(', ')}`)
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const db = await getDatabase();
+    try {
+        await setServerSetting(db, 'registration_mode', req.body.registration_mode);
+        res.json({ registration_mode: await getRegistrationMode(db) });
+    } catch (error) {
+        console.error('Error updating server settings:', error);
+        res.status(500).json({ error: 'Failed to update server settings' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * GET /api/admin/invite-codes
+ * List invite codes, newest first
+ */
+router.get('/invite-codes', requireAuth, requireSession, requireAdmin, async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const invites = await dbAll(
+            db,
+            `SELECT i.id, i.code, i.note, i.used_at, i.expires_at, i.created_at,
+                    (i.expires_at IS NOT NULL AND i.expires_at <= CURRENT_TIMESTAMP) AS expired,
+                    c.username AS created_by_username, u.username AS used_by_username
+             FROM invite_codes i
+             LEFT JOIN users c ON c.id = i.created_by
+             LEFT JOIN users u ON u.id = i.used_by
+             ORDER BY i.created_at DESC, i.id DESC`
+        );
+        res.json(invites.map(formatInviteCode));
+    } catch (error) {
+        console.error('Error listing invite codes:', error);
+        res.status(500).json({ error: 'Failed to list invite codes' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * POST /api/admin/invite-codes
+ * Create a single-use invite code
+ * Body: { note?: string, expires_in_days?: number|null }
+ */
+router.post('/invite-codes', requireAuth, requireSession, requireAdmin, [
+    body('note')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 200 }).withMessage('Note must be less than 200 characters')
+        .customSanitizer(sanitizeString),
+    body('expires_in_days')
+        .optional({ nullable: true })
+        .isInt({ min: 1, max: 3650 }).withMessage('Expiry must be between 1 and 3650 days')
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const db = await getDatabase();
+    try {
+        const { note, expires_in_days } = req.body;
+        const expiresModifier = expires_in_days ? `+${parseInt(expires_in_days, 10)} days` : null;
+
+        const result = await dbRun(
+            db,
+            `INSERT INTO invite_codes (code, note, created_by, expires_at)
+             VALUES (?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', ?) END)`,
+            [generateInviteCode(), note || null, req.userId, expiresModifier, expiresModifier]
+        );
+
+        const invite = await dbGet(
+            db,
+            `SELECT i.id, i.code, i.note, i.used_at, i.expires_at, i.created_at, 0 AS expired,
+                    c.username AS created_by_username, NULL AS used_by_username
+             FROM invite_codes i
+             LEFT JOIN users c ON c.id = i.created_by
+             WHERE i.id = ?`,
+            [result.lastID]
+        );
+
+        res.status(201).json(formatInviteCode(invite));
+    } catch (error) {
+        console.error('Error creating invite code:', error);
+        res.status(500).json({ error: 'Failed to create invite code' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * DELETE /api/admin/invite-codes/:id
+ * Delete an invite code (an unused code can no longer be used)
+ */
+router.delete('/invite-codes/:id(\\d+)', requireAuth, requireSession, requireAdmin, async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const result = await dbRun(db, 'DELETE FROM invite_codes WHERE id = ?', [parseInt(req.params.id)]);
+
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Invite code not found' });
+        }
+
+        res.json({ message: 'Invite code deleted' });
+    } catch (error) {
+        console.error('Error deleting invite code:', error);
+        res.status(500).json({ error: 'Failed to delete invite code' });
+    } finally {
+        db.close();
+    }
+});
+
+module.exports = router;
@@ -1,18 +1,131 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
-const { getDatabase, dbRun, dbGet } = require('../database/init');
-const { registerValidation, loginValidation, changePasswordValidation, checkValidation } = require('../middleware/validation');
-const { requireAuth } = require('../middleware/auth');
+const { getDatabase, dbRun, dbGet, dbTransaction } = require('../database/init');
+const {
+    registerValidation,
+    loginValidation,
+    changePasswordValidation,
+    forgotPasswordValidation,
+    resetPasswordValidation,
+    checkValidation
+} = require('../middleware/validation');
+const { requireAuth, requireSession, startProxySession } = require('../middleware/auth');
+const { DEFAULT_TRASH_RETENTION_DAYS } = require('../lib/trash');
+const { getRegistrationMode, claimInviteCode, createUser } = require('../lib/users');
+const { APP_URL } = require('../lib/mailer');
+const {
+    consumeEmailToken,
+    getPendingEmail,
+    sendPasswordResetEmail,
+    sendVerificationEmail
+} = require('../lib/accountEmails');
+const {
+    getIpBlockSeconds,
+    getAccountBlock,
+    registerFailedLogin,
+    clearFailedLogins,
+    recordLoginAttempt,
+    getLoginAttempts
+} = require('../lib/loginAttempts');
+const { verifyTotpLogin, consumeRecoveryCode, countRecoveryCodes } = require('../lib/twoFactor');
+const {
+    saveSession,
+    startSession,
+    touchUserSession,
+    endUserSession,
+    revokeOtherUserSessions
+} = require('../lib/sessions');
+const {
+    OIDC_ENABLED,
+    OIDC_PROVIDER_NAME,
+    OIDC_REDIRECT_URI,
+    createAuthorizationRequest,
+    completeAuthorization
+} = require('../lib/oidc');
+const { findSsoUser } = require('../lib/singleSignOn');
+const { AUTH_PROXY_LOGOUT_URL } = require('../lib/proxyAuth');
+
+const TWO_FACTOR_LOGIN_TIMEOUT = 5 * 60 * 1000; // Time to enter the code after the password
+const SSO_LOGIN_TIMEOUT = 10 * 60 * 1000; // Time to log in at the identity provider
+
+/**
+ * Refuse a login that is throttled, telling the client when to try again
+ */
+function sendTooManyAttempts(res, seconds, error) {
+    res.set('Retry-After', String(seconds));
+    res.status(429).json({ error, retry_after: seconds });
+}
+
+/**
+ * User details returned by a successful login
+ */
+function formatLoginUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        is_admin: !!user.is_admin
+    };
+}
+
+/**
+ * Describe a wait for error messages ("30 seconds", "15 minutes")
+ */
+function describeWait(seconds) {
+    if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+/**
+ * Error message for an account that refuses logins (see getAccountBlock)
+ */
+function describeAccountBlock({ seconds, locked }) {
+    return locked
+        ? `This account is locked after too many failed login attempts. Try again in ${describeWait(seconds)} or reset your password.`
+        : `Too many failed login attempts. Try again in ${describeWait(seconds)}.`;
+}
+
+/**
+ * GET /api/auth/registration
+ * Whether new users can register: { mode: "open"|"invite"|"closed" }
+ */
+router.get('/registration', async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const userCount = await dbGet(db, 'SELECT COUNT(*) AS count FROM users');
+        // The first user can always register (and becomes the administrator)
+        const mode = userCount.count === 0 ? 'open' : await getRegistrationMode(db);
+        res.json({ mode });
+    } catch (error) {
+        console.error('Error fetching registration mode:', error);
+        res.status(500).json({ error: 'Failed to fetch registration mode' });
+    } finally {
+        db.close();
+    }
+});
 
 /**
  * POST /api/auth/register
  * Register a new user
+ * Body: { username, email, password, invite_code? } (invite_code is required while registration is invite-only)
  */
 router.post('/register', registerValidation, checkValidation, async (req, res) => {
     const db = await getDatabase();
     try {
-        const { username, email, password } = req.body;
+        const { username, email, password, invite_code } = req.body;
+
+        const userCount = await dbGet(db, 'SELECT COUNT(*) AS count FROM users');
+        const firstUser = userCount.count === 0;
+        const mode = firstUser ? 'open' : await getRegistrationMode(db);
+
+        if (mode === 'closed') {
+            return res.status(403).json({ error: 'Registration is closed' });
+        }
+        if (mode === 'invite' && !invite_code) {
+            return res.status(403).json({ error: 'An invite code is required to register' });
+        }
 
         // Check if username exists
         const existingUser = await dbGet(
@@ -28,23 +141,40 @@ router.post('/register', registerValidation, checkValidation, async (req, res) =
         // Hash password
         const passwordHash = await bcrypt.hash(password, 10);
 
-        // Create user
-        const result = await dbRun(
-            db,
-            'INSERT INTO users (username, email, password_hash) VALUES (?, ?, ?)',
-            [username, email, passwordHash]
-        );
+        // The invite code is only used up if the user is created too
+        const userId = await dbTransaction(db, async () => {
+            let inviteCodeId = null;
+            if (mode === 'invite') {
+                inviteCodeId = await claimInviteCode(db, invite_code);
+                if (!inviteCodeId) return null;
+            }
 
-        // Create default config
-        await dbRun(
-            db,
-            'INSERT INTO user_config (user_id, warning_tabs_open, max_tabs_open) VALUES (?, ?, ?)',
-            [result.lastID, 20, 50]
-        );
+            // Create user (the first user of a server is its administrator)
+            const newUserId = await createUser(db, { username, email, passwordHash, isAdmin: firstUser });
+
+            if (inviteCodeId) {
+                await dbRun(db, 'UPDATE invite_codes SET used_by = ? WHERE id = ?', [newUserId, inviteCodeId]);
+            }
+            return newUserId;
+        });
+
+        if (!userId) {
+            return res.status(403).json({ error: 'Invalid or expired invite code' });
+        }
+
+        // Ask the new user to confirm their email (the account works either way)
+        let verificationSent = true;
+        try {
+            await sendVerificationEmail(db, { id: userId, username }, email);
+        } catch (mailError) {
+            verificationSent = false;
+            console.error('Error sending verification email:', mailError);
+        }
 
         res.status(201).json({ 
             message: 'User created successfully',
-            userId: result.lastID
+            userId,
+            email_verification_sent: verificationSent
         });
     } catch (error) {
         console.error('Error registering user:', error);
@@ -57,51 +187,70 @@ router.post('/register', registerValidation, checkValidation, async (req, res) =
 /**
  * POST /api/auth/login
  * Login user
+ * Throttled per IP address and per account (see lib/loginAttempts.js): throttled
+ * attempts get a 429 with a Retry-After header. Accounts with two-factor
+ * authentication answer { two_factor_required: true } and continue with POST /login/2fa.
  */
 router.post('/login', loginValidation, checkValidation, async (req, res) => {
     const db = await getDatabase();
     try {
         const { username, password } = req.body;
 
+        // Refused before anything else, and not recorded, so a flood of attempts costs little
+        const ipBlockSeconds = await getIpBlockSeconds(db, req.ip);
+        if (ipBlockSeconds > 0) {
+            return sendTooManyAttempts(res, ipBlockSeconds, `Too many failed login attempts. Try again in ${describeWait(ipBlockSeconds)}.`);
+        }
+
         // Find user by username OR email
         const user = await dbGet(
             db,
-            'SELECT id, username, email, password_hash FROM users WHERE username = ? OR email = ?',
+            'SELECT id, username, email, password_hash, is_admin, disabled_at, totp_enabled_at FROM users WHERE username = ? OR email = ?',
             [username, username]
         );
 
         if (!user) {
+            await recordLoginAttempt(db, req, { userId: null, success: false, reason: 'unknown_user' });
             return res.status(401).json({ error: 'Invalid username/email or password' });
         }
 
+        const accountBlock = await getAccountBlock(db, user.id);
+        if (accountBlock.seconds > 0) {
+            await recordLoginAttempt(db, req, { userId: user.id, success: false, reason: 'locked' });
+            return sendTooManyAttempts(res, accountBlock.seconds, describeAccountBlock(accountBlock));
+        }
+
         // Verify password
         const validPassword = await bcrypt.compare(password, user.password_hash);
         if (!validPassword) {
+            await registerFailedLogin(db, user.id);
+            await recordLoginAttempt(db, req, { userId: user.id, success: false, reason: 'invalid_password' });
             return res.status(401).json({ error: 'Invalid username/email or password' });
         }
 
-        // Set session
-        req.session.userId = user.id;
-        req.session.username = user.username;
-        
-        // Save session explicitly before sending response
-        await new Promise((resolve, reject) => {
-            req.session.save((err) => {
-                if (err) {
-                    console.error('Error saving session:', err);
-                    return reject(err);
-                }
-                resolve();
+        if (user.disabled_at) {
+            await recordLoginAttempt(db, req, { userId: user.id, success: false, reason: 'disabled' });
+            return res.status(403).json({ error: 'This account has been disabled' });
+        }
+
+        if (user.totp_enabled_at) {
+            // The password was right; the session is logged in once the second step passes too
+            delete req.session.userId;
+            delete req.session.username;
+            req.session.pendingLogin = { userId: user.id, expiresAt: Date.now() + TWO_FACTOR_LOGIN_TIMEOUT };
+            await saveSession(req);
+
+            return res.json({
+                message: 'Enter the code from your authenticator app',
+                two_factor_required: true
             });
-        });
+        }
+
+        await startSession(db, req, user);
 
         res.json({ 
             message: 'Login successful',
-            user: {
-                id: user.id,
-                username: user.username,
-                email: user.email
-            }
+            user: formatLoginUser(user)
         });
     } catch (error) {
         console.error('Error logging in:', error);
@@ -111,41 +260,414 @@ router.post('/login', loginValidation, checkValidation, async (req, res) => {
     }
 });
 
+/**
+ * POST /api/auth/login/2fa
+ * Second login step for accounts with two-factor authentication, within 5 minutes of the password
+ * Body: { code } from the authenticator app, or { recovery_code }
+ */
+router.post('/login/2fa', async (req, res) => {
+    const pendingLogin = req.session.pendingLogin;
+
+    if (!pendingLogin || pendingLogin.expiresAt < Date.now()) {
+        delete req.session.pendingLogin;
+        return res.status(401).json({ error: 'Your login has expired. Please enter your password again.' });
+    }
+
+    const db = await getDatabase();
+    try {
+        const { code, recovery_code } = req.body;
+
+        const ipBlockSeconds = await getIpBlockSeconds(db, req.ip);
+        if (ipBlockSeconds > 0) {
+            return sendTooManyAttempts(res, ipBlockSeconds, `Too many failed login attempts. Try again in ${describeWait(ipBlockSeconds)}.`);
+        }
+
+        const user = await dbGet(
+            db,
+            'SELECT id, username, email, is_admin, disabled_at, totp_secret, totp_last_step FROM users WHERE id = ?',
+            [pendingLogin.userId]
+        );
+
+        if (!user || user.disabled_at) {
+            delete req.session.pendingLogin;
+            return res.status(401).json({ error: 'Your login has expired. Please enter your password again.' });
+        }
+
+        // Codes are guessed as easily as passwords, so they are throttled the same way
+        const accountBlock = await getAccountBlock(db, user.id);
+        if (accountBlock.seconds > 0) {
+            await recordLoginAttempt(db, req, { userId: user.id, success: false, reason: 'locked' });
+            return sendTooManyAttempts(res, accountBlock.seconds, describeAccountBlock(accountBlock));
+        }
+
+        const usedRecoveryCode = !!recovery_code;
+        const valid = usedRecoveryCode
+            ? await consumeRecoveryCode(db, user.id, recovery_code)
+            : await verifyTotpLogin(db, user, code);
+
+        if (!valid) {
+            await registerFailedLogin(db, user.id);
+            await recordLoginAttempt(db, req, { userId: user.id, success: false, reason: 'invalid_code' });
+            return res.status(401).json({ error: usedRecoveryCode ? 'Invalid recovery code' : 'Invalid authentication code' });
+        }
+
+        await startSession(db, req, user);
+
+        res.json({
+            message: 'Login successful',
+            user: formatLoginUser(user),
+            recovery_codes_remaining: usedRecoveryCode ? await countRecoveryCodes(db, user.id) : undefined
+        });
+    } catch (error) {
+        console.error('Error verifying two-factor code:', error);
+        res.status(500).json({ error: 'Failed to login' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * GET /api/auth/oidc
+ * Whether single sign-on is set up: { enabled, provider_name }
+ */
+router.get('/oidc', (req, res) => {
+    res.json({
+        enabled: OIDC_ENABLED,
+        provider_name: OIDC_ENABLED ? OIDC_PROVIDER_NAME : null
+    });
+});
+
+/**
+ * GET /api/auth/oidc/login
+ * Start a single sign-on login: redirects the browser to the identity provider
+ */
+router.get('/oidc/login', async (req, res) => {
+    if (!OIDC_ENABLED) {
+        return res.status(404).json({ error: 'Single sign-on is not set up' });
+    }
+
+    try {
+        const { url, state, nonce, codeVerifier } = await createAuthorizationRequest(OIDC_REDIRECT_URI);
+
+        req.session.ssoLogin = { state, nonce, codeVerifier, redirectUri: OIDC_REDIRECT_URI, expiresAt: Date.now() + SSO_LOGIN_TIMEOUT };
+        await saveSession(req);
+
+        res.redirect(url);
+    } catch (error) {
+        console.error('Error starting single sign-on:', error);
+        res.redirect('/?sso_error=failed');
+    }
+});
+
+/**
+ * GET /api/auth/oidc/callback
+ * Where the identity provider sends the browser back to, with a code (or an error)
+ * Logs the user in and redirects to the app. Accounts with two-factor authentication
+ * are redirected to /?two_factor=1 to continue with POST /login/2fa; failed logins
+ * to /?sso_error=<reason>.
+ */
+router.get('/oidc/callback', async (req, res) => {
+    const ssoLogin = req.session.ssoLogin;
+    delete req.session.ssoLogin;
+
+    if (!OIDC_ENABLED) {
+        return res.status(404).json({ error: 'Single sign-on is not set up' });
+    }
+    if (!ssoLogin || ssoLogin.expiresAt < Date.now() || req.query.state !== ssoLogin.state) {
+        return res.redirect('/?sso_error=expired');
+    }
+    if (req.query.error || !req.query.code) {
+        console.warn('Single sign-on refused by the identity provider:', req.query.error, req.query.error_description || '');
+        return res.redirect(`/?sso_error=${req.query.error === 'access_denied' ? 'denied' : 'failed'}`);
+    }
+
+    const db = await getDatabase();
+    try {
+        const { issuer, claims } = await completeAuthorization({
+            code: String(req.query.code),
+            codeVerifier: ssoLogin.codeVerifier,
+            nonce: ssoLogin.nonce,
+            redirectUri: ssoLogin.redirectUri
+        });
+
+        const { user, error } = await findSsoUser(db, issuer, claims);
+        if (error) {
+            return res.redirect(`/?sso_error=${error}`);
+        }
+
+        if (user.disabled_at) {
+            await recordLoginAttempt(db, req, { userId: user.id, success: false, reason: 'disabled' });
+            return res.redirect('/?sso_error=disabled');
+        }
+
+        if (user.totp_enabled_at) {
+            // The provider doesn't replace the user's own second factor
+            delete req.session.userId;
+            delete req.session.username;
+            req.session.pendingLogin = { userId: user.id, expiresAt: Date.now() + TWO_FACTOR_LOGIN_TIMEOUT };
+            await saveSession(req);
+            return res.redirect('/?two_factor=1');
+        }
+
+        await startSession(db, req, user);
+
+        res.redirect('/');
+    } catch (error) {
+        console.error('Error completing single sign-on:', error);
+        res.redirect('/?sso_error=failed');
+    } finally {
+        db.close();
+    }
+});
+
 /**
  * POST /api/auth/logout
  * Logout user
+ * Sessions an authenticating reverse proxy logged in get a logout_url to log out at the proxy too.
  */
-router.post('/logout', (req, res) => {
+router.post('/logout', async (req, res) => {
+    const logoutUrl = req.session.proxySubject ? AUTH_PROXY_LOGOUT_URL : null;
+
+    if (req.session.userId) {
+        const db = await getDatabase();
+        try {
+            await endUserSession(db, req.sessionID);
+        } catch (error) {
+            console.error('Error ending session:', error);
+        } finally {
+            db.close();
+        }
+    }
+
     req.session.destroy((err) => {
         if (err) {
             return res.status(500).json({ error: 'Failed to logout' });
         }
-        res.json({ message: 'Logout successful' });
+        res.json({ message: 'Logout successful', logout_url: logoutUrl || undefined });
     });
 });
 
+/**
+ * POST /api/auth/forgot-password
+ * Email a link for choosing a new password
+ * Body: { email }
+ * The answer is the same whether or not an account uses the address, so it can't
+ * be used to find out who has an account.
+ */
+router.post('/forgot-password', forgotPasswordValidation, checkValidation, async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const user = await dbGet(
+            db,
+            'SELECT id, username, email FROM users WHERE email = ? COLLATE NOCASE AND disabled_at IS NULL',
+            [req.body.email]
+        );
+
+        if (user) {
+            try {
+                await sendPasswordResetEmail(db, user);
+            } catch (mailError) {
+                console.error('Error sending password reset email:', mailError);
+            }
+        }
+
+        res.json({ message: 'If an account uses that email address, a link to reset its password has been sent to it' });
+    } catch (error) {
+        console.error('Error requesting password reset:', error);
+        res.status(500).json({ error: 'Failed to request password reset' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Choose a new password with the token of a password reset link
+ * Body: { token, newPassword, confirmPassword }
+ * Logs out every session of the account.
+ */
+router.post('/reset-password', resetPasswordValidation, checkValidation, async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const { token, newPassword } = req.body;
+
+        const resetToken = await consumeEmailToken(db, 'password_reset', token);
+        const user = resetToken && await dbGet(
+            db,
+            'SELECT id FROM users WHERE id = ? AND disabled_at IS NULL',
+            [resetToken.user_id]
+        );
+
+        if (!user) {
+            return res.status(400).json({ error: 'This password reset link is invalid or has expired' });
+        }
+
+        const passwordHash = await bcrypt.hash(newPassword, 10);
+
+        await dbTransaction(db, async () => {
+            // Opening the link also proves the user reads mail sent to the address
+            await dbRun(
+                db,
+                `UPDATE users SET password_hash = ?,
+                    email_verified_at = CASE WHEN email = ? THEN COALESCE(email_verified_at, CURRENT_TIMESTAMP) ELSE email_verified_at END,
+                    updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [passwordHash, resetToken.email, user.id]
+            );
+            await clearFailedLogins(db, user.id);
+            await revokeOtherUserSessions(db, user.id);
+        });
+
+        res.json({ message: 'Password reset successfully' });
+    } catch (error) {
+        console.error('Error resetting password:', error);
+        res.status(500).json({ error: 'Failed to reset password' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * POST /api/auth/verify-email
+ * Confirm an email address with the token of a verification link (no login needed)
+ * Body: { token }
+ * For an email change, this is when the account's address is changed.
+ */
+router.post('/verify-email', async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const verification = await consumeEmailToken(db, 'email_verification', req.body.token);
+        const user = verification && await dbGet(db, 'SELECT id, email FROM users WHERE id = ?', [verification.user_id]);
+
+        if (!user) {
+            return res.status(400).json({ error: 'This verification link is invalid or has expired' });
+        }
+
+        if (verification.email !== user.email) {
+            // Someone may have registered with the address since the link was sent
+            const existingUser = await dbGet(
+                db,
+                'SELECT id FROM users WHERE email = ? AND id != ?',
+                [verification.email, user.id]
+            );
+
+            if (existingUser) {
+                return res.status(409).json({ error: 'Email already in use' });
+            }
+        }
+
+        await dbRun(
+            db,
+            'UPDATE users SET email = ?, email_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [verification.email, user.id]
+        );
+
+        res.json({ message: 'Email address confirmed', email: verification.email });
+    } catch (error) {
+        console.error('Error verifying email:', error);
+        res.status(500).json({ error: 'Failed to verify email' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * Send a new verification link for the pending email change, or else for the
+ * account's unconfirmed address
+ */
+router.post('/resend-verification', requireAuth, requireSession, async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const user = await dbGet(
+            db,
+            'SELECT id, username, email, email_verified_at FROM users WHERE id = ?',
+            [req.userId]
+        );
+
+        const email = await getPendingEmail(db, user.id) || (user.email_verified_at ? null : user.email);
+
+        if (!email) {
+            return res.status(400).json({ error: 'Your email address is already confirmed' });
+        }
+        if (!APP_URL) {
+            return res.status(503).json({ error: 'Sending emails is not set up on this server' });
+        }
+
+        await sendVerificationEmail(db, user, email);
+
+        res.json({ message: `A new confirmation link has been sent to ${email}`, email });
+    } catch (error) {
+        console.error('Error resending verification email:', error);
+        res.status(500).json({ error: 'Failed to send verification email' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * GET /api/auth/login-attempts
+ * Recent logins and failed login attempts on your account, and whether it is locked
+ */
+router.get('/login-attempts', requireAuth, requireSession, async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const user = await dbGet(
+            db,
+            `SELECT failed_login_count,
+                    CASE WHEN login_blocked_until > datetime('now') THEN login_blocked_until END AS blocked_until
+             FROM users WHERE id = ?`,
+            [req.userId]
+        );
+
+        res.json({
+            failed_login_count: user.failed_login_count,
+            blocked_until: user.blocked_until,
+            attempts: await getLoginAttempts(db, req.userId)
+        });
+    } catch (error) {
+        console.error('Error fetching login attempts:', error);
+        res.status(500).json({ error: 'Failed to fetch login attempts' });
+    } finally {
+        db.close();
+    }
+});
+
 /**
  * GET /api/auth/me
  * Get current user info
+ * Behind an authenticating reverse proxy, logs the session in as the proxy's user;
+ * proxy_auth_error says why if that user can't log in.
  */
 router.get('/me', async (req, res) => {
+    try {
+        const proxyError = await startProxySession(req);
+        if (proxyError) {
+            return res.json({ authenticated: false, proxy_auth_error: proxyError });
+        }
+    } catch (error) {
+        console.error('Error logging in through the proxy:', error);
+        return res.status(500).json({ error: 'Failed to fetch user profile' });
+    }
+
     if (req.session && req.session.userId) {
         const db = await getDatabase();
         try {
             // Get full user profile including email
             const user = await dbGet(
                 db,
-                'SELECT id, username, email FROM users WHERE id = ?',
+                'SELECT id, username, email, is_admin FROM users WHERE id = ? AND disabled_at IS NULL',
                 [req.session.userId]
             );
             
-            if (user) {
+            if (user && await touchUserSession(db, req)) {
                 res.json({
                     authenticated: true,
                     user: {
                         id: user.id,
                         username: user.username,
-                        email: user.email
+                        email: user.email,
+                        is_admin: !!user.is_admin
                     }
                 });
             } else {
@@ -165,8 +687,9 @@ router.get('/me', async (req, res) => {
 /**
  * POST /api/auth/change-password
  * Change user password
+ * Every other session of the user is logged out; sessions_ended in the answer counts them.
  */
-router.post('/change-password', requireAuth, changePasswordValidation, checkValidation, async (req, res) => {
+router.post('/change-password', requireAuth, requireSession, changePasswordValidation, checkValidation, async (req, res) => {
     const db = await getDatabase();
     try {
         const userId = req.userId;
@@ -192,14 +715,19 @@ router.post('/change-password', requireAuth, changePasswordValidation, checkVali
         // Hash new password
         const newPasswordHash = await bcrypt.hash(newPassword, 10);
 
-        // Update password
-        await dbRun(
-            db,
-            'UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-            [newPasswordHash, userId]
-        );
+        const sessionsEnded = await dbTransaction(db, async () => {
+            // Update password
+            await dbRun(
+                db,
+                'UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [newPasswordHash, userId]
+            );
 
-        res.json({ message: 'Password changed successfully' });
+            // Log out every other session, in case someone else knew the old password
+            return revokeOtherUserSessions(db, userId, req.sessionID);
+        });
+
+        res.json({ message: 'Password changed successfully', sessions_ended: sessionsEnded });
     } catch (error) {
         console.error('Error changing password:', error);
         res.status(500).json({ error: 'Failed to change password' });
@@ -220,7 +748,7 @@ router.get('/profile', requireAuth, async (req, res) => {
         // Get user info
         const user = await dbGet(
             db,
-            'SELECT id, username, email FROM users WHERE id = ?',
+            'SELECT id, username, email, email_verified_at FROM users WHERE id = ?',
             [userId]
         );
         
@@ -231,7 +759,7 @@ router.get('/profile', requireAuth, async (req, res) => {
         // Get user config
         const config = await dbGet(
             db,
-            'SELECT warning_tabs_open, max_tabs_open FROM user_config WHERE user_id = ?',
+            'SELECT warning_tabs_open, max_tabs_open, trash_retention_days FROM user_config WHERE user_id = ?',
             [userId]
         );
         
@@ -239,11 +767,14 @@ router.get('/profile', requireAuth, async (req, res) => {
             user: {
                 id: user.id,
                 username: user.username,
-                email: user.email
+                email: user.email,
+                email_verified: !!user.email_verified_at,
+                pending_email: await getPendingEmail(db, userId)
             },
             config: {
                 warning_tabs_open: config ? (config.warning_tabs_open ?? 20) : 20,
-                max_tabs_open: config ? (config.max_tabs_open ?? 50) : 50
+                max_tabs_open: config ? (config.max_tabs_open ?? 50) : 50,
+                trash_retention_days: config ? (config.trash_retention_days ?? DEFAULT_TRASH_RETENTION_DAYS) : DEFAULT_TRASH_RETENTION_DAYS
             }
         });
     } catch (error) {
@@ -256,9 +787,11 @@ router.get('/profile', requireAuth, async (req, res) => {
 
 /**
  * PUT /api/auth/profile
- * Update user email
+ * Change user email
+ * Body: { email }
+ * The new address is only stored once the link emailed to it is opened (see POST /verify-email).
  */
-router.put('/profile', requireAuth, async (req, res) => {
+router.put('/profile', requireAuth, requireSession, async (req, res) => {
     const db = await getDatabase();
     try {
         const userId = req.userId;
@@ -269,6 +802,12 @@ router.put('/profile', requireAuth, async (req, res) => {
             return res.status(400).json({ error: 'Valid email is required' });
         }
         
+        const user = await dbGet(db, 'SELECT id, username, email FROM users WHERE id = ?', [userId]);
+        
+        if (email === user.email) {
+            return res.json({ message: 'Email unchanged', email, pending_email: await getPendingEmail(db, userId) });
+        }
+        
         // Check if email is already taken by another user
         const existingUser = await dbGet(
             db,
@@ -280,14 +819,17 @@ router.put('/profile', requireAuth, async (req, res) => {
             return res.status(409).json({ error: 'Email already in use' });
         }
         
-        // Update email
-        await dbRun(
-            db,
-            'UPDATE users SET email = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-            [email, userId]
-        );
+        // Confirm the new address before using it
+        if (!APP_URL) {
+            return res.status(503).json({ error: 'Sending emails is not set up on this server' });
+        }
+        await sendVerificationEmail(db, user, email);
         
-        res.json({ message: 'Email updated successfully', email });
+        res.json({
+            message: `Check ${email} for a link to confirm your new email address`,
+            email: user.email,
+            pending_email: email
+        });
     } catch (error) {
         console.error('Error updating email:', error);
         res.status(500).json({ error: 'Failed to update email' });
@@ -298,13 +840,13 @@ router.put('/profile', requireAuth, async (req, res) => {
 
 /**
  * PUT /api/user/config
- * Update user config (warning_tabs_open, max_tabs_open)
+ * Update user config (warning_tabs_open, max_tabs_open, optional trash_retention_days)
  */
 router.put('/config', requireAuth, async (req, res) => {
     const db = await getDatabase();
     try {
         const userId = req.userId;
-        const { warning_tabs_open, max_tabs_open } = req.body;
+        const { warning_tabs_open, max_tabs_open, trash_retention_days } = req.body;
         
         // Validate warning_tabs_open (must be > 0)
         const warningTabs = parseInt(warning_tabs_open, 10);
@@ -323,17 +865,39 @@ router.put('/config', requireAuth, async (req, res) => {
             return res.status(400).json({ error: 'warning_tabs_open cannot be above max_tabs_open (unless max_tabs_open is 0 for no limit)' });
         }
         
-        // Update or insert config
+        // Validate trash_retention_days (optional, 0 = keep until the trash is emptied)
+        let retentionDays = null;
+        if (trash_retention_days !== undefined) {
+            retentionDays = parseInt(trash_retention_days, 10);
+            if (isNaN(retentionDays) || retentionDays < 0 || retentionDays > 3650) {
+                return res.status(400).json({ error: 'trash_retention_days must be between 0 and 3650 (0 = keep forever)' });
+            }
+        }
+        
+        // Update or insert config (keeping the retention period if it wasn't sent)
         await dbRun(
             db,
-            'INSERT OR REPLACE INTO user_config (user_id, warning_tabs_open, max_tabs_open, updated_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)',
-            [userId, warningTabs, maxTabs]
+            `INSERT INTO user_config (user_id, warning_tabs_open, max_tabs_open, trash_retention_days, updated_at)
+             VALUES (?, ?, ?, COALESCE(?, ?), CURRENT_TIMESTAMP)
+             ON CONFLICT(user_id) DO UPDATE SET
+                 warning_tabs_open = excluded.warning_tabs_open,
+                 max_tabs_open = excluded.max_tabs_open,
+                 trash_retention_days = COALESCE(?, trash_retention_days),
+                 updated_at = CURRENT_TIMESTAMP`,
+            [userId, warningTabs, maxTabs, retentionDays, DEFAULT_TRASH_RETENTION_DAYS, retentionDays]
+        );
+        
+        const config = await dbGet(
+            db,
+            'SELECT trash_retention_days FROM user_config WHERE user_id = ?',
+            [userId]
         );
         
         res.json({ 
             message: 'Config updated successfully', 
             warning_tabs_open: warningTabs,
-            max_tabs_open: maxTabs 
+            max_tabs_open: maxTabs,
+            trash_retention_days: config.trash_retention_days
         });
     } catch (error) {
         console.error('Error updating config:', error);
@@ -1,76 +1,51 @@
 const express = require('express');
 const router = express.Router();
-const { getDatabase, dbRun, dbGet, dbAll } = require('../database/init');
-const { requireAuth } = require('../middleware/auth');
+const bcrypt = require('bcrypt');
+const { getDatabase, dbRun, dbGet, dbAll, dbTransaction } = require('../database/init');
+const { requireAuth, requireWorkspaceRole } = require('../middleware/auth');
+const {
+    loadGroupBlocks,
+    loadWorkspaceGroups,
+    saveGroupRules,
+    validateGroupBlocks,
+    checkGroupReferences,
+    findReferencingGroups,
+    indexGroups,
+    linkMatchesGroup
+} = require('../lib/groupRules');
+const { getLinksWithTags } = require('../lib/links');
+const { purgeTrashedGroupByName } = require('../lib/trash');
+const { nextPosition, saveOrder, setPinned } = require('../lib/ordering');
+const { formatShare, getGroupShare, createGroupShare, updateGroupShare } = require('../lib/shares');
 const { body, validationResult } = require('express-validator');
 
 /**
  * GET /api/groups
- * Get all groups for the authenticated user
+ * Get all groups of the request's workspace
  */
 router.get('/', requireAuth, async (req, res) => {
     const db = await getDatabase();
     try {
-        const userId = req.userId;
+        const workspaceId = req.workspaceId;
 
         const groups = await dbAll(
             db,
-            'SELECT id, name FROM groups WHERE user_id = ? ORDER BY name',
-            [userId]
+            `SELECT id, name, pinned, position,
+                    EXISTS (SELECT 1 FROM group_shares s WHERE s.group_id = groups.id) AS shared
+             FROM groups WHERE workspace_id = ? AND deleted_at IS NULL ORDER BY pinned DESC, position, name`,
+            [workspaceId]
         );
 
         const formattedGroups = [];
         for (const group of groups) {
-            const rules = await dbAll(
-                db,
-                'SELECT rule_type, match_type, match_value, block_index FROM group_rules WHERE group_id = ? ORDER BY rule_type, block_index, match_type',
-                [group.id]
-            );
-
-            const include = [];
-            const exclude = [];
-            
-            // Group rules by rule_type and block_index to preserve block structure
-            const includeBlocks = {};
-            const excludeBlocks = {};
-            
-            for (const rule of rules) {
-                const blockKey = `${rule.rule_type}_${rule.block_index}`;
-                const blocks = rule.rule_type === 'include' ? includeBlocks : excludeBlocks;
-                
-                if (!blocks[blockKey]) {
-                    blocks[blockKey] = {};
-                }
-                
-                if (!blocks[blockKey][rule.match_type]) {
-                    blocks[blockKey][rule.match_type] = [];
-                }
-                blocks[blockKey][rule.match_type].push(rule.match_value);
-            }
-            
-            // Convert include blocks to array
-            const includeKeys = Object.keys(includeBlocks).sort((a, b) => {
-                const aIndex = parseInt(a.split('_')[1]);
-                const bIndex = parseInt(b.split('_')[1]);
-                return aIndex - bIndex;
-            });
-            for (const key of includeKeys) {
-                include.push(includeBlocks[key]);
-            }
-            
-            // Convert exclude blocks to array
-            const excludeKeys = Object.keys(excludeBlocks).sort((a, b) => {
-                const aIndex = parseInt(a.split('_')[1]);
-                const bIndex = parseInt(b.split('_')[1]);
-                return aIndex - bIndex;
-            });
-            for (const key of excludeKeys) {
-                exclude.push(excludeBlocks[key]);
-            }
+            const { include, exclude } = await loadGroupBlocks(db, group.id);
 
             formattedGroups.push({
                 id: group.id,
                 name: group.name,
+                pinned: !!group.pinned,
+                position: group.position,
+                shared: !!group.shared,
                 include: include,
                 exclude: exclude
             });
@@ -85,17 +60,56 @@ router.get('/', requireAuth, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/groups/:id/links
+ * Evaluate a group's rules and return the links it matches
+ */
+router.get('/:id/links', requireAuth, async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const workspaceId = req.workspaceId;
+        const groupId = parseInt(req.params.id);
+
+        // Nested group references need the definitions of all the workspace's groups
+        const groupsById = indexGroups(await loadWorkspaceGroups(db, workspaceId));
+        const group = groupsById.get(groupId);
+
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        const { include, exclude } = group;
+
+        const links = await getLinksWithTags(db, workspaceId, 'l.name');
+        const matchingLinks = links.filter(link => linkMatchesGroup(link, group, groupsById));
+
+        res.json({
+            id: group.id,
+            name: group.name,
+            include: include,
+            exclude: exclude,
+            count: matchingLinks.length,
+            links: matchingLinks
+        });
+    } catch (error) {
+        console.error('Error evaluating group:', error);
+        res.status(500).json({ error: 'Failed to evaluate group' });
+    } finally {
+        db.close();
+    }
+});
+
 /**
  * POST /api/groups
  * Create a new group
  */
-router.post('/', requireAuth, [
+router.post('/', requireAuth, requireWorkspaceRole('editor'), [
     body('name')
         .trim()
         .notEmpty().withMessage('Group name is required')
         .isLength({ max: 100 }).withMessage('Group name must be less than 100 characters'),
-    body('include').optional().isArray(),
-    body('exclude').optional().isArray()
+    body('include').optional().custom(validateGroupBlocks),
+    body('exclude').optional().custom(validateGroupBlocks)
 ], async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -104,97 +118,282 @@ router.post('/', requireAuth, [
 
     const db = await getDatabase();
     try {
-        const userId = req.userId;
+        const workspaceId = req.workspaceId;
         const { name, include = [], exclude = [] } = req.body;
 
         // Check for duplicate name
         const existing = await dbGet(
             db,
-            'SELECT id FROM groups WHERE user_id = ? AND name = ?',
-            [userId, name]
+            'SELECT id FROM groups WHERE workspace_id = ? AND name = ? AND deleted_at IS NULL',
+            [workspaceId, name]
         );
 
         if (existing) {
             return res.status(409).json({ error: 'A group with this name already exists' });
         }
 
-        // Create group
-        const groupResult = await dbRun(
+        const referenceError = await checkGroupReferences(db, workspaceId, null, include, exclude);
+        if (referenceError) {
+            return res.status(400).json({ error: referenceError });
+        }
+
+        const groupId = await dbTransaction(db, async () => {
+            // A trashed group with the same name gives way to the new one
+            await purgeTrashedGroupByName(db, workspaceId, name);
+
+            // Create group
+            const groupResult = await dbRun(
+                db,
+                'INSERT INTO groups (user_id, workspace_id, name, position) VALUES (?, ?, ?, ?)',
+                [req.userId, workspaceId, name, await nextPosition(db, 'groups', workspaceId)]
+            );
+
+            await saveGroupRules(db, groupResult.lastID, include, exclude);
+            return groupResult.lastID;
+        });
+
+        res.status(201).json({ id: groupId, name, include, exclude });
+    } catch (error) {
+        console.error('Error creating group:', error);
+        res.status(500).json({ error: 'Failed to create group' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * PUT /api/groups/order
+ * Store a custom order of groups; groups left out keep their order after the given ones
+ * Body: { ids: [...] }
+ */
+router.put('/order', requireAuth, requireWorkspaceRole('editor'), [
+    body('ids')
+        .isArray({ min: 1 }).withMessage('ids must be a non-empty array'),
+    body('ids.*')
+        .isInt({ min: 1 }).withMessage('Each id must be a positive integer')
+        .toInt()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const db = await getDatabase();
+    try {
+        const updated = await dbTransaction(db, () => saveOrder(db, 'groups', req.workspaceId, req.body.ids));
+        res.json({ message: 'Group order saved', updated });
+    } catch (error) {
+        console.error('Error saving group order:', error);
+        res.status(500).json({ error: 'Failed to save group order' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * PUT /api/groups/:id/pin
+ * Pin a group to the front of the group list, or unpin it
+ * Body: { pinned: true|false }
+ */
+router.put('/:id/pin', requireAuth, requireWorkspaceRole('editor'), [
+    body('pinned')
+        .isBoolean({ strict: true }).withMessage('pinned must be true or false')
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const db = await getDatabase();
+    try {
+        const groupId = parseInt(req.params.id);
+        const found = await setPinned(db, 'groups', req.workspaceId, groupId, req.body.pinned);
+
+        if (!found) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        res.json({ id: groupId, pinned: req.body.pinned });
+    } catch (error) {
+        console.error('Error pinning group:', error);
+        res.status(500).json({ error: 'Failed to pin group' });
+    } finally {
+        db.close();
+    }
+});
+
+// Options of share links, shared by creating and updating a share
+const shareValidation = [
+    body('expires_in_days')
+        .optional({ nullable: true })
+        .isInt({ min: 1, max: 3650 }).withMessage('Expiry must be between 1 and 3650 days'),
+    body('password')
+        .optional({ nullable: true })
+        .isString().withMessage('Password must be a string')
+        .isLength({ min: 4, max: 200 }).withMessage('Password must be between 4 and 200 characters')
+];
+
+/**
+ * SQLite datetime modifier for an expiry in days (null = never expires)
+ */
+function expiresModifier(expiresInDays) {
+    return expiresInDays ? `+${parseInt(expiresInDays, 10)} days` : null;
+}
+
+/**
+ * GET /api/groups/:id/share
+ * Get the public share link of a group
+ */
+router.get('/:id/share', requireAuth, requireWorkspaceRole('editor'), async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const share = await getGroupShare(db, req.workspaceId, parseInt(req.params.id));
+
+        if (!share) {
+            return res.status(404).json({ error: 'Group is not shared' });
+        }
+
+        res.json(formatShare(req, share));
+    } catch (error) {
+        console.error('Error fetching group share:', error);
+        res.status(500).json({ error: 'Failed to fetch group share' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * POST /api/groups/:id/share
+ * Share a group through a public read-only link
+ * A previous share of the group is replaced and its URL stops working.
+ * Body: { expires_in_days?: number|null, password?: string|null }
+ */
+router.post('/:id/share', requireAuth, requireWorkspaceRole('editor'), shareValidation, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const db = await getDatabase();
+    try {
+        const workspaceId = req.workspaceId;
+        const groupId = parseInt(req.params.id);
+        const { expires_in_days, password } = req.body;
+
+        // Verify group exists and belongs to the workspace
+        const group = await dbGet(
             db,
-            'INSERT INTO groups (user_id, name) VALUES (?, ?)',
-            [userId, name]
+            'SELECT id FROM groups WHERE id = ? AND workspace_id = ? AND deleted_at IS NULL',
+            [groupId, workspaceId]
         );
 
-        const groupId = groupResult.lastID;
-
-        // Add include rules with block_index
-        for (let blockIndex = 0; blockIndex < include.length; blockIndex++) {
-            const block = include[blockIndex];
-            if (block.tags && Array.isArray(block.tags)) {
-                for (const value of block.tags) {
-                    await dbRun(
-                        db,
-                        'INSERT INTO group_rules (group_id, rule_type, match_type, match_value, block_index) VALUES (?, ?, ?, ?, ?)',
-                        [groupId, 'include', 'tags', value, blockIndex]
-                    );
-                }
-            }
-            if (block.names && Array.isArray(block.names)) {
-                for (const value of block.names) {
-                    await dbRun(
-                        db,
-                        'INSERT INTO group_rules (group_id, rule_type, match_type, match_value, block_index) VALUES (?, ?, ?, ?, ?)',
-                        [groupId, 'include', 'names', value, blockIndex]
-                    );
-                }
-            }
-            if (block.urls && Array.isArray(block.urls)) {
-                for (const value of block.urls) {
-                    await dbRun(
-                        db,
-                        'INSERT INTO group_rules (group_id, rule_type, match_type, match_value, block_index) VALUES (?, ?, ?, ?, ?)',
-                        [groupId, 'include', 'urls', value, blockIndex]
-                    );
-                }
-            }
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
         }
 
-        // Add exclude rules with block_index
-        for (let blockIndex = 0; blockIndex < exclude.length; blockIndex++) {
-            const block = exclude[blockIndex];
-            if (block.tags && Array.isArray(block.tags)) {
-                for (const value of block.tags) {
-                    await dbRun(
-                        db,
-                        'INSERT INTO group_rules (group_id, rule_type, match_type, match_value, block_index) VALUES (?, ?, ?, ?, ?)',
-                        [groupId, 'exclude', 'tags', value, blockIndex]
-                    );
-                }
-            }
-            if (block.names && Array.isArray(block.names)) {
-                for (const value of block.names) {
-                    await dbRun(
-                        db,
-                        'INSERT INTO group_rules (group_id, rule_type, match_type, match_value, block_index) VALUES (?, ?, ?, ?, ?)',
-                        [groupId, 'exclude', 'names', value, blockIndex]
-                    );
-                }
-            }
-            if (block.urls && Array.isArray(block.urls)) {
-                for (const value of block.urls) {
-                    await dbRun(
-                        db,
-                        'INSERT INTO group_rules (group_id, rule_type, match_type, match_value, block_index) VALUES (?, ?, ?, ?, ?)',
-                        [groupId, 'exclude', 'urls', value, blockIndex]
-                    );
-                }
-            }
+        const passwordHash = password ? await bcrypt.hash(password, 10) : null;
+        await dbTransaction(db, () => createGroupShare(db, groupId, req.userId, {
+            passwordHash,
+            expiresModifier: expiresModifier(expires_in_days)
+        }));
+
+        const share = await getGroupShare(db, workspaceId, groupId);
+        res.status(201).json(formatShare(req, share));
+    } catch (error) {
+        console.error('Error sharing group:', error);
+        res.status(500).json({ error: 'Failed to share group' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * PATCH /api/groups/:id/share
+ * Change the expiry or password of a group's share link, keeping its URL
+ * Body: { expires_in_days?: number|null, password?: string|null } (null removes the expiry / password)
+ */
+router.patch('/:id/share', requireAuth, requireWorkspaceRole('editor'), shareValidation, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const db = await getDatabase();
+    try {
+        const workspaceId = req.workspaceId;
+        const groupId = parseInt(req.params.id);
+        const { expires_in_days, password } = req.body;
+
+        const existing = await getGroupShare(db, workspaceId, groupId);
+
+        if (!existing) {
+            return res.status(404).json({ error: 'Group is not shared' });
         }
 
-        res.status(201).json({ id: groupId, name, include, exclude });
+        await updateGroupShare(db, groupId, {
+            passwordHash: password === undefined ? undefined : (password ? await bcrypt.hash(password, 10) : null),
+            expiresModifier: expires_in_days === undefined ? undefined : expiresModifier(expires_in_days)
+        });
+
+        const share = await getGroupShare(db, workspaceId, groupId);
+        res.json(formatShare(req, share));
     } catch (error) {
-        console.error('Error creating group:', error);
-        res.status(500).json({ error: 'Failed to create group' });
+        console.error('Error updating group share:', error);
+        res.status(500).json({ error: 'Failed to update group share' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * POST /api/groups/:id/share/regenerate
+ * Give a group's share link a new URL, keeping its expiry and password (the old URL stops working)
+ */
+router.post('/:id/share/regenerate', requireAuth, requireWorkspaceRole('editor'), async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const workspaceId = req.workspaceId;
+        const groupId = parseInt(req.params.id);
+
+        const existing = await getGroupShare(db, workspaceId, groupId);
+
+        if (!existing) {
+            return res.status(404).json({ error: 'Group is not shared' });
+        }
+
+        await updateGroupShare(db, groupId, { regenerateToken: true });
+
+        const share = await getGroupShare(db, workspaceId, groupId);
+        res.json(formatShare(req, share));
+    } catch (error) {
+        console.error('Error regenerating group share:', error);
+        res.status(500).json({ error: 'Failed to regenerate group share' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * DELETE /api/groups/:id/share
+ * Revoke the public share link of a group
+ */
+router.delete('/:id/share', requireAuth, requireWorkspaceRole('editor'), async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const groupId = parseInt(req.params.id);
+
+        const share = await getGroupShare(db, req.workspaceId, groupId);
+
+        if (!share) {
+            return res.status(404).json({ error: 'Group is not shared' });
+        }
+
+        await dbRun(db, 'DELETE FROM group_shares WHERE id = ?', [share.id]);
+
+        res.json({ message: 'Share link revoked' });
+    } catch (error) {
+        console.error('Error revoking group share:', error);
+        res.status(500).json({ error: 'Failed to revoke group share' });
     } finally {
         db.close();
     }
@@ -204,13 +403,13 @@ router.post('/', requireAuth, [
  * PUT /api/groups/:id
  * Update an existing group
  */
-router.put('/:id', requireAuth, [
+router.put('/:id', requireAuth, requireWorkspaceRole('editor'), [
     body('name')
         .trim()
         .notEmpty().withMessage('Group name is required')
         .isLength({ max: 100 }).withMessage('Group name must be less than 100 characters'),
-    body('include').optional().isArray(),
-    body('exclude').optional().isArray()
+    body('include').optional().custom(validateGroupBlocks),
+    body('exclude').optional().custom(validateGroupBlocks)
 ], async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -219,15 +418,15 @@ router.put('/:id', requireAuth, [
 
     const db = await getDatabase();
     try {
-        const userId = req.userId;
+        const workspaceId = req.workspaceId;
         const groupId = parseInt(req.params.id);
         const { name, include = [], exclude = [] } = req.body;
 
-        // Verify group exists and belongs to user
+        // Verify group exists and belongs to the workspace
         const group = await dbGet(
             db,
-            'SELECT id FROM groups WHERE id = ? AND user_id = ?',
-            [groupId, userId]
+            'SELECT id FROM groups WHERE id = ? AND workspace_id = ? AND deleted_at IS NULL',
+            [groupId, workspaceId]
         );
 
         if (!group) {
@@ -237,91 +436,32 @@ router.put('/:id', requireAuth, [
         // Check for duplicate name (excluding current group)
         const existing = await dbGet(
             db,
-            'SELECT id FROM groups WHERE user_id = ? AND name = ? AND id != ?',
-            [userId, name, groupId]
+            'SELECT id FROM groups WHERE workspace_id = ? AND name = ? AND id != ? AND deleted_at IS NULL',
+            [workspaceId, name, groupId]
         );
 
         if (existing) {
             return res.status(409).json({ error: 'A group with this name already exists' });
         }
 
-        // Update group name
-        await dbRun(
-            db,
-            'UPDATE groups SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-            [name, groupId]
-        );
+        const referenceError = await checkGroupReferences(db, workspaceId, groupId, include, exclude);
+        if (referenceError) {
+            return res.status(400).json({ error: referenceError });
+        }
 
-        // Delete all existing rules
-        await dbRun(
-            db,
-            'DELETE FROM group_rules WHERE group_id = ?',
-            [groupId]
-        );
+        await dbTransaction(db, async () => {
+            await purgeTrashedGroupByName(db, workspaceId, name);
 
-        // Add new include rules with block_index
-        for (let blockIndex = 0; blockIndex < include.length; blockIndex++) {
-            const block = include[blockIndex];
-            if (block.tags && Array.isArray(block.tags)) {
-                for (const value of block.tags) {
-                    await dbRun(
-                        db,
-                        'INSERT INTO group_rules (group_id, rule_type, match_type, match_value, block_index) VALUES (?, ?, ?, ?, ?)',
-                        [groupId, 'include', 'tags', value, blockIndex]
-                    );
-                }
-            }
-            if (block.names && Array.isArray(block.names)) {
-                for (const value of block.names) {
-                    await dbRun(
-                        db,
-                        'INSERT INTO group_rules (group_id, rule_type, match_type, match_value, block_index) VALUES (?, ?, ?, ?, ?)',
-                        [groupId, 'include', 'names', value, blockIndex]
-                    );
-                }
-            }
-            if (block.urls && Array.isArray(block.urls)) {
-                for (const value of block.urls) {
-                    await dbRun(
-                        db,
-                        'INSERT INTO group_rules (group_id, rule_type, match_type, match_value, block_index) VALUES (?, ?, ?, ?, ?)',
-                        [groupId, 'include', 'urls', value, blockIndex]
-                    );
-                }
-            }
-        }
+            // Update group name
+            await dbRun(
+                db,
+                'UPDATE groups SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [name, groupId]
+            );
 
-        // Add new exclude rules with block_index
-        for (let blockIndex = 0; blockIndex < exclude.length; blockIndex++) {
-            const block = exclude[blockIndex];
-            if (block.tags && Array.isArray(block.tags)) {
-                for (const value of block.tags) {
-                    await dbRun(
-                        db,
-                        'INSERT INTO group_rules (group_id, rule_type, match_type, match_value, block_index) VALUES (?, ?, ?, ?, ?)',
-                        [groupId, 'exclude', 'tags', value, blockIndex]
-                    );
-                }
-            }
-            if (block.names && Array.isArray(block.names)) {
-                for (const value of block.names) {
-                    await dbRun(
-                        db,
-                        'INSERT INTO group_rules (group_id, rule_type, match_type, match_value, block_index) VALUES (?, ?, ?, ?, ?)',
-                        [groupId, 'exclude', 'names', value, blockIndex]
-                    );
-                }
-            }
-            if (block.urls && Array.isArray(block.urls)) {
-                for (const value of block.urls) {
-                    await dbRun(
-                        db,
-                        'INSERT INTO group_rules (group_id, rule_type, match_type, match_value, block_index) VALUES (?, ?, ?, ?, ?)',
-                        [groupId, 'exclude', 'urls', value, blockIndex]
-                    );
-                }
-            }
-        }
+            // Replace all existing rules
+            await saveGroupRules(db, groupId, include, exclude);
+        });
 
         res.json({ id: groupId, name, include, exclude });
     } catch (error) {
@@ -334,33 +474,42 @@ router.put('/:id', requireAuth, [
 
 /**
  * DELETE /api/groups/:id
- * Delete a group
+ * Move a group to the trash
+ * Refused while other groups reference it, since they would then match more links.
  */
-router.delete('/:id', requireAuth, async (req, res) => {
+router.delete('/:id', requireAuth, requireWorkspaceRole('editor'), async (req, res) => {
     const db = await getDatabase();
     try {
-        const userId = req.userId;
+        const workspaceId = req.workspaceId;
         const groupId = parseInt(req.params.id);
 
-        // Verify group exists and belongs to user
+        // Verify group exists and belongs to the workspace
         const group = await dbGet(
             db,
-            'SELECT id FROM groups WHERE id = ? AND user_id = ?',
-            [groupId, userId]
+            'SELECT id FROM groups WHERE id = ? AND workspace_id = ? AND deleted_at IS NULL',
+            [groupId, workspaceId]
         );
 
         if (!group) {
             return res.status(404).json({ error: 'Group not found' });
         }
 
-        // Delete group (CASCADE will handle rules)
+        const referencedBy = await findReferencingGroups(db, workspaceId, groupId);
+        if (referencedBy.length > 0) {
+            return res.status(409).json({
+                error: `The group is used in the rules of ${referencedBy.map(name => `"${name}"`).join(', ')}; remove it from their rules first`,
+                groups: referencedBy
+            });
+        }
+
+        // Move group to the trash (rules are kept for restoring)
         await dbRun(
             db,
-            'DELETE FROM groups WHERE id = ?',
+            'UPDATE groups SET deleted_at = CURRENT_TIMESTAMP WHERE id = ?',
             [groupId]
         );
 
-        res.json({ message: 'Group deleted successfully' });
+        res.json({ message: 'Group moved to trash' });
     } catch (error) {
         console.error('Error deleting group:', error);
         res.status(500).json({ error: 'Failed to delete group' });
@@ -1,121 +1,77 @@
 const express = require('express');
 const router = express.Router();
-const { getDatabase, dbRun, dbGet, dbAll } = require('../database/init');
-const { requireAuth } = require('../middleware/auth');
-const { linkValidation, checkValidation } = require('../middleware/validation');
+const { getDatabase, dbRun, dbGet, dbAll, dbTransaction } = require('../database/init');
+const { requireAuth, requireWorkspaceRole } = require('../middleware/auth');
+const { linkValidation, linkCreateValidation, linkPatchValidation, checkValidation } = require('../middleware/validation');
+const {
+    loadWorkspaceGroups,
+    saveGroupRules,
+    validateGroupBlocks,
+    checkGroupReferences,
+    indexGroups,
+    linkMatchesGroup
+} = require('../lib/groupRules');
+const {
+    getLinksWithTags,
+    getLinkById,
+    addLinkTags,
+    setLinkTags,
+    LINK_SORTS,
+    decodeLinkCursor,
+    listLinks
+} = require('../lib/links');
+const { DEFAULT_TRASH_RETENTION_DAYS, purgeTrashedLinkByUrl } = require('../lib/trash');
+const { recordLinkRevision, getLinkRevisions, getLinkRevision } = require('../lib/history');
+const { checkLinks, getLinksDueForCheck } = require('../lib/linkChecker');
+const { METADATA_ENABLED, fetchPageMetadata, saveLinkMetadata, getFaviconPath } = require('../lib/metadata');
+const { indexLink } = require('../lib/search');
+const { nextPosition, saveOrder, setPinned } = require('../lib/ordering');
+const { body, query, validationResult } = require('express-validator');
 
 /**
  * GET /api/data
- * Get all data for the authenticated user (links, tags, groups, config)
+ * Get all data of the request's workspace (links, tags, groups) with the user's config
  */
 router.get('/data', requireAuth, async (req, res) => {
     const db = await getDatabase();
     try {
         const userId = req.userId;
+        const workspaceId = req.workspaceId;
 
         // Get user config
         const config = await dbGet(
             db,
-            'SELECT warning_tabs_open, max_tabs_open FROM user_config WHERE user_id = ?',
+            'SELECT warning_tabs_open, max_tabs_open, trash_retention_days FROM user_config WHERE user_id = ?',
             [userId]
         );
 
         // Get all links with their tags and timestamps
-        const links = await dbAll(
-            db,
-            `SELECT l.id, l.name, l.url, l.created_at, l.updated_at,
-                    GROUP_CONCAT(t.name) as tags
-             FROM links l
-             LEFT JOIN link_tags lt ON l.id = lt.link_id
-             LEFT JOIN tags t ON lt.tag_id = t.id
-             WHERE l.user_id = ?
-             GROUP BY l.id
-             ORDER BY l.id`,
-            [userId]
-        );
-
-        // Format links with tags as arrays
-        const formattedLinks = links.map(link => ({
-            name: link.name,
-            url: link.url,
-            tags: link.tags ? link.tags.split(',') : [],
-            created_at: link.created_at,
-            updated_at: link.updated_at
-        }));
+        const formattedLinks = await getLinksWithTags(db, workspaceId);
 
         // Get all groups with their rules (using block_index to preserve block structure)
-        const groups = await dbAll(
-            db,
-            'SELECT id, name FROM groups WHERE user_id = ? ORDER BY name',
-            [userId]
-        );
-
-        const formattedGroups = [];
-        for (const group of groups) {
-            const rules = await dbAll(
-                db,
-                'SELECT rule_type, match_type, match_value, block_index FROM group_rules WHERE group_id = ? ORDER BY rule_type, block_index, match_type',
-                [group.id]
-            );
-
-            const include = [];
-            const exclude = [];
-            
-            // Group rules by rule_type and block_index to preserve block structure
-            const includeBlocks = {};
-            const excludeBlocks = {};
-            
-            for (const rule of rules) {
-                const blockKey = `${rule.rule_type}_${rule.block_index}`;
-                const blocks = rule.rule_type === 'include' ? includeBlocks : excludeBlocks;
-                
-                if (!blocks[blockKey]) {
-                    blocks[blockKey] = {};
-                }
-                
-                if (!blocks[blockKey][rule.match_type]) {
-                    blocks[blockKey][rule.match_type] = [];
-                }
-                blocks[blockKey][rule.match_type].push(rule.match_value);
-            }
-            
-            // Convert include blocks to array
-            const includeKeys = Object.keys(includeBlocks).sort((a, b) => {
-                const aIndex = parseInt(a.split('_')[1]);
-                const bIndex = parseInt(b.split('_')[1]);
-                return aIndex - bIndex;
-            });
-            for (const key of includeKeys) {
-                include.push(includeBlocks[key]);
-            }
-            
-            // Convert exclude blocks to array
-            const excludeKeys = Object.keys(excludeBlocks).sort((a, b) => {
-                const aIndex = parseInt(a.split('_')[1]);
-                const bIndex = parseInt(b.split('_')[1]);
-                return aIndex - bIndex;
-            });
-            for (const key of excludeKeys) {
-                exclude.push(excludeBlocks[key]);
-            }
-
-            formattedGroups.push({
-                name: group.name,
-                include: include.length > 0 ? include : [],
-                exclude: exclude.length > 0 ? exclude : []
-            });
-        }
+        const groups = await loadWorkspaceGroups(db, workspaceId);
+        const formattedGroups = groups.map(group => ({
+            id: group.id,
+            name: group.name,
+            pinned: group.pinned,
+            position: group.position,
+            include: group.include,
+            exclude: group.exclude
+        }));
 
         res.json({
             config: config ? { 
                 warning_tabs_open: config.warning_tabs_open ?? 20,
-                max_tabs_open: config.max_tabs_open ?? 50
+                max_tabs_open: config.max_tabs_open ?? 50,
+                trash_retention_days: config.trash_retention_days ?? DEFAULT_TRASH_RETENTION_DAYS
             } : { 
                 warning_tabs_open: 20,
-                max_tabs_open: 50
+                max_tabs_open: 50,
+                trash_retention_days: DEFAULT_TRASH_RETENTION_DAYS
             },
             groups: formattedGroups,
-            links: formattedLinks
+            links: formattedLinks,
+            workspace: req.workspace
         });
     } catch (error) {
         console.error('Error fetching data:', error);
@@ -125,68 +81,164 @@ router.get('/data', requireAuth, async (req, res) => {
     }
 });
 
+/**
+ * Convert a client timestamp (ISO 8601 or SQLite "YYYY-MM-DD HH:MM:SS", UTC unless a zone is given)
+ * to the SQLite format used in the database
+ * @returns {string|null} null if the timestamp can't be parsed
+ */
+function toSqliteTimestamp(value) {
+    const text = String(value).trim();
+    const hasZone = /(Z|[+-]\d{2}:?\d{2})$/i.test(text);
+    const date = new Date(hasZone ? text : text.replace(' ', 'T') + 'Z');
+    return isNaN(date.getTime()) ? null : date.toISOString().substring(0, 19).replace('T', ' ');
+}
+
+/**
+ * GET /api/links
+ * List links one page at a time
+ * Query: sort (az, za, custom, created-desc, created-asc, updated-desc, updated-asc), limit (1-1000, default 100),
+ *   cursor (next_cursor of the previous page), tag (repeatable, AND), group_id (repeatable, OR),
+ *   updated_since (only links changed since then; the response then also lists deleted_ids)
+ */
+router.get('/links', requireAuth, [
+    query('sort')
+        .optional()
+        .isIn(Object.keys(LINK_SORTS)).withMessage(`sort must be one of: ${Object.keys(LINK_SORTS).join(', ')}`),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 1000 }).withMessage('limit must be between 1 and 1000'),
+    query('cursor')
+        .optional()
+        .custom((value, { req }) => decodeLinkCursor(value, req.query.sort || 'az') !== null).withMessage('Invalid cursor'),
+    query('tag')
+        .optional()
+        .customSanitizer(value => [].concat(value))
+        .custom(tags => tags.every(tag => typeof tag === 'string' && tag.length > 0)).withMessage('tag must be a non-empty string'),
+    query('group_id')
+        .optional()
+        .customSanitizer(value => [].concat(value))
+        .custom(ids => ids.every(id => /^\d+$/.test(id))).withMessage('group_id must be a positive integer'),
+    query('updated_since')
+        .optional()
+        .custom(value => toSqliteTimestamp(value) !== null).withMessage('updated_since must be a valid timestamp')
+], checkValidation, async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const workspaceId = req.workspaceId;
+        const groupIds = req.query.group_id ? req.query.group_id.map(id => parseInt(id)) : [];
+        const updatedSince = req.query.updated_since ? toSqliteTimestamp(req.query.updated_since) : null;
+
+        // Taken before reading so changes made meanwhile show up in the next sync
+        const { now } = await dbGet(db, 'SELECT CURRENT_TIMESTAMP AS now');
+
+        // All groups are loaded, since the requested ones may reference others
+        const groupsById = groupIds.length > 0 ? indexGroups(await loadWorkspaceGroups(db, workspaceId)) : new Map();
+        if (groupIds.some(id => !groupsById.has(id))) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+        const groups = [...new Set(groupIds)].map(id => groupsById.get(id));
+
+        const page = await listLinks(db, workspaceId, {
+            sort: req.query.sort || 'az',
+            limit: req.query.limit ? parseInt(req.query.limit) : 100,
+            cursor: req.query.cursor || null,
+            tags: req.query.tag || [],
+            groups: groups,
+            groupsById: groupsById,
+            updatedSince: updatedSince
+        });
+
+        const response = {
+            links: page.links,
+            next_cursor: page.nextCursor,
+            server_time: now
+        };
+
+        // Links moved to the trash or purged since the last sync, so clients can drop them
+        if (updatedSince) {
+            const deleted = await dbAll(
+                db,
+                `SELECT id FROM links WHERE workspace_id = ? AND deleted_at IS NOT NULL AND deleted_at >= ?
+                 UNION
+                 SELECT link_id FROM purged_links WHERE workspace_id = ? AND purged_at >= ?
+                 ORDER BY id`,
+                [workspaceId, updatedSince, workspaceId, updatedSince]
+            );
+            response.deleted_ids = deleted.map(link => link.id);
+        }
+
+        res.json(response);
+    } catch (error) {
+        console.error('Error listing links:', error);
+        res.status(500).json({ error: 'Failed to list links' });
+    } finally {
+        db.close();
+    }
+});
+
 /**
  * POST /api/links
  * Create a new link
+ * Without a name, the page is fetched and its title (or the hostname) is used as the name.
  */
-router.post('/links', requireAuth, linkValidation, checkValidation, async (req, res) => {
+router.post('/links', requireAuth, requireWorkspaceRole('editor'), linkCreateValidation, checkValidation, async (req, res) => {
     const db = await getDatabase();
     try {
         const userId = req.userId;
-        const { name, url, tags = [] } = req.body;
+        const workspaceId = req.workspaceId;
+        const { url, tags = [] } = req.body;
+        let name = req.body.name;
 
         // Check for duplicate URL
         const existing = await dbGet(
             db,
-            'SELECT id FROM links WHERE user_id = ? AND url = ?',
-            [userId, url]
+            'SELECT id FROM links WHERE workspace_id = ? AND url = ? AND deleted_at IS NULL',
+            [workspaceId, url]
         );
 
         if (existing) {
             return res.status(409).json({ error: 'A link with this URL already exists' });
         }
 
-        // Insert link
-        const linkResult = await dbRun(
-            db,
-            'INSERT INTO links (user_id, name, url) VALUES (?, ?, ?)',
-            [userId, name, url]
-        );
-
-        const linkId = linkResult.lastID;
+        let metadata = null;
+        if (!name) {
+            if (METADATA_ENABLED) {
+                try {
+                    metadata = await fetchPageMetadata(url);
+                } catch (error) {
+                    console.warn(`Could not fetch metadata for ${url}:`, (error.cause || error).message);
+                }
+            }
+            name = (metadata && metadata.title) || new URL(url).hostname;
+        }
 
-        // Handle tags
-        if (tags && tags.length > 0) {
-            for (const tagName of tags) {
-                const sanitizedTag = tagName.trim().substring(0, 100);
-                if (!sanitizedTag) continue;
+        // Written only once the page is fetched, so the transaction doesn't wait on it
+        const linkId = await dbTransaction(db, async () => {
+            // A trashed copy of the same URL gives way to the new link
+            await purgeTrashedLinkByUrl(db, workspaceId, url);
 
-                // Get or create tag
-                let tag = await dbGet(
-                    db,
-                    'SELECT id FROM tags WHERE user_id = ? AND name = ?',
-                    [userId, sanitizedTag]
-                );
+            // Insert link
+            const linkResult = await dbRun(
+                db,
+                'INSERT INTO links (user_id, workspace_id, name, url, position) VALUES (?, ?, ?, ?, ?)',
+                [userId, workspaceId, name, url, await nextPosition(db, 'links', workspaceId)]
+            );
 
-                if (!tag) {
-                    const tagResult = await dbRun(
-                        db,
-                        'INSERT INTO tags (user_id, name) VALUES (?, ?)',
-                        [userId, sanitizedTag]
-                    );
-                    tag = { id: tagResult.lastID };
-                }
+            const newLinkId = linkResult.lastID;
 
-                // Link tag to link
-                await dbRun(
-                    db,
-                    'INSERT OR IGNORE INTO link_tags (link_id, tag_id) VALUES (?, ?)',
-                    [linkId, tag.id]
-                );
+            if (metadata) {
+                await saveLinkMetadata(db, newLinkId, url, metadata);
             }
-        }
 
-        res.status(201).json({ name, url, tags });
+            // Handle tags
+            await setLinkTags(db, workspaceId, newLinkId, tags || []);
+
+            await recordLinkRevision(db, req, newLinkId, 'create');
+            await indexLink(db, newLinkId);
+            return newLinkId;
+        });
+
+        res.status(201).json(await getLinkById(db, workspaceId, linkId));
     } catch (error) {
         console.error('Error creating link:', error);
         res.status(500).json({ error: 'Failed to create link' });
@@ -199,10 +251,10 @@ router.post('/links', requireAuth, linkValidation, checkValidation, async (req,
  * PUT /api/links
  * Update an existing link
  */
-router.put('/links', requireAuth, async (req, res) => {
+router.put('/links', requireAuth, requireWorkspaceRole('editor'), async (req, res) => {
     const db = await getDatabase();
     try {
-        const userId = req.userId;
+        const workspaceId = req.workspaceId;
         const { originalUrl, updatedLink } = req.body;
 
         if (!originalUrl || !updatedLink) {
@@ -251,113 +303,683 @@ router.put('/links', requireAuth, async (req, res) => {
         const sanitizedName = name.replace(/[<>]/g, '').trim().substring(0, 500);
         const sanitizedUrl = url.trim().substring(0, 2000);
 
-        // Find the link
+        // Find the link
+        const link = await dbGet(
+            db,
+            'SELECT id FROM links WHERE workspace_id = ? AND url = ? AND deleted_at IS NULL',
+            [workspaceId, originalUrl]
+        );
+
+        if (!link) {
+            return res.status(404).json({ error: 'Link not found' });
+        }
+
+        // Check if new URL conflicts (if URL changed)
+        if (sanitizedUrl !== originalUrl) {
+            const conflict = await dbGet(
+                db,
+                'SELECT id FROM links WHERE workspace_id = ? AND url = ? AND id != ? AND deleted_at IS NULL',
+                [workspaceId, sanitizedUrl, link.id]
+            );
+            if (conflict) {
+                return res.status(409).json({ error: 'A link with this URL already exists' });
+            }
+        }
+
+        await dbTransaction(db, async () => {
+            if (sanitizedUrl !== originalUrl) {
+                await purgeTrashedLinkByUrl(db, workspaceId, sanitizedUrl);
+            }
+
+            // Update link
+            await dbRun(
+                db,
+                'UPDATE links SET name = ?, url = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [sanitizedName, sanitizedUrl, link.id]
+            );
+
+            // Replace tags
+            await setLinkTags(db, workspaceId, link.id, tags);
+
+            await recordLinkRevision(db, req, link.id, 'update');
+            await indexLink(db, link.id);
+        });
+
+        res.json(await getLinkById(db, workspaceId, link.id));
+    } catch (error) {
+        console.error('Error updating link:', error);
+        res.status(500).json({ error: 'Failed to update link' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * DELETE /api/links
+ * Move a link to the trash
+ */
+router.delete('/links', requireAuth, requireWorkspaceRole('editor'), async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const workspaceId = req.workspaceId;
+        const { url } = req.body;
+
+        if (!url) {
+            return res.status(400).json({ error: 'URL is required' });
+        }
+
+        // Find the link and move it to the trash (tags are kept for restoring)
+        const link = await dbGet(
+            db,
+            'SELECT id FROM links WHERE workspace_id = ? AND url = ? AND deleted_at IS NULL',
+            [workspaceId, url]
+        );
+
+        if (!link) {
+            return res.status(404).json({ error: 'Link not found' });
+        }
+
+        await dbTransaction(db, async () => {
+            await dbRun(
+                db,
+                'UPDATE links SET deleted_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [link.id]
+            );
+
+            await recordLinkRevision(db, req, link.id, 'delete');
+            await indexLink(db, link.id);
+        });
+
+        res.json({ message: 'Link moved to trash' });
+    } catch (error) {
+        console.error('Error deleting link:', error);
+        res.status(500).json({ error: 'Failed to delete link' });
+    } finally {
+        db.close();
+    }
+});
+
+const BULK_ACTIONS = ['add_tags', 'remove_tags', 'rename_tag', 'delete'];
+
+/**
+ * Resolve the IDs of the links a bulk request applies to
+ * Either an explicit list of link IDs, or every link matching a group and/or tags filter
+ * @returns {Promise<number[]|null>} The link IDs, or null if the filter's group doesn't exist
+ */
+async function resolveBulkLinkIds(db, workspaceId, ids, filter) {
+    const links = await getLinksWithTags(db, workspaceId);
+
+    if (ids) {
+        const wanted = new Set(ids.map(id => parseInt(id)));
+        return links.filter(link => wanted.has(link.id)).map(link => link.id);
+    }
+
+    let matching = links;
+
+    if (filter.group_id !== undefined) {
+        const groupsById = indexGroups(await loadWorkspaceGroups(db, workspaceId));
+        const groupDef = groupsById.get(parseInt(filter.group_id));
+
+        if (!groupDef) {
+            return null;
+        }
+
+        matching = matching.filter(link => linkMatchesGroup(link, groupDef, groupsById));
+    }
+
+    // A tags filter matches links that have all of the given tags
+    if (filter.tags && filter.tags.length > 0) {
+        matching = matching.filter(link => filter.tags.every(tag => link.tags.includes(tag)));
+    }
+
+    return matching.map(link => link.id);
+}
+
+/**
+ * POST /api/links/:id/metadata
+ * Fetch the page title, description and favicon of a link again
+ * Body (optional): { update_name: true } to also rename the link to the page title
+ */
+router.post('/links/:id(\\d+)/metadata', requireAuth, requireWorkspaceRole('editor'), [
+    body('update_name')
+        .optional()
+        .isBoolean().withMessage('update_name must be a boolean')
+], checkValidation, async (req, res) => {
+    if (!METADATA_ENABLED) {
+        return res.status(400).json({ error: 'Metadata fetching is disabled on this server' });
+    }
+
+    const db = await getDatabase();
+    try {
+        const workspaceId = req.workspaceId;
+        const linkId = parseInt(req.params.id);
+
+        const link = await getLinkById(db, workspaceId, linkId);
+        if (!link) {
+            return res.status(404).json({ error: 'Link not found' });
+        }
+
+        let metadata;
+        try {
+            metadata = await fetchPageMetadata(link.url);
+        } catch (error) {
+            console.warn(`Could not fetch metadata for ${link.url}:`, (error.cause || error).message);
+            return res.status(502).json({ error: 'Could not fetch the page' });
+        }
+
+        await dbTransaction(db, async () => {
+            await saveLinkMetadata(db, linkId, link.url, metadata);
+
+            if (req.body.update_name === true && metadata.title && metadata.title !== link.name) {
+                await dbRun(
+                    db,
+                    'UPDATE links SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [metadata.title, linkId]
+                );
+                await recordLinkRevision(db, req, linkId, 'update');
+            }
+            await indexLink(db, linkId);
+        });
+
+        res.json(await getLinkById(db, workspaceId, linkId));
+    } catch (error) {
+        console.error('Error refreshing link metadata:', error);
+        res.status(500).json({ error: 'Failed to refresh link metadata' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * GET /api/links/:id/favicon
+ * Serve the cached favicon of a link
+ * Allowed for members of any workspace of the link, since <img> requests can't send X-Workspace-Id
+ */
+router.get('/links/:id(\\d+)/favicon', requireAuth, async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const row = await dbGet(
+            db,
+            `SELECT m.favicon
+             FROM links l
+             JOIN link_metadata m ON m.link_id = l.id AND m.url = l.url
+             JOIN workspace_members wm ON wm.workspace_id = l.workspace_id AND wm.user_id = ?
+             WHERE l.id = ? AND l.deleted_at IS NULL AND m.favicon IS NOT NULL`,
+            [req.userId, parseInt(req.params.id)]
+        );
+
+        if (!row) {
+            return res.status(404).json({ error: 'No favicon for this link' });
+        }
+
+        res.set('Cache-Control', 'private, max-age=86400');
+        res.sendFile(getFaviconPath(row.favicon), (err) => {
+            if (err && !res.headersSent) {
+                res.status(404).json({ error: 'No favicon for this link' });
+            }
+        });
+    } catch (error) {
+        console.error('Error serving favicon:', error);
+        res.status(500).json({ error: 'Failed to serve favicon' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * POST /api/links/bulk
+ * Apply one action to many links at once, in a single transaction
+ * Body: { ids: [...] } or { filter: { group_id, tags } }, plus
+ *   action: "add_tags" | "remove_tags" (with tags), "rename_tag" (with from, to) or "delete" (moves to trash)
+ */
+router.post('/links/bulk', requireAuth, requireWorkspaceRole('editor'), [
+    body('action')
+        .isIn(BULK_ACTIONS).withMessage(`Action must be one of: ${BULK_ACTIONS.join(', ')}`),
+    body('ids')
+        .optional()
+        .isArray({ min: 1, max: 10000 }).withMessage('ids must be a non-empty array'),
+    body('ids.*')
+        .isInt({ min: 1 }).withMessage('Each id must be a positive integer'),
+    body('filter')
+        .optional()
+        .isObject().withMessage('filter must be an object'),
+    body('filter.group_id')
+        .optional()
+        .isInt({ min: 1 }).withMessage('filter.group_id must be a positive integer'),
+    body('filter.tags')
+        .optional()
+        .isArray().withMessage('filter.tags must be an array'),
+    body('filter.tags.*')
+        .isString().trim().notEmpty().withMessage('Each filter tag must be a non-empty string'),
+    body('tags')
+        .if(body('action').isIn(['add_tags', 'remove_tags']))
+        .isArray({ min: 1, max: 50 }).withMessage('tags must be an array of 1 to 50 tags'),
+    body('tags.*')
+        .isString().trim().notEmpty().withMessage('Each tag must be a non-empty string')
+        .isLength({ max: 100 }).withMessage('Each tag must be less than 100 characters'),
+    body('from')
+        .if(body('action').equals('rename_tag'))
+        .isString().trim().notEmpty().withMessage('from is required to rename a tag'),
+    body('to')
+        .if(body('action').equals('rename_tag'))
+        .isString().trim().notEmpty().withMessage('to is required to rename a tag')
+        .isLength({ max: 100 }).withMessage('to must be less than 100 characters')
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { action, ids, filter, tags = [], from, to } = req.body;
+
+    if (!ids === !filter) {
+        return res.status(400).json({ error: 'Provide either ids or filter' });
+    }
+    if (filter && filter.group_id === undefined && !(filter.tags && filter.tags.length > 0)) {
+        return res.status(400).json({ error: 'filter needs a group_id or tags' });
+    }
+
+    const db = await getDatabase();
+    try {
+        const workspaceId = req.workspaceId;
+
+        const linkIds = await resolveBulkLinkIds(db, workspaceId, ids, filter);
+        if (linkIds === null) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        let affected = 0;
+
+        await dbTransaction(db, async () => {
+            for (const linkId of linkIds) {
+                let changes = 0;
+
+                if (action === 'delete') {
+                    // Move the link to the trash
+                    changes = (await dbRun(
+                        db,
+                        'UPDATE links SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL',
+                        [linkId]
+                    )).changes;
+                } else if (action === 'add_tags') {
+                    const before = await dbGet(db, 'SELECT COUNT(*) AS count FROM link_tags WHERE link_id = ?', [linkId]);
+                    await addLinkTags(db, workspaceId, linkId, tags);
+                    const after = await dbGet(db, 'SELECT COUNT(*) AS count FROM link_tags WHERE link_id = ?', [linkId]);
+                    changes = after.count - before.count;
+                } else if (action === 'remove_tags') {
+                    const placeholders = tags.map(() => '?').join(', ');
+                    changes = (await dbRun(
+                        db,
+                        `DELETE FROM link_tags WHERE link_id = ? AND tag_id IN (
+                             SELECT id FROM tags WHERE workspace_id = ? AND name IN (${placeholders})
+                         )`,
+                        [linkId, workspaceId, ...tags]
+                    )).changes;
+                } else if (action === 'rename_tag') {
+                    changes = (await dbRun(
+                        db,
+                        `DELETE FROM link_tags WHERE link_id = ? AND tag_id IN (
+                             SELECT id FROM tags WHERE workspace_id = ? AND name = ?
+                         )`,
+                        [linkId, workspaceId, from]
+                    )).changes;
+                    if (changes > 0) {
+                        await addLinkTags(db, workspaceId, linkId, [to]);
+                    }
+                }
+
+                if (changes > 0) {
+                    affected++;
+                    if (action !== 'delete') {
+                        await dbRun(
+                            db,
+                            'UPDATE links SET updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                            [linkId]
+                        );
+                    }
+                    await recordLinkRevision(db, req, linkId, action === 'delete' ? 'delete' : 'update');
+                    await indexLink(db, linkId);
+                }
+            }
+        });
+
+        res.json({
+            message: `Bulk ${action} applied to ${affected} link(s)`,
+            action: action,
+            matched: linkIds.length,
+            affected: affected
+        });
+    } catch (error) {
+        console.error('Error applying bulk action:', error);
+        res.status(500).json({ error: 'Failed to apply bulk action' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * POST /api/links/check
+ * Run the health check now for the workspace's links that are due (or all of them with force)
+ * Body (optional): { ids: [...], force: true }
+ */
+router.post('/links/check', requireAuth, requireWorkspaceRole('editor'), [
+    body('ids')
+        .optional()
+        .isArray({ min: 1, max: 1000 }).withMessage('ids must be a non-empty array'),
+    body('ids.*')
+        .isInt({ min: 1 }).withMessage('Each id must be a positive integer'),
+    body('force')
+        .optional()
+        .isBoolean().withMessage('force must be a boolean')
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const db = await getDatabase();
+    try {
+        const links = await getLinksDueForCheck(db, {
+            workspaceId: req.workspaceId,
+            linkIds: req.body.ids ? req.body.ids.map(id => parseInt(id)) : undefined,
+            force: req.body.force === true
+        });
+
+        const summary = await checkLinks(db, links);
+
+        res.json({ message: `Checked ${summary.checked} link(s)`, ...summary });
+    } catch (error) {
+        console.error('Error checking links:', error);
+        res.status(500).json({ error: 'Failed to check links' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * POST /api/links/:id/check
+ * Check a single link right away and return it with its new health status
+ */
+router.post('/links/:id(\\d+)/check', requireAuth, requireWorkspaceRole('editor'), async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const workspaceId = req.workspaceId;
+        const linkId = parseInt(req.params.id);
+
+        const links = await getLinksDueForCheck(db, { workspaceId, linkIds: [linkId], force: true });
+        if (links.length === 0) {
+            return res.status(404).json({ error: 'Link not found' });
+        }
+
+        await checkLinks(db, links);
+
+        res.json(await getLinkById(db, workspaceId, linkId));
+    } catch (error) {
+        console.error('Error checking link:', error);
+        res.status(500).json({ error: 'Failed to check link' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * PUT /api/links/order
+ * Store a custom order of links; links left out keep their order after the given ones
+ * Body: { ids: [...] }
+ */
+router.put('/links/order', requireAuth, requireWorkspaceRole('editor'), [
+    body('ids')
+        .isArray({ min: 1 }).withMessage('ids must be a non-empty array'),
+    body('ids.*')
+        .isInt({ min: 1 }).withMessage('Each id must be a positive integer')
+        .toInt()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const db = await getDatabase();
+    try {
+        const updated = await dbTransaction(db, () => saveOrder(db, 'links', req.workspaceId, req.body.ids));
+        res.json({ message: 'Link order saved', updated });
+    } catch (error) {
+        console.error('Error saving link order:', error);
+        res.status(500).json({ error: 'Failed to save link order' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * PUT /api/links/:id/pin
+ * Pin a link to the top of the list, or unpin it
+ * Body: { pinned: true|false }
+ */
+router.put('/links/:id(\\d+)/pin', requireAuth, requireWorkspaceRole('editor'), [
+    body('pinned')
+        .isBoolean({ strict: true }).withMessage('pinned must be true or false')
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const db = await getDatabase();
+    try {
+        const workspaceId = req.workspaceId;
+        const linkId = parseInt(req.params.id);
+
+        if (!await setPinned(db, 'links', workspaceId, linkId, req.body.pinned)) {
+            return res.status(404).json({ error: 'Link not found' });
+        }
+
+        res.json(await getLinkById(db, workspaceId, linkId));
+    } catch (error) {
+        console.error('Error pinning link:', error);
+        res.status(500).json({ error: 'Failed to pin link' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * Apply an update to a link identified by ID
+ * Shared by PUT (full replace), PATCH (partial update) and revert on /api/links/:id
+ * @param {object} changes name, url and/or tags to set, plus the history action (defaults to "update")
+ */
+async function updateLinkById(req, res, changes) {
+    const db = await getDatabase();
+    try {
+        const workspaceId = req.workspaceId;
+        const linkId = parseInt(req.params.id);
+
+        const link = await getLinkById(db, workspaceId, linkId);
+        if (!link) {
+            return res.status(404).json({ error: 'Link not found' });
+        }
+
+        const name = changes.name !== undefined ? changes.name : link.name;
+        const url = changes.url !== undefined ? changes.url : link.url;
+
+        // Check if new URL conflicts (if URL changed)
+        if (url !== link.url) {
+            const conflict = await dbGet(
+                db,
+                'SELECT id FROM links WHERE workspace_id = ? AND url = ? AND id != ? AND deleted_at IS NULL',
+                [workspaceId, url, linkId]
+            );
+            if (conflict) {
+                return res.status(409).json({ error: 'A link with this URL already exists' });
+            }
+        }
+
+        await dbTransaction(db, async () => {
+            if (url !== link.url) {
+                await purgeTrashedLinkByUrl(db, workspaceId, url);
+            }
+
+            await dbRun(
+                db,
+                'UPDATE links SET name = ?, url = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [name, url, linkId]
+            );
+
+            if (changes.tags !== undefined) {
+                await setLinkTags(db, workspaceId, linkId, changes.tags);
+            }
+
+            await recordLinkRevision(db, req, linkId, changes.action || 'update');
+            await indexLink(db, linkId);
+        });
+
+        res.json(await getLinkById(db, workspaceId, linkId));
+    } catch (error) {
+        console.error('Error updating link:', error);
+        res.status(500).json({ error: 'Failed to update link' });
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * GET /api/links/:id
+ * Get a single link by ID
+ */
+router.get('/links/:id(\\d+)', requireAuth, async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const link = await getLinkById(db, req.workspaceId, parseInt(req.params.id));
+
+        if (!link) {
+            return res.status(404).json({ error: 'Link not found' });
+        }
+
+        res.json(link);
+    } catch (error) {
+        console.error('Error fetching link:', error);
+        res.status(500).json({ error: 'Failed to fetch link' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * PUT /api/links/:id
+ * Replace a link's name, URL and tags
+ */
+router.put('/links/:id(\\d+)', requireAuth, requireWorkspaceRole('editor'), linkValidation, checkValidation, async (req, res) => {
+    const { name, url, tags = [] } = req.body;
+    await updateLinkById(req, res, { name, url, tags });
+});
+
+/**
+ * PATCH /api/links/:id
+ * Update only the given fields of a link (name, url and/or tags)
+ */
+router.patch('/links/:id(\\d+)', requireAuth, requireWorkspaceRole('editor'), linkPatchValidation, checkValidation, async (req, res) => {
+    const { name, url, tags } = req.body;
+    await updateLinkById(req, res, { name, url, tags });
+});
+
+/**
+ * GET /api/links/:id/history
+ * Get the revision history of a link, newest first (also works for links in the trash)
+ */
+router.get('/links/:id(\\d+)/history', requireAuth, async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const linkId = parseInt(req.params.id);
+
         const link = await dbGet(
             db,
-            'SELECT id FROM links WHERE user_id = ? AND url = ?',
-            [userId, originalUrl]
+            'SELECT id FROM links WHERE id = ? AND workspace_id = ?',
+            [linkId, req.workspaceId]
         );
 
         if (!link) {
             return res.status(404).json({ error: 'Link not found' });
         }
 
-        // Check if new URL conflicts (if URL changed)
-        if (sanitizedUrl !== originalUrl) {
-            const conflict = await dbGet(
-                db,
-                'SELECT id FROM links WHERE user_id = ? AND url = ? AND id != ?',
-                [userId, sanitizedUrl, link.id]
-            );
-            if (conflict) {
-                return res.status(409).json({ error: 'A link with this URL already exists' });
-            }
-        }
-
-        // Update link
-        await dbRun(
-            db,
-            'UPDATE links SET name = ?, url = ? WHERE id = ?',
-            [sanitizedName, sanitizedUrl, link.id]
-        );
-
-        // Remove all existing tags
-        await dbRun(
-            db,
-            'DELETE FROM link_tags WHERE link_id = ?',
-            [link.id]
-        );
-
-        // Add new tags
-        if (tags && tags.length > 0) {
-            for (const tagName of tags) {
-                const sanitizedTag = tagName.trim().substring(0, 100);
-                if (!sanitizedTag) continue;
-
-                let tag = await dbGet(
-                    db,
-                    'SELECT id FROM tags WHERE user_id = ? AND name = ?',
-                    [userId, sanitizedTag]
-                );
+        res.json({
+            link_id: link.id,
+            revisions: await getLinkRevisions(db, link.id)
+        });
+    } catch (error) {
+        console.error('Error fetching link history:', error);
+        res.status(500).json({ error: 'Failed to fetch link history' });
+    } finally {
+        db.close();
+    }
+});
 
-                if (!tag) {
-                    const tagResult = await dbRun(
-                        db,
-                        'INSERT INTO tags (user_id, name) VALUES (?, ?)',
-                        [userId, sanitizedTag]
-                    );
-                    tag = { id: tagResult.lastID };
-                }
+/**
+ * POST /api/links/:id/history/:revisionId/revert
+ * Restore a link's name, URL and tags to those of an earlier revision
+ */
+router.post('/links/:id(\\d+)/history/:revisionId(\\d+)/revert', requireAuth, requireWorkspaceRole('editor'), async (req, res) => {
+    let revision;
+    const db = await getDatabase();
+    try {
+        const linkId = parseInt(req.params.id);
 
-                await dbRun(
-                    db,
-                    'INSERT OR IGNORE INTO link_tags (link_id, tag_id) VALUES (?, ?)',
-                    [link.id, tag.id]
-                );
-            }
+        const link = await getLinkById(db, req.workspaceId, linkId);
+        if (!link) {
+            return res.status(404).json({ error: 'Link not found' });
         }
 
-        res.json({ name: sanitizedName, url: sanitizedUrl, tags });
+        revision = await getLinkRevision(db, linkId, parseInt(req.params.revisionId));
+        if (!revision) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
     } catch (error) {
-        console.error('Error updating link:', error);
-        res.status(500).json({ error: 'Failed to update link' });
+        console.error('Error reverting link:', error);
+        return res.status(500).json({ error: 'Failed to revert link' });
     } finally {
         db.close();
     }
+
+    await updateLinkById(req, res, {
+        name: revision.name,
+        url: revision.url,
+        tags: revision.tags,
+        action: 'revert'
+    });
 });
 
 /**
- * DELETE /api/links
- * Delete a link
+ * DELETE /api/links/:id
+ * Move a link to the trash by ID
  */
-router.delete('/links', requireAuth, async (req, res) => {
+router.delete('/links/:id(\\d+)', requireAuth, requireWorkspaceRole('editor'), async (req, res) => {
     const db = await getDatabase();
     try {
-        const userId = req.userId;
-        const { url } = req.body;
+        const workspaceId = req.workspaceId;
+        const linkId = parseInt(req.params.id);
 
-        if (!url) {
-            return res.status(400).json({ error: 'URL is required' });
-        }
-
-        // Find and delete the link (CASCADE will handle tags)
         const link = await dbGet(
             db,
-            'SELECT id FROM links WHERE user_id = ? AND url = ?',
-            [userId, url]
+            'SELECT id FROM links WHERE id = ? AND workspace_id = ? AND deleted_at IS NULL',
+            [linkId, workspaceId]
         );
 
         if (!link) {
             return res.status(404).json({ error: 'Link not found' });
         }
 
-        await dbRun(
-            db,
-            'DELETE FROM links WHERE id = ?',
-            [link.id]
-        );
+        // Move the link to the trash (tags are kept for restoring)
+        await dbTransaction(db, async () => {
+            await dbRun(
+                db,
+                'UPDATE links SET deleted_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [link.id]
+            );
+
+            await recordLinkRevision(db, req, link.id, 'delete');
+            await indexLink(db, link.id);
+        });
 
-        res.json({ message: 'Link deleted successfully' });
+        res.json({ message: 'Link moved to trash' });
     } catch (error) {
         console.error('Error deleting link:', error);
         res.status(500).json({ error: 'Failed to delete link' });
@@ -374,22 +996,23 @@ router.get('/export', requireAuth, async (req, res) => {
     const db = await getDatabase();
     try {
         const userId = req.userId;
+        const workspaceId = req.workspaceId;
         const format = req.query.format || 'tabinator';
         
         console.log('Export request - format:', format, 'userId:', userId);
 
-        // Get all links with their tags
+        // Get all links with their tags, in the workspace's custom order (pinned links first)
         const links = await dbAll(
             db,
-            `SELECT l.name, l.url, l.created_at, l.updated_at,
+            `SELECT l.name, l.url, l.pinned, l.created_at, l.updated_at,
                     GROUP_CONCAT(t.name) as tags
              FROM links l
              LEFT JOIN link_tags lt ON l.id = lt.link_id
              LEFT JOIN tags t ON lt.tag_id = t.id
-             WHERE l.user_id = ?
+             WHERE l.workspace_id = ? AND l.deleted_at IS NULL
              GROUP BY l.id
-             ORDER BY l.name`,
-            [userId]
+             ORDER BY l.pinned DESC, l.position, l.id`,
+            [workspaceId]
         );
 
         // Format links with tags as arrays
@@ -397,6 +1020,7 @@ router.get('/export', requireAuth, async (req, res) => {
             name: link.name,
             url: link.url,
             tags: link.tags ? link.tags.split(',') : [],
+            pinned: !!link.pinned,
             created_at: link.created_at,
             updated_at: link.updated_at
         }));
@@ -419,64 +1043,23 @@ router.get('/export', requireAuth, async (req, res) => {
             );
 
             // Get all groups with their rules
-            const groups = await dbAll(
-                db,
-                'SELECT id, name FROM groups WHERE user_id = ? ORDER BY name',
-                [userId]
-            );
-
-            const formattedGroups = [];
-            for (const group of groups) {
-                const rules = await dbAll(
-                    db,
-                    'SELECT rule_type, match_type, match_value, block_index FROM group_rules WHERE group_id = ? ORDER BY rule_type, block_index, match_type',
-                    [group.id]
-                );
-
-                const includeBlocks = {};
-                const excludeBlocks = {};
-                
-                for (const rule of rules) {
-                    const blockKey = `${rule.rule_type}_${rule.block_index}`;
-                    const blocks = rule.rule_type === 'include' ? includeBlocks : excludeBlocks;
-                    
-                    if (!blocks[blockKey]) {
-                        blocks[blockKey] = {};
-                    }
-                    
-                    if (!blocks[blockKey][rule.match_type]) {
-                        blocks[blockKey][rule.match_type] = [];
-                    }
-                    blocks[blockKey][rule.match_type].push(rule.match_value);
-                }
-                
-                const include = [];
-                const exclude = [];
-                
-                const includeKeys = Object.keys(includeBlocks).sort((a, b) => {
-                    const aIndex = parseInt(a.split('_')[1]);
-                    const bIndex = parseInt(b.split('_')[1]);
-                    return aIndex - bIndex;
-                });
-                for (const key of includeKeys) {
-                    include.push(includeBlocks[key]);
-                }
-                
-                const excludeKeys = Object.keys(excludeBlocks).sort((a, b) => {
-                    const aIndex = parseInt(a.split('_')[1]);
-                    const bIndex = parseInt(b.split('_')[1]);
-                    return aIndex - bIndex;
-                });
-                for (const key of excludeKeys) {
-                    exclude.push(excludeBlocks[key]);
-                }
+            const groups = await loadWorkspaceGroups(db, workspaceId);
+            const groupsById = indexGroups(groups);
 
-                formattedGroups.push({
-                    name: group.name,
-                    include: include.length > 0 ? include : [],
-                    exclude: exclude.length > 0 ? exclude : []
-                });
-            }
+            // Nested group references are exported by name so they survive an import into another account
+            const withGroupNames = (blocks) => blocks.map(block => {
+                if (!block.groups) return block;
+                return {
+                    ...block,
+                    groups: block.groups.filter(id => groupsById.has(id)).map(id => groupsById.get(id).name)
+                };
+            });
+            const formattedGroups = groups.map(group => ({
+                name: group.name,
+                pinned: group.pinned,
+                include: withGroupNames(group.include),
+                exclude: withGroupNames(group.exclude)
+            }));
 
             const tabinatorData = {
                 version: '1.0',
@@ -607,14 +1190,100 @@ router.get('/export', requireAuth, async (req, res) => {
     }
 });
 
+/**
+ * Import one link: update the workspace's link with the same URL (restoring it if
+ * it was in the trash), or create it
+ * Called inside the import's transaction.
+ * @param {object} link - name, url, tags and optionally pinned
+ * @returns {Promise<boolean>} true if an existing link was updated, false if one was created
+ */
+async function importLink(db, req, { name, url, tags, pinned }) {
+    const workspaceId = req.workspaceId;
+
+    // Check if link exists
+    const existing = await dbGet(
+        db,
+        'SELECT id FROM links WHERE workspace_id = ? AND url = ?',
+        [workspaceId, url]
+    );
+
+    let linkId;
+    if (existing) {
+        // Update existing link (restoring it if it was in the trash)
+        await dbRun(
+            db,
+            'UPDATE links SET name = ?, deleted_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [name, existing.id]
+        );
+        linkId = existing.id;
+
+        // Remove existing tags
+        await dbRun(
+            db,
+            'DELETE FROM link_tags WHERE link_id = ?',
+            [linkId]
+        );
+    } else {
+        // Create new link
+        const linkResult = await dbRun(
+            db,
+            'INSERT INTO links (user_id, workspace_id, name, url, position) VALUES (?, ?, ?, ?, ?)',
+            [req.userId, workspaceId, name, url, await nextPosition(db, 'links', workspaceId)]
+        );
+        linkId = linkResult.lastID;
+    }
+
+    if (pinned !== undefined) {
+        await dbRun(db, 'UPDATE links SET pinned = ? WHERE id = ?', [pinned ? 1 : 0, linkId]);
+    }
+
+    // Add tags
+    for (const tagName of tags) {
+        const sanitizedTag = tagName.trim().substring(0, 100);
+        if (!sanitizedTag) continue;
+
+        // Get or create tag
+        let tag = await dbGet(
+            db,
+            'SELECT id FROM tags WHERE workspace_id = ? AND name = ?',
+            [workspaceId, sanitizedTag]
+        );
+
+        if (!tag) {
+            const tagResult = await dbRun(
+                db,
+                'INSERT INTO tags (workspace_id, name) VALUES (?, ?)',
+                [workspaceId, sanitizedTag]
+            );
+            tag = { id: tagResult.lastID };
+        }
+
+        // Link tag to link
+        await dbRun(
+            db,
+            'INSERT OR IGNORE INTO link_tags (link_id, tag_id) VALUES (?, ?)',
+            [linkId, tag.id]
+        );
+    }
+
+    await recordLinkRevision(db, req, linkId, 'import');
+    await indexLink(db, linkId);
+
+    return !!existing;
+}
+
 /**
  * POST /api/import
  * Import links from CSV (merge mode - updates existing, creates new)
+ * Rows without a URL or with a non-web URL are skipped. Otherwise the import is
+ * all-or-nothing: if a link or group fails, nothing is imported and the
+ * response lists the error.
  */
-router.post('/import', requireAuth, async (req, res) => {
+router.post('/import', requireAuth, requireWorkspaceRole('editor'), async (req, res) => {
     const db = await getDatabase();
     try {
         const userId = req.userId;
+        const workspaceId = req.workspaceId;
         const { csvData, links, format, tabinatorData } = req.body;
 
         // Handle Tabinator JSON format (full backup/restore)
@@ -626,202 +1295,163 @@ router.post('/import', requireAuth, async (req, res) => {
             let skipped = 0;
             const errors = [];
             
-            // Import config
-            if (tabinatorData.config) {
-                const warningTabs = tabinatorData.config.warning_tabs_open ?? 20;
-                const maxTabs = tabinatorData.config.max_tabs_open ?? 50;
-                await dbRun(
-                    db,
-                    `INSERT OR REPLACE INTO user_config (user_id, warning_tabs_open, max_tabs_open) VALUES (?, ?, ?)`,
-                    [userId, warningTabs, maxTabs]
-                );
-            }
-            
-            // Import groups
-            if (tabinatorData.groups && Array.isArray(tabinatorData.groups)) {
-                for (const group of tabinatorData.groups) {
-                    try {
-                        // Check if group exists
-                        const existingGroup = await dbGet(
+            // Everything is imported in one transaction; a group or link that fails
+            // is listed in errors and rolls the whole import back
+            try {
+                await dbTransaction(db, async () => {
+                    // Import config
+                    if (tabinatorData.config) {
+                        const warningTabs = tabinatorData.config.warning_tabs_open ?? 20;
+                        const maxTabs = tabinatorData.config.max_tabs_open ?? 50;
+                        await dbRun(
                             db,
-                            'SELECT id FROM groups WHERE user_id = ? AND name = ?',
-                            [userId, group.name]
+                            `INSERT INTO user_config (user_id, warning_tabs_open, max_tabs_open) VALUES (?, ?, ?)
+                             ON CONFLICT(user_id) DO UPDATE SET warning_tabs_open = excluded.warning_tabs_open, max_tabs_open = excluded.max_tabs_open`,
+                            [userId, warningTabs, maxTabs]
                         );
-                        
-                        let groupId;
-                        if (existingGroup) {
-                            // Update existing group
-                            await dbRun(
-                                db,
-                                'UPDATE groups SET name = ? WHERE id = ?',
-                                [group.name, existingGroup.id]
-                            );
-                            groupId = existingGroup.id;
-                            
-                            // Delete existing rules
-                            await dbRun(
-                                db,
-                                'DELETE FROM group_rules WHERE group_id = ?',
-                                [groupId]
-                            );
-                        } else {
-                            // Create new group
-                            const groupResult = await dbRun(
-                                db,
-                                'INSERT INTO groups (user_id, name) VALUES (?, ?)',
-                                [userId, group.name]
-                            );
-                            groupId = groupResult.lastID;
-                        }
-                        
-                        // Add include rules
-                        if (group.include && Array.isArray(group.include)) {
-                            for (let blockIndex = 0; blockIndex < group.include.length; blockIndex++) {
-                                const block = group.include[blockIndex];
-                                for (const matchType of ['tags', 'names', 'urls']) {
-                                    if (block[matchType] && Array.isArray(block[matchType])) {
-                                        for (const matchValue of block[matchType]) {
-                                            await dbRun(
-                                                db,
-                                                'INSERT INTO group_rules (group_id, rule_type, match_type, match_value, block_index) VALUES (?, ?, ?, ?, ?)',
-                                                [groupId, 'include', matchType, matchValue, blockIndex]
-                                            );
-                                        }
-                                    }
-                                }
-                            }
-                        }
-                        
-                        // Add exclude rules
-                        if (group.exclude && Array.isArray(group.exclude)) {
-                            for (let blockIndex = 0; blockIndex < group.exclude.length; blockIndex++) {
-                                const block = group.exclude[blockIndex];
-                                for (const matchType of ['tags', 'names', 'urls']) {
-                                    if (block[matchType] && Array.isArray(block[matchType])) {
-                                        for (const matchValue of block[matchType]) {
-                                            await dbRun(
-                                                db,
-                                                'INSERT INTO group_rules (group_id, rule_type, match_type, match_value, block_index) VALUES (?, ?, ?, ?, ?)',
-                                                [groupId, 'exclude', matchType, matchValue, blockIndex]
-                                            );
-                                        }
-                                    }
-                                }
-                            }
-                        }
-                    } catch (error) {
-                        errors.push(`Group "${group.name}": ${error.message}`);
-                        skipped++;
                     }
-                }
-            }
             
-            // Import links (same logic as regular import)
-            if (tabinatorData.links && Array.isArray(tabinatorData.links)) {
-                for (let i = 0; i < tabinatorData.links.length; i++) {
-                    try {
-                        const link = tabinatorData.links[i];
-                        const name = (link.name || '').trim() || 'Untitled';
-                        const url = (link.url || '').trim();
-                        const tags = Array.isArray(link.tags) ? link.tags : 
-                                    (typeof link.tags === 'string' ? link.tags.split(',').map(t => t.trim()).filter(t => t) : []);
-
-                        if (!url) {
-                            skipped++;
-                            continue;
-                        }
-                        
-                        // Validate URL
-                        try {
-                            const urlObj = new URL(url);
-                            if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
-                                skipped++;
-                                continue;
-                            }
-                        } catch (e) {
-                            skipped++;
-                            continue;
-                        }
-
-                        // Check if link exists
-                        const existing = await dbGet(
-                            db,
-                            'SELECT id FROM links WHERE user_id = ? AND url = ?',
-                            [userId, url]
+                    // Import groups in two passes: nested group references are exported by
+                    // name, so every group must exist before the rules can be saved
+                    if (tabinatorData.groups && Array.isArray(tabinatorData.groups)) {
+                        const importedGroups = [];
+                        const withoutGroupReferences = (blocks) => blocks.map(block =>
+                            block && typeof block === 'object' ? { ...block, groups: undefined } : block
                         );
 
-                        let linkId;
-                        if (existing) {
-                            // Update existing link
-                            await dbRun(
-                                db,
-                                'UPDATE links SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-                                [name, existing.id]
-                            );
-                            linkId = existing.id;
-
-                            // Remove existing tags
-                            await dbRun(
-                                db,
-                                'DELETE FROM link_tags WHERE link_id = ?',
-                                [linkId]
-                            );
-
-                            updated++;
-                        } else {
-                            // Create new link
-                            const linkResult = await dbRun(
-                                db,
-                                'INSERT INTO links (user_id, name, url) VALUES (?, ?, ?)',
-                                [userId, name, url]
-                            );
-                            linkId = linkResult.lastID;
-                            imported++;
-                        }
-
-                        // Add tags
-                        if (tags.length > 0) {
-                            for (const tagName of tags) {
-                                const sanitizedTag = tagName.trim().substring(0, 100);
-                                if (!sanitizedTag) continue;
+                        for (const group of tabinatorData.groups) {
+                            try {
+                                const include = Array.isArray(group.include) ? group.include : [];
+                                const exclude = Array.isArray(group.exclude) ? group.exclude : [];
+                                validateGroupBlocks(withoutGroupReferences(include));
+                                validateGroupBlocks(withoutGroupReferences(exclude));
 
-                                // Get or create tag
-                                let tag = await dbGet(
+                                // Check if group exists
+                                const existingGroup = await dbGet(
                                     db,
-                                    'SELECT id FROM tags WHERE user_id = ? AND name = ?',
-                                    [userId, sanitizedTag]
+                                    'SELECT id FROM groups WHERE workspace_id = ? AND name = ?',
+                                    [workspaceId, group.name]
                                 );
 
-                                if (!tag) {
-                                    const tagResult = await dbRun(
+                                let groupId;
+                                if (existingGroup) {
+                                    // Update existing group (restoring it if it was in the trash)
+                                    await dbRun(
+                                        db,
+                                        'UPDATE groups SET name = ?, deleted_at = NULL WHERE id = ?',
+                                        [group.name, existingGroup.id]
+                                    );
+                                    groupId = existingGroup.id;
+                                } else {
+                                    // Create new group
+                                    const groupResult = await dbRun(
                                         db,
-                                        'INSERT INTO tags (user_id, name) VALUES (?, ?)',
-                                        [userId, sanitizedTag]
+                                        'INSERT INTO groups (user_id, workspace_id, name, position) VALUES (?, ?, ?, ?)',
+                                        [userId, workspaceId, group.name, await nextPosition(db, 'groups', workspaceId)]
                                     );
-                                    tag = { id: tagResult.lastID };
+                                    groupId = groupResult.lastID;
                                 }
 
-                                // Link tag to link
-                                await dbRun(
-                                    db,
-                                    'INSERT OR IGNORE INTO link_tags (link_id, tag_id) VALUES (?, ?)',
-                                    [linkId, tag.id]
-                                );
+                                if (group.pinned !== undefined) {
+                                    await dbRun(db, 'UPDATE groups SET pinned = ? WHERE id = ?', [group.pinned ? 1 : 0, groupId]);
+                                }
+
+                                importedGroups.push({ groupId, name: group.name, include, exclude });
+                            } catch (error) {
+                                errors.push(`Group "${group.name}": ${error.message}`);
+                                throw error;
+                            }
+                        }
+
+                        const groupRows = await dbAll(
+                            db,
+                            'SELECT id, name FROM groups WHERE workspace_id = ? AND deleted_at IS NULL',
+                            [workspaceId]
+                        );
+                        const groupIdsByName = new Map(groupRows.map(row => [row.name, row.id]));
+                        const resolveGroupNames = (blocks) => blocks.map(block => {
+                            if (!block || !Array.isArray(block.groups)) return block;
+                            return {
+                                ...block,
+                                groups: block.groups.map(groupName => {
+                                    if (!groupIdsByName.has(groupName)) {
+                                        throw new Error(`Unknown group "${groupName}"`);
+                                    }
+                                    return groupIdsByName.get(groupName);
+                                })
+                            };
+                        });
+
+                        for (const imported of importedGroups) {
+                            try {
+                                const include = resolveGroupNames(imported.include);
+                                const exclude = resolveGroupNames(imported.exclude);
+                                validateGroupBlocks(include);
+                                validateGroupBlocks(exclude);
+
+                                const referenceError = await checkGroupReferences(db, workspaceId, imported.groupId, include, exclude);
+                                if (referenceError) {
+                                    throw new Error(referenceError);
+                                }
+
+                                // Replace the group's rules
+                                await saveGroupRules(db, imported.groupId, include, exclude);
+                            } catch (error) {
+                                errors.push(`Group "${imported.name}": ${error.message}`);
+                                throw error;
                             }
                         }
-                    } catch (error) {
-                        errors.push(`Link ${i + 1}: ${error.message}`);
-                        skipped++;
                     }
-                }
-            }
             
+                    // Import links (same logic as regular import)
+                    if (tabinatorData.links && Array.isArray(tabinatorData.links)) {
+                        for (let i = 0; i < tabinatorData.links.length; i++) {
+                            try {
+                                const link = tabinatorData.links[i];
+                                const name = (link.name || '').trim() || 'Untitled';
+                                const url = (link.url || '').trim();
+                                const tags = Array.isArray(link.tags) ? link.tags : 
+                                            (typeof link.tags === 'string' ? link.tags.split(',').map(t => t.trim()).filter(t => t) : []);
+
+                                if (!url) {
+                                    skipped++;
+                                    continue;
+                                }
+                        
+                                // Validate URL
+                                try {
+                                    const urlObj = new URL(url);
+                                    if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
+                                        skipped++;
+                                        continue;
+                                    }
+                                } catch (e) {
+                                    skipped++;
+                                    continue;
+                                }
+
+                                if (await importLink(db, req, { name, url, tags, pinned: link.pinned })) {
+                                    updated++;
+                                } else {
+                                    imported++;
+                                }
+                            } catch (error) {
+                                errors.push(`Link ${i + 1}: ${error.message}`);
+                                throw error;
+                            }
+                        }
+                    }
+                });
+            } catch (error) {
+                if (errors.length === 0) throw error;
+                return res.status(400).json({ error: 'Import failed, nothing was imported', errors });
+            }
+
             res.json({
                 message: 'Tabinator import completed',
                 imported,
                 updated,
-                skipped,
-                errors: errors.length > 0 ? errors : undefined
+                skipped
             });
             
             return;
@@ -890,204 +1520,90 @@ router.post('/import', requireAuth, async (req, res) => {
         let skipped = 0;
         const errors = [];
         
-        // Process links array (from browser bookmark formats)
-        if (links && Array.isArray(links)) {
-            for (let i = 0; i < links.length; i++) {
-                try {
-                    const link = links[i];
-                    const name = (link.name || '').trim() || 'Untitled';
-                    const url = (link.url || '').trim();
-                    const tags = Array.isArray(link.tags) ? link.tags : 
-                                (typeof link.tags === 'string' ? link.tags.split(',').map(t => t.trim()).filter(t => t) : []);
-
-                    if (!url) {
-                        skipped++;
-                        continue;
-                    }
-                    
-                    // Validate URL
-                    try {
-                        const urlObj = new URL(url);
-                        if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
-                            skipped++;
-                            continue;
-                        }
-                    } catch (e) {
-                        skipped++;
-                        continue;
-                    }
-
-                    // Check if link exists
-                    const existing = await dbGet(
-                        db,
-                        'SELECT id FROM links WHERE user_id = ? AND url = ?',
-                        [userId, url]
-                    );
-
-                    let linkId;
-                    if (existing) {
-                        // Update existing link
-                        await dbRun(
-                            db,
-                            'UPDATE links SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-                            [name, existing.id]
-                        );
-                        linkId = existing.id;
-
-                        // Remove existing tags
-                        await dbRun(
-                            db,
-                            'DELETE FROM link_tags WHERE link_id = ?',
-                            [linkId]
-                        );
-
-                        updated++;
-                    } else {
-                        // Create new link
-                        const linkResult = await dbRun(
-                            db,
-                            'INSERT INTO links (user_id, name, url) VALUES (?, ?, ?)',
-                            [userId, name, url]
-                        );
-                        linkId = linkResult.lastID;
-                        imported++;
-                    }
+        // One transaction for the whole import; a link that fails is listed in errors
+        // and rolls the whole import back
+        try {
+            await dbTransaction(db, async () => {
+                // Process links array (from browser bookmark formats)
+                if (links && Array.isArray(links)) {
+                    for (let i = 0; i < links.length; i++) {
+                        try {
+                            const link = links[i];
+                            const name = (link.name || '').trim() || 'Untitled';
+                            const url = (link.url || '').trim();
+                            const tags = Array.isArray(link.tags) ? link.tags : 
+                                        (typeof link.tags === 'string' ? link.tags.split(',').map(t => t.trim()).filter(t => t) : []);
 
-                    // Add tags
-                    if (tags.length > 0) {
-                        for (const tagName of tags) {
-                            const sanitizedTag = tagName.trim().substring(0, 100);
-                            if (!sanitizedTag) continue;
-
-                            // Get or create tag
-                            let tag = await dbGet(
-                                db,
-                                'SELECT id FROM tags WHERE user_id = ? AND name = ?',
-                                [userId, sanitizedTag]
-                            );
-
-                            if (!tag) {
-                                const tagResult = await dbRun(
-                                    db,
-                                    'INSERT INTO tags (user_id, name) VALUES (?, ?)',
-                                    [userId, sanitizedTag]
-                                );
-                                tag = { id: tagResult.lastID };
+                            if (!url) {
+                                skipped++;
+                                continue;
+                            }
+                    
+                            // Validate URL
+                            try {
+                                const urlObj = new URL(url);
+                                if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
+                                    skipped++;
+                                    continue;
+                                }
+                            } catch (e) {
+                                skipped++;
+                                continue;
                             }
 
-                            // Link tag to link
-                            await dbRun(
-                                db,
-                                'INSERT OR IGNORE INTO link_tags (link_id, tag_id) VALUES (?, ?)',
-                                [linkId, tag.id]
-                            );
+                            if (await importLink(db, req, { name, url, tags })) {
+                                updated++;
+                            } else {
+                                imported++;
+                            }
+                        } catch (error) {
+                            errors.push(`Link ${i + 1}: ${error.message}`);
+                            throw error;
                         }
                     }
-                } catch (error) {
-                    errors.push(`Link ${i + 1}: ${error.message}`);
-                    skipped++;
-                }
-            }
-        } else if (csvData) {
-            // Process CSV format (existing logic)
-            // Process each row (skip header)
-            for (let i = 1; i < lines.length; i++) {
-                try {
-                    const fields = parseCsvLine(lines[i]);
-                    if (fields.length < 2) {
-                        skipped++;
-                        continue;
-                    }
-
-                    const name = fields[nameIndex]?.trim() || 'Untitled';
-                    const url = fields[urlIndex]?.trim() || '';
-                    const tagsStr = fields[tagsIndex]?.trim() || '';
-                    const tags = tagsStr ? tagsStr.split(',').map(t => t.trim()).filter(t => t) : [];
-
-                    if (!url) {
-                        skipped++;
-                        continue;
-                    }
-
-                // Check if link exists
-                const existing = await dbGet(
-                    db,
-                    'SELECT id FROM links WHERE user_id = ? AND url = ?',
-                    [userId, url]
-                );
-
-                let linkId;
-                if (existing) {
-                    // Update existing link
-                    await dbRun(
-                        db,
-                        'UPDATE links SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-                        [name, existing.id]
-                    );
-                    linkId = existing.id;
-
-                    // Remove existing tags
-                    await dbRun(
-                        db,
-                        'DELETE FROM link_tags WHERE link_id = ?',
-                        [linkId]
-                    );
-
-                    updated++;
-                } else {
-                    // Create new link
-                    const linkResult = await dbRun(
-                        db,
-                        'INSERT INTO links (user_id, name, url) VALUES (?, ?, ?)',
-                        [userId, name, url]
-                    );
-                    linkId = linkResult.lastID;
-                    imported++;
-                }
+                } else if (csvData) {
+                    // Process CSV format (existing logic)
+                    // Process each row (skip header)
+                    for (let i = 1; i < lines.length; i++) {
+                        try {
+                            const fields = parseCsvLine(lines[i]);
+                            if (fields.length < 2) {
+                                skipped++;
+                                continue;
+                            }
 
-                // Add tags
-                if (tags.length > 0) {
-                    for (const tagName of tags) {
-                        const sanitizedTag = tagName.trim().substring(0, 100);
-                        if (!sanitizedTag) continue;
+                            const name = fields[nameIndex]?.trim() || 'Untitled';
+                            const url = fields[urlIndex]?.trim() || '';
+                            const tagsStr = fields[tagsIndex]?.trim() || '';
+                            const tags = tagsStr ? tagsStr.split(',').map(t => t.trim()).filter(t => t) : [];
 
-                        // Get or create tag
-                        let tag = await dbGet(
-                            db,
-                            'SELECT id FROM tags WHERE user_id = ? AND name = ?',
-                            [userId, sanitizedTag]
-                        );
+                            if (!url) {
+                                skipped++;
+                                continue;
+                            }
 
-                        if (!tag) {
-                            const tagResult = await dbRun(
-                                db,
-                                'INSERT INTO tags (user_id, name) VALUES (?, ?)',
-                                [userId, sanitizedTag]
-                            );
-                            tag = { id: tagResult.lastID };
+                            if (await importLink(db, req, { name, url, tags })) {
+                                updated++;
+                            } else {
+                                imported++;
+                            }
+                        } catch (error) {
+                            errors.push(`Row ${i + 1}: ${error.message}`);
+                            throw error;
                         }
-
-                        // Link tag to link
-                        await dbRun(
-                            db,
-                            'INSERT OR IGNORE INTO link_tags (link_id, tag_id) VALUES (?, ?)',
-                            [linkId, tag.id]
-                        );
                     }
                 }
-                } catch (error) {
-                    errors.push(`Row ${i + 1}: ${error.message}`);
-                    skipped++;
-                }
-            }
+            });
+        } catch (error) {
+            if (errors.length === 0) throw error;
+            return res.status(400).json({ error: 'Import failed, nothing was imported', errors });
         }
 
         res.json({
             message: 'Import completed',
             imported,
             updated,
-            skipped,
-            errors: errors.length > 0 ? errors : undefined
+            skipped
         });
     } catch (error) {
         console.error('Error importing links:', error);
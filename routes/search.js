@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const { getDatabase } = require('../database/init');
+const { requireAuth } = require('../middleware/auth');
+const { checkValidation } = require('../middleware/validation');
+const { searchLinks } = require('../lib/search');
+
+/**
+ * GET /api/search?q=
+ * Full-text search over the workspace's links, best matches first
+ * Supports "quoted phrases", tag:name, url:text and -exclusions (see lib/search.js).
+ * Optional limit (1-1000, default 50) and offset for paging.
+ */
+router.get('/', requireAuth, [
+    query('q')
+        .isString().withMessage('q is required')
+        .trim()
+        .notEmpty().withMessage('q is required')
+        .isLength({ max: 500 }).withMessage('q must be less than 500 characters'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 1000 }).withMessage('limit must be between 1 and 1000'),
+    query('offset')
+        .optional()
+        .isInt({ min: 0 }).withMessage('offset must be a non-negative integer')
+], checkValidation, async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : 50;
+        const offset = req.query.offset !== undefined ? parseInt(req.query.offset) : 0;
+
+        const results = await searchLinks(db, req.workspaceId, req.query.q, { limit, offset });
+
+        res.json({
+            query: req.query.q,
+            total: results.total,
+            limit: limit,
+            offset: offset,
+            links: results.links
+        });
+    } catch (error) {
+        console.error('Error searching links:', error);
+        res.status(500).json({ error: 'Failed to search links' });
+    } finally {
+        db.close();
+    }
+});
+
+module.exports = router;
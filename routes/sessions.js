@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const { getDatabase } = require('../database/init');
+const { requireAuth, requireSession } = require('../middleware/auth');
+const { listUserSessions, revokeUserSession, revokeOtherUserSessions } = require('../lib/sessions');
+
+/**
+ * GET /api/auth/sessions
+ * List the user's logged-in sessions; current marks the session making the request
+ */
+router.get('/', requireAuth, requireSession, async (req, res) => {
+    const db = await getDatabase();
+    try {
+        res.json(await listUserSessions(db, req.userId, req.sessionID));
+    } catch (error) {
+        console.error('Error listing sessions:', error);
+        res.status(500).json({ error: 'Failed to list sessions' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * DELETE /api/auth/sessions
+ * Log out every session except the current one
+ */
+router.delete('/', requireAuth, requireSession, async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const sessionsEnded = await revokeOtherUserSessions(db, req.userId, req.sessionID);
+        res.json({ message: 'Other sessions logged out', sessions_ended: sessionsEnded });
+    } catch (error) {
+        console.error('Error logging out other sessions:', error);
+        res.status(500).json({ error: 'Failed to log out other sessions' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Log out a session (the device using it has to log in again)
+ */
+router.delete('/:id(\\d+)', requireAuth, requireSession, async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const revoked = await revokeUserSession(db, req.userId, parseInt(req.params.id));
+
+        if (!revoked) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        res.json({ message: 'Session logged out' });
+    } catch (error) {
+        console.error('Error logging out session:', error);
+        res.status(500).json({ error: 'Failed to log out session' });
+    } finally {
+        db.close();
+    }
+});
+
+module.exports = router;
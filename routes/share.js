@@ -0,0 +1,113 @@
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcrypt');
+const { getDatabase } = require('../database/init');
+const { findShareByToken, getSharedLinks, sharePasswordFingerprint } = require('../lib/shares');
+const { getIpBlockSeconds, recordLoginAttempt } = require('../lib/loginAttempts');
+const { renderSharedGroup, renderPasswordForm, renderShareError } = require('../lib/sharePage');
+
+// The password form posts url-encoded data
+router.use(express.urlencoded({ extended: false, limit: '10kb' }));
+
+// Shared pages are not cached, so revoking or changing a share takes effect immediately
+router.use((req, res, next) => {
+    res.set('Cache-Control', 'no-store');
+    next();
+});
+
+/**
+ * Look up the share of the request's token and answer with an error page if it can't be viewed
+ * @returns {Promise<object|null>} The share, or null if a response was sent
+ */
+async function loadShare(db, req, res) {
+    const share = await findShareByToken(db, req.params.token);
+
+    if (!share) {
+        res.status(404).send(renderShareError('Link not found', 'This share link does not exist or has been revoked.'));
+        return null;
+    }
+
+    if (share.expired) {
+        res.status(410).send(renderShareError('Link expired', 'This share link has expired.'));
+        return null;
+    }
+
+    return share;
+}
+
+/**
+ * Whether the visitor has entered the share's current password in this session
+ */
+function isUnlocked(req, share) {
+    return req.session.unlockedShares?.[share.token] === sharePasswordFingerprint(share);
+}
+
+/**
+ * GET /share/:token
+ * Public read-only page of a shared group's links (no account needed)
+ */
+router.get('/:token', async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const share = await loadShare(db, req, res);
+        if (!share) return;
+
+        if (share.password_hash && !isUnlocked(req, share)) {
+            return res.send(renderPasswordForm());
+        }
+
+        const links = await getSharedLinks(db, share);
+        res.send(renderSharedGroup(share.group_name, links));
+    } catch (error) {
+        console.error('Error rendering shared group:', error);
+        res.status(500).send(renderShareError('Something went wrong', 'The shared group could not be loaded.'));
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * POST /share/:token
+ * Unlock a password-protected share for the visitor's session
+ * Wrong passwords count towards the per-IP limit of failed logins (see lib/loginAttempts.js).
+ * Body (form): password
+ */
+router.post('/:token', async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const share = await loadShare(db, req, res);
+        if (!share) return;
+
+        if (!share.password_hash) {
+            return res.redirect(303, req.originalUrl);
+        }
+
+        const ipBlockSeconds = await getIpBlockSeconds(db, req.ip);
+        if (ipBlockSeconds > 0) {
+            res.set('Retry-After', String(ipBlockSeconds));
+            return res.status(429).send(renderPasswordForm('Too many wrong passwords. Try again later.'));
+        }
+
+        const password = typeof req.body.password === 'string' ? req.body.password : '';
+        const validPassword = await bcrypt.compare(password, share.password_hash);
+
+        if (!validPassword) {
+            await recordLoginAttempt(db, req, { userId: null, success: false, reason: 'invalid_share_password' });
+            return res.status(401).send(renderPasswordForm('Incorrect password'));
+        }
+
+        req.session.unlockedShares = {
+            ...req.session.unlockedShares,
+            [share.token]: sharePasswordFingerprint(share)
+        };
+
+        res.redirect(303, req.originalUrl);
+    } catch (error) {
+        console.error('Error unlocking shared group:', error);
+        res.status(500).send(renderShareError('Something went wrong', 'The shared group could not be loaded.'));
+    } finally {
+        db.close();
+    }
+});
+
+module.exports = router;
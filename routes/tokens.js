@@ -0,0 +1,172 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const { getDatabase, dbRun, dbGet, dbAll } = require('../database/init');
+const { requireAuth, requireSession, hashToken } = require('../middleware/auth');
+const { sanitizeString } = require('../middleware/validation');
+const { body, validationResult } = require('express-validator');
+
+const TOKEN_PREFIX = 'tbn_';
+
+/**
+ * Format an api_tokens row for API responses (never includes the hash)
+ */
+function formatToken(token) {
+    return {
+        id: token.id,
+        name: token.name,
+        prefix: token.token_prefix,
+        scope: token.scope,
+        last_used_at: token.last_used_at,
+        expires_at: token.expires_at,
+        created_at: token.created_at
+    };
+}
+
+/**
+ * GET /api/tokens
+ * List the authenticated user's API tokens
+ */
+router.get('/', requireAuth, requireSession, async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const tokens = await dbAll(
+            db,
+            'SELECT id, name, token_prefix, scope, last_used_at, expires_at, created_at FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC, id DESC',
+            [req.userId]
+        );
+
+        res.json(tokens.map(formatToken));
+    } catch (error) {
+        console.error('Error fetching API tokens:', error);
+        res.status(500).json({ error: 'Failed to fetch API tokens' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * POST /api/tokens
+ * Create a new API token. The plain token is only returned in this response.
+ */
+router.post('/', requireAuth, requireSession, [
+    body('name')
+        .trim()
+        .notEmpty().withMessage('Token name is required')
+        .isLength({ max: 100 }).withMessage('Token name must be less than 100 characters')
+        .customSanitizer(sanitizeString),
+    body('scope')
+        .optional()
+        .isIn(['read', 'write']).withMessage('Scope must be "read" or "write"'),
+    body('expires_in_days')
+        .optional({ nullable: true })
+        .isInt({ min: 1, max: 3650 }).withMessage('Expiry must be between 1 and 3650 days')
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const db = await getDatabase();
+    try {
+        const userId = req.userId;
+        const { name, scope = 'read', expires_in_days } = req.body;
+
+        const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+        const tokenPrefix = token.substring(0, TOKEN_PREFIX.length + 6);
+        const expiresModifier = expires_in_days ? `+${parseInt(expires_in_days, 10)} days` : null;
+
+        const result = await dbRun(
+            db,
+            `INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scope, expires_at)
+             VALUES (?, ?, ?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', ?) END)`,
+            [userId, name, hashToken(token), tokenPrefix, scope, expiresModifier, expiresModifier]
+        );
+
+        const created = await dbGet(
+            db,
+            'SELECT id, name, token_prefix, scope, last_used_at, expires_at, created_at FROM api_tokens WHERE id = ?',
+            [result.lastID]
+        );
+
+        res.status(201).json({ ...formatToken(created), token });
+    } catch (error) {
+        console.error('Error creating API token:', error);
+        res.status(500).json({ error: 'Failed to create API token' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * PATCH /api/tokens/:id
+ * Rename an API token
+ */
+router.patch('/:id', requireAuth, requireSession, [
+    body('name')
+        .trim()
+        .notEmpty().withMessage('Token name is required')
+        .isLength({ max: 100 }).withMessage('Token name must be less than 100 characters')
+        .customSanitizer(sanitizeString)
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const db = await getDatabase();
+    try {
+        const tokenId = parseInt(req.params.id);
+
+        const result = await dbRun(
+            db,
+            'UPDATE api_tokens SET name = ? WHERE id = ? AND user_id = ?',
+            [req.body.name, tokenId, req.userId]
+        );
+
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'API token not found' });
+        }
+
+        const token = await dbGet(
+            db,
+            'SELECT id, name, token_prefix, scope, last_used_at, expires_at, created_at FROM api_tokens WHERE id = ?',
+            [tokenId]
+        );
+
+        res.json(formatToken(token));
+    } catch (error) {
+        console.error('Error renaming API token:', error);
+        res.status(500).json({ error: 'Failed to rename API token' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * DELETE /api/tokens/:id
+ * Revoke an API token
+ */
+router.delete('/:id', requireAuth, requireSession, async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const result = await dbRun(
+            db,
+            'DELETE FROM api_tokens WHERE id = ? AND user_id = ?',
+            [parseInt(req.params.id), req.userId]
+        );
+
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'API token not found' });
+        }
+
+        res.json({ message: 'API token revoked' });
+    } catch (error) {
+        console.error('Error revoking API token:', error);
+        res.status(500).json({ error: 'Failed to revoke API token' });
+    } finally {
+        db.close();
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,233 @@
+const express = require('express');
+const router = express.Router();
+const { getDatabase, dbRun, dbGet, dbAll, dbTransaction } = require('../database/init');
+const { requireAuth, requireWorkspaceRole } = require('../middleware/auth');
+const { getLinkById } = require('../lib/links');
+const { recordLinkRevision } = require('../lib/history');
+const { indexLink } = require('../lib/search');
+const { findTrashedReferences } = require('../lib/groupRules');
+const {
+    trashExpirySql,
+    purgeLinks,
+    purgeGroups
+} = require('../lib/trash');
+
+/**
+ * GET /api/trash
+ * List the links and groups in the trash of the request's workspace, with when each expires
+ * Expired items are purged by the scheduled job in server.js, not here.
+ */
+router.get('/', requireAuth, async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const workspaceId = req.workspaceId;
+
+        const links = await dbAll(
+            db,
+            `SELECT l.id, l.name, l.url, l.deleted_at, ${trashExpirySql('l')} as expires_at,
+                    GROUP_CONCAT(t.name) as tags
+             FROM links l
+             LEFT JOIN user_config c ON c.user_id = l.user_id
+             LEFT JOIN link_tags lt ON l.id = lt.link_id
+             LEFT JOIN tags t ON lt.tag_id = t.id
+             WHERE l.workspace_id = ? AND l.deleted_at IS NOT NULL
+             GROUP BY l.id
+             ORDER BY l.deleted_at DESC, l.id DESC`,
+            [workspaceId]
+        );
+
+        const groups = await dbAll(
+            db,
+            `SELECT g.id, g.name, g.deleted_at, ${trashExpirySql('g')} as expires_at
+             FROM groups g
+             LEFT JOIN user_config c ON c.user_id = g.user_id
+             WHERE g.workspace_id = ? AND g.deleted_at IS NOT NULL
+             ORDER BY g.deleted_at DESC, g.id DESC`,
+            [workspaceId]
+        );
+
+        res.json({
+            links: links.map(link => ({
+                id: link.id,
+                name: link.name,
+                url: link.url,
+                tags: link.tags ? link.tags.split(',') : [],
+                deleted_at: link.deleted_at,
+                expires_at: link.expires_at
+            })),
+            groups: groups
+        });
+    } catch (error) {
+        console.error('Error fetching trash:', error);
+        res.status(500).json({ error: 'Failed to fetch trash' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * POST /api/trash/links/:id/restore
+ * Restore a link from the trash
+ */
+router.post('/links/:id/restore', requireAuth, requireWorkspaceRole('editor'), async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const workspaceId = req.workspaceId;
+        const linkId = parseInt(req.params.id);
+
+        const restored = await dbTransaction(db, async () => {
+            const result = await dbRun(
+                db,
+                'UPDATE links SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND workspace_id = ? AND deleted_at IS NOT NULL',
+                [linkId, workspaceId]
+            );
+            if (result.changes === 0) return false;
+
+            await recordLinkRevision(db, req, linkId, 'restore');
+            await indexLink(db, linkId);
+            return true;
+        });
+
+        if (!restored) {
+            return res.status(404).json({ error: 'Link not found in trash' });
+        }
+
+        res.json(await getLinkById(db, workspaceId, linkId));
+    } catch (error) {
+        console.error('Error restoring link:', error);
+        res.status(500).json({ error: 'Failed to restore link' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * POST /api/trash/groups/:id/restore
+ * Restore a group from the trash
+ * Refused while groups it references are in the trash, since it would then match more links.
+ */
+router.post('/groups/:id/restore', requireAuth, requireWorkspaceRole('editor'), async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const trashedReferences = await findTrashedReferences(db, req.workspaceId, parseInt(req.params.id));
+        if (trashedReferences.length > 0) {
+            return res.status(409).json({
+                error: `The group's rules use ${trashedReferences.map(name => `"${name}"`).join(', ')}; restore them first`,
+                groups: trashedReferences
+            });
+        }
+
+        const result = await dbRun(
+            db,
+            'UPDATE groups SET deleted_at = NULL WHERE id = ? AND workspace_id = ? AND deleted_at IS NOT NULL',
+            [parseInt(req.params.id), req.workspaceId]
+        );
+
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Group not found in trash' });
+        }
+
+        res.json({ message: 'Group restored' });
+    } catch (error) {
+        console.error('Error restoring group:', error);
+        res.status(500).json({ error: 'Failed to restore group' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * DELETE /api/trash/links/:id
+ * Permanently delete a link that is in the trash
+ */
+router.delete('/links/:id', requireAuth, requireWorkspaceRole('editor'), async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const link = await dbGet(
+            db,
+            'SELECT id FROM links WHERE id = ? AND workspace_id = ? AND deleted_at IS NOT NULL',
+            [parseInt(req.params.id), req.workspaceId]
+        );
+
+        if (!link) {
+            return res.status(404).json({ error: 'Link not found in trash' });
+        }
+
+        await purgeLinks(db, [link.id]);
+
+        res.json({ message: 'Link permanently deleted' });
+    } catch (error) {
+        console.error('Error purging link:', error);
+        res.status(500).json({ error: 'Failed to delete link' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * DELETE /api/trash/groups/:id
+ * Permanently delete a group that is in the trash
+ */
+router.delete('/groups/:id', requireAuth, requireWorkspaceRole('editor'), async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const group = await dbGet(
+            db,
+            'SELECT id FROM groups WHERE id = ? AND workspace_id = ? AND deleted_at IS NOT NULL',
+            [parseInt(req.params.id), req.workspaceId]
+        );
+
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found in trash' });
+        }
+
+        await purgeGroups(db, [group.id]);
+
+        res.json({ message: 'Group permanently deleted' });
+    } catch (error) {
+        console.error('Error purging group:', error);
+        res.status(500).json({ error: 'Failed to delete group' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * DELETE /api/trash
+ * Empty the trash: permanently delete all trashed links and groups
+ */
+router.delete('/', requireAuth, requireWorkspaceRole('editor'), async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const workspaceId = req.workspaceId;
+
+        const links = await dbAll(
+            db,
+            'SELECT id FROM links WHERE workspace_id = ? AND deleted_at IS NOT NULL',
+            [workspaceId]
+        );
+        const groups = await dbAll(
+            db,
+            'SELECT id FROM groups WHERE workspace_id = ? AND deleted_at IS NOT NULL',
+            [workspaceId]
+        );
+
+        const { deletedLinks, deletedGroups } = await dbTransaction(db, async () => ({
+            deletedLinks: await purgeLinks(db, links.map(link => link.id)),
+            deletedGroups: await purgeGroups(db, groups.map(group => group.id))
+        }));
+
+        res.json({
+            message: 'Trash emptied',
+            links: deletedLinks,
+            groups: deletedGroups
+        });
+    } catch (error) {
+        console.error('Error emptying trash:', error);
+        res.status(500).json({ error: 'Failed to empty trash' });
+    } finally {
+        db.close();
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,192 @@
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcrypt');
+const QRCode = require('qrcode');
+const { getDatabase, dbGet } = require('../database/init');
+const { requireAuth, requireSession } = require('../middleware/auth');
+const { generateSecret, verifyCode, getOtpauthUrl } = require('../lib/totp');
+const {
+    generateRecoveryCodes,
+    countRecoveryCodes,
+    enableTwoFactor,
+    disableTwoFactor
+} = require('../lib/twoFactor');
+const { body, validationResult } = require('express-validator');
+
+const passwordValidation = [
+    body('password')
+        .isString().notEmpty().withMessage('Password is required')
+];
+
+/**
+ * Check the password a user typed to confirm a change
+ * @returns {Promise<boolean>}
+ */
+async function checkPassword(db, userId, password) {
+    const user = await dbGet(db, 'SELECT password_hash FROM users WHERE id = ?', [userId]);
+    return !!user && bcrypt.compare(password, user.password_hash);
+}
+
+/**
+ * GET /api/auth/2fa
+ * Whether two-factor authentication is on, and how many recovery codes are left
+ */
+router.get('/', requireAuth, requireSession, async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const user = await dbGet(db, 'SELECT totp_enabled_at FROM users WHERE id = ?', [req.userId]);
+
+        res.json({
+            enabled: !!user.totp_enabled_at,
+            enabled_at: user.totp_enabled_at,
+            recovery_codes_remaining: user.totp_enabled_at ? await countRecoveryCodes(db, req.userId) : 0
+        });
+    } catch (error) {
+        console.error('Error fetching two-factor status:', error);
+        res.status(500).json({ error: 'Failed to fetch two-factor status' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start turning on two-factor authentication: creates a secret for the authenticator app
+ * The secret is kept in the session until POST /enable confirms a code from the app.
+ */
+router.post('/setup', requireAuth, requireSession, async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const user = await dbGet(db, 'SELECT username, totp_enabled_at FROM users WHERE id = ?', [req.userId]);
+
+        if (user.totp_enabled_at) {
+            return res.status(400).json({ error: 'Two-factor authentication is already on' });
+        }
+
+        const secret = generateSecret();
+        const otpauthUrl = getOtpauthUrl(secret, user.username);
+        req.session.pendingTotpSecret = secret;
+
+        res.json({
+            secret,
+            otpauth_url: otpauthUrl,
+            qr_code: await QRCode.toDataURL(otpauthUrl)
+        });
+    } catch (error) {
+        console.error('Error starting two-factor setup:', error);
+        res.status(500).json({ error: 'Failed to start two-factor setup' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Turn on two-factor authentication with a code from the app set up in POST /setup
+ * Body: { code }
+ * Returns the recovery codes; they are only shown this once.
+ */
+router.post('/enable', requireAuth, requireSession, [
+    body('code')
+        .isString().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const secret = req.session.pendingTotpSecret;
+    if (!secret) {
+        return res.status(400).json({ error: 'Start the two-factor setup first' });
+    }
+
+    const db = await getDatabase();
+    try {
+        const step = verifyCode(secret, req.body.code);
+        if (step === null) {
+            return res.status(400).json({ error: 'Invalid authentication code. Check that the clock of your device is right.' });
+        }
+
+        await enableTwoFactor(db, req.userId, secret, step);
+        const recoveryCodes = await generateRecoveryCodes(db, req.userId);
+        delete req.session.pendingTotpSecret;
+
+        res.json({
+            message: 'Two-factor authentication is on',
+            recovery_codes: recoveryCodes
+        });
+    } catch (error) {
+        console.error('Error enabling two-factor authentication:', error);
+        res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace the recovery codes with new ones (the old ones stop working)
+ * Body: { password }
+ */
+router.post('/recovery-codes', requireAuth, requireSession, passwordValidation, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const db = await getDatabase();
+    try {
+        const user = await dbGet(db, 'SELECT totp_enabled_at FROM users WHERE id = ?', [req.userId]);
+
+        if (!user.totp_enabled_at) {
+            return res.status(400).json({ error: 'Two-factor authentication is off' });
+        }
+
+        if (!await checkPassword(db, req.userId, req.body.password)) {
+            return res.status(401).json({ error: 'Password is incorrect' });
+        }
+
+        res.json({ recovery_codes: await generateRecoveryCodes(db, req.userId) });
+    } catch (error) {
+        console.error('Error regenerating recovery codes:', error);
+        res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn off two-factor authentication
+ * Body: { password }
+ */
+router.post('/disable', requireAuth, requireSession, passwordValidation, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const db = await getDatabase();
+    try {
+        const user = await dbGet(db, 'SELECT totp_enabled_at FROM users WHERE id = ?', [req.userId]);
+
+        if (!user.totp_enabled_at) {
+            return res.status(400).json({ error: 'Two-factor authentication is off' });
+        }
+
+        if (!await checkPassword(db, req.userId, req.body.password)) {
+            return res.status(401).json({ error: 'Password is incorrect' });
+        }
+
+        await disableTwoFactor(db, req.userId);
+
+        res.json({ message: 'Two-factor authentication is off' });
+    } catch (error) {
+        console.error('Error disabling two-factor authentication:', error);
+        res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+    } finally {
+        db.close();
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,480 @@
+const express = require('express');
+const router = express.Router();
+const { getDatabase, dbRun, dbGet, dbAll, dbTransaction } = require('../database/init');
+const { requireAuth, requireSession } = require('../middleware/auth');
+const { sanitizeString } = require('../middleware/validation');
+const {
+    WORKSPACE_ROLES,
+    getMembership,
+    listUserWorkspaces,
+    countOwners,
+    deleteWorkspace
+} = require('../lib/workspaces');
+const { body, validationResult } = require('express-validator');
+
+const workspaceNameValidation = [
+    body('name')
+        .trim()
+        .notEmpty().withMessage('Workspace name is required')
+        .isLength({ max: 100 }).withMessage('Workspace name must be less than 100 characters')
+        .customSanitizer(sanitizeString)
+];
+
+const roleValidation = body('role')
+    .isIn(WORKSPACE_ROLES).withMessage(`Role must be one of: ${WORKSPACE_ROLES.join(', ')}`);
+
+/**
+ * Load the workspace of the :id parameter as seen by the user, and check their role in it
+ * Sends the error response and returns null if the user isn't a member or lacks the role.
+ */
+async function loadWorkspace(db, req, res, requiredRole) {
+    const workspace = await getMembership(db, req.userId, parseInt(req.params.id));
+    if (!workspace) {
+        res.status(404).json({ error: 'Workspace not found' });
+        return null;
+    }
+    if (requiredRole === 'owner' && workspace.role !== 'owner') {
+        res.status(403).json({ error: 'Only owners can manage this workspace' });
+        return null;
+    }
+    return workspace;
+}
+
+/**
+ * GET /api/workspaces
+ * List the workspaces the authenticated user is a member of, personal workspace first
+ */
+router.get('/', requireAuth, async (req, res) => {
+    const db = await getDatabase();
+    try {
+        res.json(await listUserWorkspaces(db, req.userId));
+    } catch (error) {
+        console.error('Error fetching workspaces:', error);
+        res.status(500).json({ error: 'Failed to fetch workspaces' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * POST /api/workspaces
+ * Create a team workspace, with the authenticated user as its owner
+ * Body: { name }
+ */
+router.post('/', requireAuth, requireSession, workspaceNameValidation, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const db = await getDatabase();
+    try {
+        const workspaceId = await dbTransaction(db, async () => {
+            const result = await dbRun(
+                db,
+                'INSERT INTO workspaces (name, personal, created_by) VALUES (?, 0, ?)',
+                [req.body.name, req.userId]
+            );
+            await dbRun(
+                db,
+                "INSERT INTO workspace_members (workspace_id, user_id, role) VALUES (?, ?, 'owner')",
+                [result.lastID, req.userId]
+            );
+            return result.lastID;
+        });
+
+        res.status(201).json(await getMembership(db, req.userId, workspaceId));
+    } catch (error) {
+        console.error('Error creating workspace:', error);
+        res.status(500).json({ error: 'Failed to create workspace' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * GET /api/workspaces/invitations
+ * List the pending invitations of the authenticated user
+ */
+router.get('/invitations', requireAuth, async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const invitations = await dbAll(
+            db,
+            `SELECT i.id, i.workspace_id, w.name AS workspace_name, i.role, u.username AS invited_by, i.created_at
+             FROM workspace_invitations i
+             JOIN workspaces w ON w.id = i.workspace_id
+             LEFT JOIN users u ON u.id = i.invited_by
+             WHERE i.user_id = ?
+             ORDER BY i.created_at DESC, i.id DESC`,
+            [req.userId]
+        );
+
+        res.json(invitations);
+    } catch (error) {
+        console.error('Error fetching invitations:', error);
+        res.status(500).json({ error: 'Failed to fetch invitations' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * POST /api/workspaces/invitations/:invitationId/accept
+ * Accept an invitation and join its workspace with the offered role
+ */
+router.post('/invitations/:invitationId(\\d+)/accept', requireAuth, requireSession, async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const invitation = await dbGet(
+            db,
+            'SELECT id, workspace_id, role FROM workspace_invitations WHERE id = ? AND user_id = ?',
+            [parseInt(req.params.invitationId), req.userId]
+        );
+
+        if (!invitation) {
+            return res.status(404).json({ error: 'Invitation not found' });
+        }
+
+        await dbTransaction(db, async () => {
+            await dbRun(
+                db,
+                'INSERT OR IGNORE INTO workspace_members (workspace_id, user_id, role) VALUES (?, ?, ?)',
+                [invitation.workspace_id, req.userId, invitation.role]
+            );
+            await dbRun(db, 'DELETE FROM workspace_invitations WHERE id = ?', [invitation.id]);
+        });
+
+        res.json(await getMembership(db, req.userId, invitation.workspace_id));
+    } catch (error) {
+        console.error('Error accepting invitation:', error);
+        res.status(500).json({ error: 'Failed to accept invitation' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * DELETE /api/workspaces/invitations/:invitationId
+ * Decline an invitation
+ */
+router.delete('/invitations/:invitationId(\\d+)', requireAuth, requireSession, async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const result = await dbRun(
+            db,
+            'DELETE FROM workspace_invitations WHERE id = ? AND user_id = ?',
+            [parseInt(req.params.invitationId), req.userId]
+        );
+
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Invitation not found' });
+        }
+
+        res.json({ message: 'Invitation declined' });
+    } catch (error) {
+        console.error('Error declining invitation:', error);
+        res.status(500).json({ error: 'Failed to decline invitation' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * PUT /api/workspaces/:id
+ * Rename a workspace (owners only)
+ * Body: { name }
+ */
+router.put('/:id(\\d+)', requireAuth, requireSession, workspaceNameValidation, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const db = await getDatabase();
+    try {
+        const workspace = await loadWorkspace(db, req, res, 'owner');
+        if (!workspace) return;
+
+        await dbRun(
+            db,
+            'UPDATE workspaces SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [req.body.name, workspace.id]
+        );
+
+        res.json(await getMembership(db, req.userId, workspace.id));
+    } catch (error) {
+        console.error('Error renaming workspace:', error);
+        res.status(500).json({ error: 'Failed to rename workspace' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * DELETE /api/workspaces/:id
+ * Permanently delete a team workspace with all its links and groups (owners only)
+ */
+router.delete('/:id(\\d+)', requireAuth, requireSession, async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const workspace = await loadWorkspace(db, req, res, 'owner');
+        if (!workspace) return;
+
+        if (workspace.personal) {
+            return res.status(400).json({ error: 'Your personal workspace cannot be deleted' });
+        }
+
+        await deleteWorkspace(db, workspace.id);
+
+        res.json({ message: 'Workspace deleted' });
+    } catch (error) {
+        console.error('Error deleting workspace:', error);
+        res.status(500).json({ error: 'Failed to delete workspace' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * GET /api/workspaces/:id/members
+ * List the members and pending invitations of a workspace
+ */
+router.get('/:id(\\d+)/members', requireAuth, async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const workspace = await loadWorkspace(db, req, res);
+        if (!workspace) return;
+
+        const members = await dbAll(
+            db,
+            `SELECT u.id AS user_id, u.username, u.email, m.role, m.created_at
+             FROM workspace_members m
+             JOIN users u ON u.id = m.user_id
+             WHERE m.workspace_id = ?
+             ORDER BY u.username COLLATE NOCASE`,
+            [workspace.id]
+        );
+        const invitations = await dbAll(
+            db,
+            `SELECT i.id, u.id AS user_id, u.username, i.role, i.created_at
+             FROM workspace_invitations i
+             JOIN users u ON u.id = i.user_id
+             WHERE i.workspace_id = ?
+             ORDER BY i.created_at DESC, i.id DESC`,
+            [workspace.id]
+        );
+
+        // Only owners get to see the members' email addresses
+        res.json({
+            workspace,
+            members: members.map(member => ({
+                ...member,
+                email: workspace.role === 'owner' ? member.email : undefined
+            })),
+            invitations
+        });
+    } catch (error) {
+        console.error('Error fetching workspace members:', error);
+        res.status(500).json({ error: 'Failed to fetch workspace members' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * PUT /api/workspaces/:id/members/:userId
+ * Change the role of a member (owners only; a workspace keeps at least one owner)
+ * Body: { role: 'owner'|'editor'|'viewer' }
+ */
+router.put('/:id(\\d+)/members/:userId(\\d+)', requireAuth, requireSession, [roleValidation], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const db = await getDatabase();
+    try {
+        const workspace = await loadWorkspace(db, req, res, 'owner');
+        if (!workspace) return;
+
+        const memberId = parseInt(req.params.userId);
+        const member = await dbGet(
+            db,
+            'SELECT role FROM workspace_members WHERE workspace_id = ? AND user_id = ?',
+            [workspace.id, memberId]
+        );
+
+        if (!member) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+
+        if (member.role === 'owner' && req.body.role !== 'owner' && await countOwners(db, workspace.id) === 1) {
+            return res.status(400).json({ error: 'A workspace must keep at least one owner' });
+        }
+
+        await dbRun(
+            db,
+            'UPDATE workspace_members SET role = ? WHERE workspace_id = ? AND user_id = ?',
+            [req.body.role, workspace.id, memberId]
+        );
+
+        res.json({ user_id: memberId, role: req.body.role });
+    } catch (error) {
+        console.error('Error changing member role:', error);
+        res.status(500).json({ error: 'Failed to change member role' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * DELETE /api/workspaces/:id/members/:userId
+ * Remove a member from a workspace (owners), or leave it (any member, with their own user ID)
+ */
+router.delete('/:id(\\d+)/members/:userId(\\d+)', requireAuth, requireSession, async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const memberId = parseInt(req.params.userId);
+        const leaving = memberId === req.userId;
+
+        const workspace = await loadWorkspace(db, req, res, leaving ? undefined : 'owner');
+        if (!workspace) return;
+
+        if (workspace.personal) {
+            return res.status(400).json({ error: 'Members cannot be removed from a personal workspace' });
+        }
+
+        const member = await dbGet(
+            db,
+            'SELECT role FROM workspace_members WHERE workspace_id = ? AND user_id = ?',
+            [workspace.id, memberId]
+        );
+
+        if (!member) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+
+        if (member.role === 'owner' && await countOwners(db, workspace.id) === 1) {
+            return res.status(400).json({ error: 'A workspace must keep at least one owner' });
+        }
+
+        await dbRun(
+            db,
+            'DELETE FROM workspace_members WHERE workspace_id = ? AND user_id = ?',
+            [workspace.id, memberId]
+        );
+
+        res.json({ message: leaving ? 'You left the workspace' : 'Member removed' });
+    } catch (error) {
+        console.error('Error removing member:', error);
+        res.status(500).json({ error: 'Failed to remove member' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * POST /api/workspaces/:id/invitations
+ * Invite a user to a team workspace by username or email (owners only)
+ * Body: { user, role? } (role defaults to editor)
+ */
+router.post('/:id(\\d+)/invitations', requireAuth, requireSession, [
+    body('user')
+        .trim()
+        .notEmpty().withMessage('Username or email is required'),
+    roleValidation.optional()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const db = await getDatabase();
+    try {
+        const workspace = await loadWorkspace(db, req, res, 'owner');
+        if (!workspace) return;
+
+        if (workspace.personal) {
+            return res.status(400).json({ error: 'A personal workspace cannot be shared' });
+        }
+
+        const invitee = await dbGet(
+            db,
+            'SELECT id, username FROM users WHERE username = ? OR email = ?',
+            [req.body.user, req.body.user]
+        );
+
+        if (!invitee) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const existingMember = await dbGet(
+            db,
+            'SELECT user_id FROM workspace_members WHERE workspace_id = ? AND user_id = ?',
+            [workspace.id, invitee.id]
+        );
+        if (existingMember) {
+            return res.status(409).json({ error: 'This user is already a member' });
+        }
+
+        const existingInvitation = await dbGet(
+            db,
+            'SELECT id FROM workspace_invitations WHERE workspace_id = ? AND user_id = ?',
+            [workspace.id, invitee.id]
+        );
+        if (existingInvitation) {
+            return res.status(409).json({ error: 'This user has already been invited' });
+        }
+
+        const role = req.body.role || 'editor';
+        const result = await dbRun(
+            db,
+            'INSERT INTO workspace_invitations (workspace_id, user_id, role, invited_by) VALUES (?, ?, ?, ?)',
+            [workspace.id, invitee.id, role, req.userId]
+        );
+
+        res.status(201).json({
+            id: result.lastID,
+            user_id: invitee.id,
+            username: invitee.username,
+            role
+        });
+    } catch (error) {
+        console.error('Error inviting user:', error);
+        res.status(500).json({ error: 'Failed to invite user' });
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * DELETE /api/workspaces/:id/invitations/:invitationId
+ * Withdraw a pending invitation (owners only)
+ */
+router.delete('/:id(\\d+)/invitations/:invitationId(\\d+)', requireAuth, requireSession, async (req, res) => {
+    const db = await getDatabase();
+    try {
+        const workspace = await loadWorkspace(db, req, res, 'owner');
+        if (!workspace) return;
+
+        const result = await dbRun(
+            db,
+            'DELETE FROM workspace_invitations WHERE id = ? AND workspace_id = ?',
+            [parseInt(req.params.invitationId), workspace.id]
+        );
+
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Invitation not found' });
+        }
+
+        res.json({ message: 'Invitation withdrawn' });
+    } catch (error) {
+        console.error('Error withdrawing invitation:', error);
+        res.status(500).json({ error: 'Failed to withdraw invitation' });
+    } finally {
+        db.close();
+    }
+});
+
+module.exports = router;
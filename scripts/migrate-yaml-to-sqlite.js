@@ -3,6 +3,7 @@ const path = require('path');
 const jsyaml = require('js-yaml');
 const bcrypt = require('bcrypt');
 const { initDatabase, dbRun, dbGet, dbAll } = require('../database/init');
+const { createPersonalWorkspace, getMembership } = require('../lib/workspaces');
 
 const YAML_FILE_PATH = path.join(__dirname, '..', 'app', 'links.yaml');
 
@@ -36,7 +37,7 @@ async function migrate() {
         
         const userResult = await dbRun(
             db,
-            'INSERT OR IGNORE INTO users (username, email, password_hash) VALUES (?, ?, ?)',
+            'INSERT OR IGNORE INTO users (username, email, password_hash, is_admin) VALUES (?, ?, ?, 1)',
             [defaultUsername, `${defaultUsername}@tabinator.local`, passwordHash]
         );
 
@@ -51,6 +52,10 @@ async function migrate() {
 
         console.log(`Using user ID: ${userId}`);
 
+        // Links, tags and groups go into the user's personal workspace
+        const workspace = await getMembership(db, userId);
+        const workspaceId = workspace ? workspace.id : await createPersonalWorkspace(db, userId);
+
         // Migrate config
         if (data.config && data.config.max_tabs_open) {
             await dbRun(
@@ -71,8 +76,8 @@ async function migrate() {
                 // Insert link
                 const linkResult = await dbRun(
                     db,
-                    'INSERT INTO links (user_id, name, url) VALUES (?, ?, ?)',
-                    [userId, link.name || 'Untitled', link.url || '']
+                    'INSERT INTO links (user_id, workspace_id, name, url) VALUES (?, ?, ?, ?)',
+                    [userId, workspaceId, link.name || 'Untitled', link.url || '']
                 );
                 
                 const linkId = linkResult.lastID;
@@ -83,15 +88,15 @@ async function migrate() {
                         // Get or create tag
                         let tag = await dbGet(
                             db,
-                            'SELECT id FROM tags WHERE user_id = ? AND name = ?',
-                            [userId, tagName]
+                            'SELECT id FROM tags WHERE workspace_id = ? AND name = ?',
+                            [workspaceId, tagName]
                         );
 
                         if (!tag) {
                             const tagResult = await dbRun(
                                 db,
-                                'INSERT INTO tags (user_id, name) VALUES (?, ?)',
-                                [userId, tagName]
+                                'INSERT INTO tags (workspace_id, name) VALUES (?, ?)',
+                                [workspaceId, tagName]
                             );
                             tag = { id: tagResult.lastID };
                         }
@@ -118,8 +123,8 @@ async function migrate() {
                 // Insert group
                 const groupResult = await dbRun(
                     db,
-                    'INSERT INTO groups (user_id, name) VALUES (?, ?)',
-                    [userId, group.name]
+                    'INSERT INTO groups (user_id, workspace_id, name) VALUES (?, ?, ?)',
+                    [userId, workspaceId, group.name]
                 );
                 const groupId = groupResult.lastID;
 
@@ -211,11 +216,14 @@ async function createDefaultUser(db) {
     const defaultPassword = 'admin';
     const passwordHash = await bcrypt.hash(defaultPassword, 10);
     
-    await dbRun(
+    const result = await dbRun(
         db,
-        'INSERT OR IGNORE INTO users (username, email, password_hash) VALUES (?, ?, ?)',
+        'INSERT OR IGNORE INTO users (username, email, password_hash, is_admin) VALUES (?, ?, ?, 1)',
         [defaultUsername, `${defaultUsername}@tabinator.local`, passwordHash]
     );
+    if (result.changes > 0) {
+        await createPersonalWorkspace(db, result.lastID);
+    }
     
     console.log(`\nDefault user created:`);
     console.log(`  Username: ${defaultUsername}`);
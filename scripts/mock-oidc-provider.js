@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const express = require('express');
+
+/**
+ * Mock OpenID Connect provider, for trying out and testing single sign-on locally
+ *
+ * Its login page lets you pick any username and email address, without a password.
+ * Never expose it to anyone else. Start it, then Tabinator with the settings it prints:
+ *
+ *   npm run mock-oidc
+ *   APP_URL=http://localhost:8080 OIDC_ISSUER=http://localhost:9090 OIDC_CLIENT_ID=tabinator OIDC_CLIENT_SECRET=tabinator-secret npm start
+ *
+ * Settings come from the environment:
+ * - MOCK_OIDC_PORT: port to listen on (default 9090)
+ * - MOCK_OIDC_ISSUER: its address as Tabinator reaches it (default http://localhost:<port>)
+ * - MOCK_OIDC_CLIENT_ID, MOCK_OIDC_CLIENT_SECRET: the client it accepts (default
+ *   tabinator / tabinator-secret; an empty secret makes it a public client)
+ * - MOCK_OIDC_AUTO_LOGIN: "true" to skip the login page and log in as the defaults below
+ * - MOCK_OIDC_USERNAME, MOCK_OIDC_EMAIL: defaults of the login page (alice, alice@example.com)
+ */
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT, 10) || 9090;
+const ISSUER = (process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`).replace(/\/+$/, '');
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'tabinator';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET ?? 'tabinator-secret';
+const AUTO_LOGIN = process.env.MOCK_OIDC_AUTO_LOGIN === 'true';
+const DEFAULT_USERNAME = process.env.MOCK_OIDC_USERNAME || 'alice';
+const DEFAULT_EMAIL = process.env.MOCK_OIDC_EMAIL || 'alice@example.com';
+
+const CODE_LIFETIME_MS = 60 * 1000;
+const TOKEN_LIFETIME_SECONDS = 5 * 60;
+
+// A new signing key on every start: Tabinator fetches it from /jwks
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+const codes = new Map(); // authorization code -> login waiting to be traded for tokens
+const accessTokens = new Map(); // access token -> claims for /userinfo
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+/**
+ * Escape text for the login page
+ */
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/**
+ * Sign an ID token with the provider's key (RS256)
+ */
+function signIdToken(claims) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const signedData = `${encode({ alg: 'RS256', typ: 'JWT', kid: KEY_ID })}.${encode(claims)}`;
+    const signature = crypto.sign('sha256', Buffer.from(signedData), privateKey).toString('base64url');
+    return `${signedData}.${signature}`;
+}
+
+/**
+ * Send the browser back to the client with the outcome of the login
+ */
+function redirectToClient(res, redirectUri, params) {
+    const url = new URL(redirectUri);
+    for (const [name, value] of Object.entries(params)) {
+        if (value !== undefined) url.searchParams.set(name, value);
+    }
+    res.redirect(url.href);
+}
+
+/**
+ * Check an authorization request, answering with an error page if it's invalid
+ * @returns {boolean} Whether the request can go on
+ */
+function checkAuthorizationRequest(params, res) {
+    if (params.client_id !== CLIENT_ID || !params.redirect_uri) {
+        res.status(400).send('Unknown client_id or missing redirect_uri');
+        return false;
+    }
+    if (params.response_type !== 'code' || params.code_challenge_method !== 'S256' || !params.code_challenge) {
+        redirectToClient(res, params.redirect_uri, {
+            error: 'invalid_request',
+            error_description: 'Only the code flow with an S256 PKCE challenge is supported',
+            state: params.state
+        });
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Issue an authorization code for a login and send the browser back with it
+ */
+function completeLogin(res, params, user) {
+    const code = crypto.randomBytes(24).toString('base64url');
+    codes.set(code, {
+        redirectUri: params.redirect_uri,
+        codeChallenge: params.code_challenge,
+        nonce: params.nonce,
+        scope: params.scope || '',
+        user,
+        expiresAt: Date.now() + CODE_LIFETIME_MS
+    });
+    redirectToClient(res, params.redirect_uri, { code, state: params.state });
+}
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        userinfo_endpoint: `${ISSUER}/userinfo`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256'],
+        token_endpoint_auth_methods_supported: CLIENT_SECRET ? ['client_secret_basic', 'client_secret_post'] : ['none'],
+        scopes_supported: ['openid', 'email', 'profile']
+    });
+});
+
+app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, alg: 'RS256', use: 'sig' }] });
+});
+
+/**
+ * Login page: pick who to log in as
+ */
+app.get('/authorize', (req, res) => {
+    if (!checkAuthorizationRequest(req.query, res)) return;
+
+    if (AUTO_LOGIN) {
+        return completeLogin(res, req.query, { username: DEFAULT_USERNAME, email: DEFAULT_EMAIL, emailVerified: true });
+    }
+
+    const hiddenFields = ['client_id', 'redirect_uri', 'response_type', 'scope', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+        .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+        .join('\n');
+
+    res.send(`<!DOCTYPE html>
+<html><head><title>Mock identity provider</title></head>
+<body style="font-family: sans-serif; max-width: 24rem; margin: 4rem auto">
+<h1>Mock identity provider</h1>
+<p>Log in to ${escapeHtml(req.query.client_id)} as:</p>
+<form method="post" action="/authorize">
+${hiddenFields}
+<p><label>Username<br><input name="username" value="${escapeHtml(DEFAULT_USERNAME)}" required></label></p>
+<p><label>Email<br><input name="email" type="email" value="${escapeHtml(DEFAULT_EMAIL)}"></label></p>
+<p><label><input type="checkbox" name="email_verified" value="true" checked> Email address is verified</label></p>
+<p><button type="submit" name="action" value="login">Log in</button>
+<button type="submit" name="action" value="deny">Deny</button></p>
+</form>
+</body></html>`);
+});
+
+app.post('/authorize', (req, res) => {
+    if (!checkAuthorizationRequest(req.body, res)) return;
+
+    if (req.body.action === 'deny') {
+        return redirectToClient(res, req.body.redirect_uri, { error: 'access_denied', state: req.body.state });
+    }
+
+    completeLogin(res, req.body, {
+        username: req.body.username || DEFAULT_USERNAME,
+        email: req.body.email || undefined,
+        emailVerified: req.body.email_verified === 'true'
+    });
+});
+
+app.post('/token', (req, res) => {
+    // Client authentication: HTTP Basic or client_secret in the body (public clients send just client_id)
+    let clientId = req.body.client_id;
+    let clientSecret = req.body.client_secret || '';
+    const basic = /^Basic (.+)$/.exec(req.get('authorization') || '');
+    if (basic) {
+        const [id, secret] = Buffer.from(basic[1], 'base64').toString('utf8').split(':');
+        clientId = decodeURIComponent(id);
+        clientSecret = decodeURIComponent(secret || '');
+    }
+    if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+        return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const login = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    if (req.body.grant_type !== 'authorization_code' || !login || login.expiresAt < Date.now()) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'Unknown or expired code' });
+    }
+    if (req.body.redirect_uri !== login.redirectUri) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'redirect_uri does not match' });
+    }
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+    if (challenge !== login.codeChallenge) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const claims = {
+        sub: `mock-${login.user.username}`,
+        preferred_username: login.user.username,
+        name: login.user.username,
+        email: login.user.email,
+        email_verified: login.user.emailVerified
+    };
+    const accessToken = crypto.randomBytes(24).toString('base64url');
+    accessTokens.set(accessToken, claims);
+
+    // The ID token only has the email address with the email scope, so without it
+    // (OIDC_SCOPES="openid profile") clients have to ask /userinfo
+    const idTokenClaims = { ...claims };
+    if (!login.scope.split(' ').includes('email')) {
+        delete idTokenClaims.email;
+        delete idTokenClaims.email_verified;
+    }
+
+    res.json({
+        access_token: accessToken,
+        token_type: 'Bearer',
+        expires_in: TOKEN_LIFETIME_SECONDS,
+        id_token: signIdToken({
+            iss: ISSUER,
+            aud: CLIENT_ID,
+            iat: now,
+            exp: now + TOKEN_LIFETIME_SECONDS,
+            nonce: login.nonce,
+            ...idTokenClaims
+        })
+    });
+});
+
+app.get('/userinfo', (req, res) => {
+    const match = /^Bearer (.+)$/.exec(req.get('authorization') || '');
+    const claims = match && accessTokens.get(match[1]);
+    if (!claims) {
+        return res.status(401).json({ error: 'invalid_token' });
+    }
+    res.json(claims);
+});
+
+app.listen(PORT, () => {
+    console.log(`Mock OpenID Connect provider at ${ISSUER}`);
+    console.log(`Start Tabinator with OIDC_ISSUER=${ISSUER} OIDC_CLIENT_ID=${CLIENT_ID}${CLIENT_SECRET ? ` OIDC_CLIENT_SECRET=${CLIENT_SECRET}` : ''}`);
+});
@@ -3,14 +3,32 @@ const path = require('path');
 const cors = require('cors');
 const session = require('express-session');
 const SQLiteStore = require('connect-sqlite3')(session);
-const { initDatabase } = require('./database/init');
+const { initDatabase, getDatabase } = require('./database/init');
+const { purgeExpiredTrash } = require('./lib/trash');
+const { purgeLoginAttempts } = require('./lib/loginAttempts');
+const { SESSION_MAX_AGE, purgeUserSessions } = require('./lib/sessions');
+const { runScheduledLinkChecks } = require('./lib/linkChecker');
+const { rebuildSearchIndex } = require('./lib/search');
+const { APP_URL, MAIL_TRANSPORT } = require('./lib/mailer');
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const sessionsRoutes = require('./routes/sessions');
 const linksRoutes = require('./routes/links');
 const groupsRoutes = require('./routes/groups');
+const tokensRoutes = require('./routes/tokens');
+const trashRoutes = require('./routes/trash');
+const searchRoutes = require('./routes/search');
+const workspacesRoutes = require('./routes/workspaces');
+const shareRoutes = require('./routes/share');
+const adminRoutes = require('./routes/admin');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 const HTML_FILE_PATH = path.join(__dirname, 'app', 'index.html');
+const TRASH_PURGE_INTERVAL = 60 * 60 * 1000; // Check for expired trash hourly
+const LOGIN_ATTEMPT_PURGE_INTERVAL = 24 * 60 * 60 * 1000; // Delete old login attempts and expired sessions daily
+const LINK_CHECK_POLL_INTERVAL = 15 * 60 * 1000; // Look for links due a health check every 15 minutes
+const LINK_CHECK_ENABLED = process.env.LINK_CHECK_ENABLED !== 'false';
 
 // --- Middleware ---
 
@@ -45,7 +63,7 @@ app.use(session({
         httpOnly: true,
         sameSite: 'lax', // Allow cookies to be sent with same-site requests
         path: '/', // Ensure cookie is available for all paths
-        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+        maxAge: SESSION_MAX_AGE // 7 days
     }
 }));
 
@@ -65,6 +83,12 @@ app.use((req, res, next) => {
             if (sanitizedBody.password) sanitizedBody.password = '***';
             if (sanitizedBody.currentPassword) sanitizedBody.currentPassword = '***';
             if (sanitizedBody.newPassword) sanitizedBody.newPassword = '***';
+            if (sanitizedBody.confirmPassword) sanitizedBody.confirmPassword = '***';
+            // Nor the tokens of password reset and verification links
+            if (sanitizedBody.token) sanitizedBody.token = '***';
+            // Nor two-factor codes
+            if (sanitizedBody.code) sanitizedBody.code = '***';
+            if (sanitizedBody.recovery_code) sanitizedBody.recovery_code = '***';
             logData.body = sanitizedBody;
         }
         
@@ -86,10 +110,21 @@ app.use((err, req, res, next) => {
 
 // --- API Routes ---
 
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/sessions', sessionsRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/groups', groupsRoutes);
+app.use('/api/tokens', tokensRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/workspaces', workspacesRoutes);
+app.use('/api/admin', adminRoutes);
 app.use('/api', linksRoutes);
 
+// --- Public Share Pages ---
+
+app.use('/share', shareRoutes);
+
 // --- Frontend Route ---
 
 /**
@@ -102,15 +137,100 @@ app.get('/', (req, res) => {
 
 // --- Start Server ---
 
+/**
+ * Permanently delete trashed links and groups past the retention period of the users who added them
+ */
+async function purgeTrash() {
+    const db = await getDatabase();
+    try {
+        const purged = await purgeExpiredTrash(db);
+        if (purged.links > 0 || purged.groups > 0) {
+            console.log(`Purged ${purged.links} link(s) and ${purged.groups} group(s) from the trash`);
+        }
+    } catch (error) {
+        console.error('Error purging trash:', error);
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Delete login attempts past their retention period, and the rows of expired sessions
+ */
+async function purgeOldLoginAttempts() {
+    const db = await getDatabase();
+    try {
+        const purged = await purgeLoginAttempts(db);
+        if (purged > 0) {
+            console.log(`Purged ${purged} old login attempt(s)`);
+        }
+        const expiredSessions = await purgeUserSessions(db);
+        if (expiredSessions > 0) {
+            console.log(`Purged ${expiredSessions} expired session(s)`);
+        }
+    } catch (error) {
+        console.error('Error purging login attempts and sessions:', error);
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Health-check the links that are due (see lib/linkChecker.js)
+ * Skipped while a previous run is still in progress.
+ */
+let linkCheckRunning = false;
+async function checkDueLinks() {
+    if (linkCheckRunning) return;
+    linkCheckRunning = true;
+    const db = await getDatabase();
+    try {
+        const summary = await runScheduledLinkChecks(db);
+        if (summary.checked > 0) {
+            console.log(`Checked ${summary.checked} link(s): ${summary.ok} ok, ${summary.redirected} redirected, ${summary.broken} broken`);
+        }
+    } catch (error) {
+        console.error('Error checking links:', error);
+    } finally {
+        db.close();
+        linkCheckRunning = false;
+    }
+}
+
 async function startServer() {
     try {
         // Initialize database
         await initDatabase();
         console.log('Database initialized');
 
+        // Index links that were added or changed outside the API
+        const db = await getDatabase();
+        try {
+            const indexed = await rebuildSearchIndex(db);
+            console.log(`Search index rebuilt (${indexed} links)`);
+        } finally {
+            db.close();
+        }
+
+        // Purge expired trash now and then periodically
+        await purgeTrash();
+        setInterval(purgeTrash, TRASH_PURGE_INTERVAL);
+        await purgeOldLoginAttempts();
+        setInterval(purgeOldLoginAttempts, LOGIN_ATTEMPT_PURGE_INTERVAL);
+
+        // Check links in the background (doesn't delay startup)
+        if (LINK_CHECK_ENABLED) {
+            checkDueLinks();
+            setInterval(checkDueLinks, LINK_CHECK_POLL_INTERVAL);
+        }
+
         // Start server
         app.listen(PORT, () => {
             console.log(`Tabinator server running at http://localhost:${PORT}`);
+            console.log(`Sending email with the ${MAIL_TRANSPORT} transport`);
+            if (!APP_URL) {
+                console.warn('APP_URL is not set: password reset and email confirmation links are not sent');
+            }
             console.log(`\n⚠️  IMPORTANT: If this is your first run, execute 'npm run migrate' to migrate your YAML data!`);
         });
     } catch (error) {